@@ -0,0 +1,149 @@
+/**
+ * Cookie management (GET/POST/DELETE /cookies): list, set and clear browser cookies over CDP.
+ *
+ * Uses the same Network.getAllCookies view as the cookies dump, so every cookie in the browser is
+ * visible, not only those of the monitored page's URL. A domain filter matches the domain and its subdomains.
+ */
+
+export const COOKIE_SAME_SITE = ['Strict', 'Lax', 'None'];
+const COOKIE_KEYS = ['name', 'value', 'url', 'domain', 'path', 'expires', 'httpOnly', 'secure', 'sameSite'];
+
+/**
+ * Run one CDP command on a fresh session of the page.
+ * @param {import('puppeteer').Page} page
+ * @param {string} method
+ * @param {Object} [params]
+ */
+async function sendCdp(page, method, params = {}) {
+  const session = await page.createCDPSession();
+  try {
+    return await session.send(method, params);
+  } finally {
+    await session.detach().catch(() => {});
+  }
+}
+
+/**
+ * Whether a cookie belongs to a domain (exact, or a subdomain of it).
+ * @param {Object} cookie - CDP cookie
+ * @param {string} domain - e.g. "example.com"; a leading dot is ignored
+ */
+function matchesDomain(cookie, domain) {
+  const cookieDomain = cookie.domain.replace(/^\./, '').toLowerCase();
+  const wanted = domain.replace(/^\./, '').toLowerCase();
+  return cookieDomain === wanted || cookieDomain.endsWith(`.${wanted}`);
+}
+
+/** Cookie for responses (same shape as the cookies dump). */
+function formatCookie(c) {
+  return {
+    name: c.name,
+    value: c.value,
+    domain: c.domain,
+    path: c.path,
+    expires: c.expires > 0 ? new Date(c.expires * 1000).toISOString() : 'Session',
+    httpOnly: c.httpOnly,
+    secure: c.secure,
+    sameSite: c.sameSite || 'None',
+  };
+}
+
+/**
+ * Validate one cookie to set and convert it to CDP Network.setCookie parameters.
+ * @param {Object} cookie - { name, value, url?, domain?, path?, expires?, httpOnly?, secure?, sameSite? };
+ *   expires as Unix seconds, an ISO date, or 0 / "session"; without url and domain the page URL is used
+ * @param {string} pageUrl
+ * @returns {Object}
+ * @throws {Error} On a missing name or an invalid field
+ */
+export function normalizeCookie(cookie, pageUrl) {
+  if (!cookie || typeof cookie !== 'object' || Array.isArray(cookie)) throw new Error('A cookie must be an object');
+  const unknown = Object.keys(cookie).filter((key) => !COOKIE_KEYS.includes(key));
+  if (unknown.length > 0) throw new Error(`Unknown cookie field: ${unknown.join(', ')} (use ${COOKIE_KEYS.join(', ')})`);
+  if (!cookie.name) throw new Error('Cookie "name" is required');
+  if (cookie.value === undefined) throw new Error(`Cookie "value" is required (${cookie.name})`);
+
+  const params = { name: String(cookie.name), value: String(cookie.value) };
+  if (cookie.url) params.url = String(cookie.url);
+  if (cookie.domain) params.domain = String(cookie.domain);
+  if (!params.url && !params.domain) {
+    if (!/^https?:/.test(pageUrl)) throw new Error(`Cookie "url" or "domain" is required (page is at ${pageUrl})`);
+    params.url = pageUrl;
+  }
+  params.path = cookie.path ? String(cookie.path) : '/';
+
+  if (cookie.expires !== undefined && cookie.expires !== 0 && cookie.expires !== 'session') {
+    const expires = typeof cookie.expires === 'number' ? cookie.expires : Date.parse(cookie.expires) / 1000;
+    if (!Number.isFinite(expires)) throw new Error(`Invalid cookie "expires": ${cookie.expires} (Unix seconds or ISO date)`);
+    params.expires = expires;
+  }
+  if (cookie.httpOnly !== undefined) params.httpOnly = cookie.httpOnly === true;
+  if (cookie.secure !== undefined) params.secure = cookie.secure === true;
+  if (cookie.sameSite !== undefined) {
+    const sameSite = COOKIE_SAME_SITE.find((v) => v.toLowerCase() === String(cookie.sameSite).toLowerCase());
+    if (!sameSite) throw new Error(`Invalid cookie "sameSite": ${cookie.sameSite} (use ${COOKIE_SAME_SITE.join(', ')})`);
+    params.sameSite = sameSite;
+  }
+  return params;
+}
+
+/**
+ * List cookies, optionally filtered.
+ * @param {import('puppeteer').Page} page
+ * @param {{ domain?: string|null, name?: string|null }} [filter]
+ * @returns {Promise<{ count: number, cookies: Object[] }>}
+ */
+export async function listCookies(page, { domain = null, name = null } = {}) {
+  const { cookies } = await sendCdp(page, 'Network.getAllCookies');
+  const matching = cookies
+    .filter((c) => (!domain || matchesDomain(c, domain)) && (!name || c.name === name))
+    .map(formatCookie);
+  return { count: matching.length, cookies: matching };
+}
+
+/**
+ * Set cookies (create or overwrite by name + domain + path).
+ * @param {import('puppeteer').Page} page
+ * @param {Object[]} cookies - See normalizeCookie
+ * @returns {Promise<{ success: boolean, set: Object[], failed: Object[] }>}
+ * @throws {Error} On an invalid cookie (before anything is set)
+ */
+export async function setCookies(page, cookies) {
+  const pageUrl = page.url();
+  const params = cookies.map((cookie) => normalizeCookie(cookie, pageUrl));
+  const set = [];
+  const failed = [];
+  for (const p of params) {
+    const target = { name: p.name, ...(p.domain ? { domain: p.domain } : { url: p.url }), path: p.path };
+    try {
+      // success: false when Chrome rejects the cookie (e.g. secure on http, domain not matching url)
+      const { success } = await sendCdp(page, 'Network.setCookie', p);
+      (success === false ? failed : set).push(success === false ? { ...target, error: 'Rejected by the browser' } : target);
+    } catch (e) {
+      failed.push({ ...target, error: e.message });
+    }
+  }
+  return { success: failed.length === 0, set, failed };
+}
+
+/**
+ * Delete cookies by name and/or domain, or all of them.
+ * @param {import('puppeteer').Page} page
+ * @param {{ name?: string|null, domain?: string|null, all?: boolean }} filter - at least one is required
+ * @returns {Promise<{ deleted: number, cookies: Object[] }>} cookies: name, domain and path of each deleted cookie
+ * @throws {Error} Without a filter
+ */
+export async function deleteCookies(page, { name = null, domain = null, all = false } = {}) {
+  if (!name && !domain && !all) throw new Error('Specify "name", "domain" or "all=1" to delete every cookie');
+  const { cookies } = await sendCdp(page, 'Network.getAllCookies');
+  const matching = cookies.filter((c) => (!domain || matchesDomain(c, domain)) && (!name || c.name === name));
+  if (all && !name && !domain) {
+    await sendCdp(page, 'Network.clearBrowserCookies');
+  } else {
+    for (const c of matching) {
+      await sendCdp(page, 'Network.deleteCookies', { name: c.name, domain: c.domain, path: c.path });
+    }
+  }
+  const deleted = matching.map((c) => ({ name: c.name, domain: c.domain, path: c.path }));
+  return { deleted: deleted.length, cookies: deleted };
+}
@@ -0,0 +1,315 @@
+/**
+ * Matched CSS rules and style provenance (GET /computed-styles?rules=1).
+ *
+ * Uses the CDP CSS domain (CSS.getMatchedStylesForNode): for one element it returns the rules that
+ * match, highest priority first, with stylesheet URL and line, specificity and media; marks overridden
+ * declarations; lists inherited declarations from ancestors; and maps each property to the rule that
+ * sets its value.
+ */
+
+/** Properties that inherit by default (custom properties, --*, always inherit). */
+const INHERITED_PROPERTIES = new Set([
+  'border-collapse', 'border-spacing', 'caption-side', 'color', 'color-scheme', 'cursor', 'direction',
+  'empty-cells', 'font', 'font-family', 'font-feature-settings', 'font-kerning', 'font-size',
+  'font-size-adjust', 'font-stretch', 'font-style', 'font-variant', 'font-variant-caps',
+  'font-variant-east-asian', 'font-variant-ligatures', 'font-variant-numeric', 'font-variation-settings',
+  'font-weight', 'hyphens', 'letter-spacing', 'line-break', 'line-height', 'list-style', 'list-style-image',
+  'list-style-position', 'list-style-type', 'orphans', 'overflow-wrap', 'pointer-events', 'quotes',
+  'tab-size', 'text-align', 'text-align-last', 'text-indent', 'text-justify', 'text-rendering',
+  'text-shadow', 'text-transform', 'text-underline-position', 'visibility', 'white-space', 'widows',
+  'word-break', 'word-spacing', 'word-wrap', 'writing-mode', '-webkit-font-smoothing',
+]);
+
+/** Pseudo-elements accepted by ?pseudo= (CDP pseudoType names). */
+export const CSS_PSEUDO_ELEMENTS = [
+  'before', 'after', 'marker', 'placeholder', 'first-line', 'first-letter', 'selection', 'backdrop', 'file-selector-button',
+];
+
+const isInherited = (name) => name.startsWith('--') || INHERITED_PROPERTIES.has(name);
+
+/**
+ * Split a selector list on top-level commas.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitSelectorList(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if (ch === '(' || ch === '[') depth++;
+    if (ch === ')' || ch === ']') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function compareSpecificity(x, y) {
+  return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+}
+
+/**
+ * Specificity [ids, classes/attributes/pseudo-classes, types/pseudo-elements] of one complex selector.
+ * Used when the browser does not report it (CDP adds selector specificity only in newer Chrome).
+ * @param {string} selector
+ * @returns {[number, number, number]}
+ */
+export function computeSpecificity(selector) {
+  const result = [0, 0, 0];
+  const add = (spec) => {
+    result[0] += spec[0];
+    result[1] += spec[1];
+    result[2] += spec[2];
+  };
+  let s = selector.replace(/"[^"]*"|'[^']*'/g, '""');
+  // :is/:not/:has count their most specific argument, :where counts nothing
+  s = s.replace(/:(is|not|has|matches|-webkit-any|where)\(((?:[^()]|\([^()]*\))*)\)/g, (m, fn, args) => {
+    if (fn !== 'where') {
+      const best = splitSelectorList(args).map(computeSpecificity).sort(compareSpecificity).pop();
+      if (best) add(best);
+    }
+    return ' ';
+  });
+  s = s.replace(/\[[^\]]*\]/g, () => {
+    result[1]++;
+    return ' ';
+  });
+  s = s.replace(/#[\w-]+/g, () => {
+    result[0]++;
+    return ' ';
+  });
+  s = s.replace(/\.[\w-]+/g, () => {
+    result[1]++;
+    return ' ';
+  });
+  s = s.replace(/::?(before|after|first-line|first-letter)\b|::[\w-]+(\([^)]*\))?/g, () => {
+    result[2]++;
+    return ' ';
+  });
+  s = s.replace(/:[\w-]+(\([^)]*\))?/g, () => {
+    result[1]++;
+    return ' ';
+  });
+  result[2] += (s.match(/(^|[\s>+~|])[a-zA-Z][\w-]*/g) || []).length;
+  return result;
+}
+
+/**
+ * Winning declaration per property within one cascade level (entries lowest priority first):
+ * !important beats normal, otherwise the later declaration wins.
+ * @param {Array<{ declarations: Object[] }>} entries
+ * @returns {Map<string, Object>} property name → winning declaration
+ */
+function cascadeWinners(entries) {
+  const winners = new Map();
+  for (const entry of entries) {
+    for (const decl of entry.declarations) {
+      const current = winners.get(decl.name);
+      if (!current || decl.important || !current.important) winners.set(decl.name, decl);
+    }
+  }
+  return winners;
+}
+
+/**
+ * Turn a CDP CSSStyle into declarations (skips disabled and unparsable ones).
+ * @param {Object} style - CDP CSS.CSSStyle
+ */
+function toDeclarations(style) {
+  return (style?.cssProperties || [])
+    .filter((p) => p.parsedOk !== false && !p.disabled && p.value !== undefined)
+    .map((p) => ({
+      name: p.name,
+      value: p.value,
+      important: Boolean(p.important),
+      // Longhands expanded from a shorthand have no source range of their own
+      written: Boolean(p.range || p.text),
+    }));
+}
+
+/**
+ * Describe one CDP RuleMatch: matching selector, specificity, source location, media.
+ * @param {Object} match - CDP CSS.RuleMatch
+ * @param {Map<string, Object>} sheets - styleSheetId → CSSStyleSheetHeader
+ * @param {string} pageUrl
+ */
+function describeRule(match, sheets, pageUrl) {
+  const { rule } = match;
+  const selectors = rule.selectorList?.selectors || [];
+  const matching = (match.matchingSelectors || []).map((i) => selectors[i]).filter(Boolean);
+  const scored = (matching.length > 0 ? matching : selectors).map((sel) => ({
+    text: sel.text,
+    specificity: sel.specificity ? [sel.specificity.a, sel.specificity.b, sel.specificity.c] : computeSpecificity(sel.text),
+  }));
+  const best = scored.sort((x, y) => compareSpecificity(x.specificity, y.specificity)).pop() || { text: '', specificity: [0, 0, 0] };
+
+  const header = rule.styleSheetId ? sheets.get(rule.styleSheetId) : null;
+  const range = selectors[0]?.range || rule.style?.range;
+  let source = null;
+  if (header) {
+    const url = header.sourceURL || (header.isInline ? pageUrl : '');
+    const line = range ? range.startLine + (header.isInline ? header.startLine : 0) + 1 : null;
+    source = { url: url || null, line, ...(header.isInline ? { inline: true } : {}) };
+  }
+
+  return {
+    selector: best.text,
+    ...(rule.selectorList?.text && rule.selectorList.text !== best.text ? { selectorList: rule.selectorList.text } : {}),
+    specificity: best.specificity,
+    origin: rule.origin,
+    source,
+    ...(rule.media?.length ? { media: rule.media.map((m) => m.text) } : {}),
+    declarations: toDeclarations(rule.style),
+  };
+}
+
+/**
+ * Build the cascade for one node (rules lowest priority first, as CDP returns them).
+ * @returns {Object[]} entries { kind, selector?, specificity?, origin?, source?, media?, declarations }
+ */
+function buildCascade({ attributesStyle, matches, inlineStyle }, sheets, pageUrl) {
+  const entries = [];
+  if (attributesStyle) entries.push({ kind: 'attributes', declarations: toDeclarations(attributesStyle) });
+  for (const match of matches || []) entries.push({ kind: 'rule', ...describeRule(match, sheets, pageUrl) });
+  if (inlineStyle) entries.push({ kind: 'inline', selector: 'style attribute', declarations: toDeclarations(inlineStyle) });
+  return entries.filter((e) => e.declarations.length > 0);
+}
+
+/**
+ * Shape cascade entries for the response: highest priority first, declarations filtered and marked.
+ * @param {Object[]} entries - lowest priority first
+ * @param {(decl: Object) => boolean} isActive
+ * @param {Object} opts - { properties: Set|null, userAgent: boolean }
+ */
+function formatEntries(entries, isActive, { properties, userAgent }) {
+  const out = [];
+  for (const entry of [...entries].reverse()) {
+    if (entry.origin === 'user-agent' && !userAgent) continue;
+    const declarations = entry.declarations
+      .filter((d) => (properties ? properties.has(d.name) : d.written))
+      .map((decl) => {
+        const { written, ...d } = decl;
+        return isActive(decl) ? d : { ...d, overridden: true };
+      });
+    if (declarations.length === 0) continue;
+    const { kind, ...rest } = entry;
+    out.push({ ...(kind === 'rule' ? {} : { type: kind }), ...rest, declarations });
+  }
+  return out;
+}
+
+function provenanceOf(entry, decl, from) {
+  return {
+    value: decl.value,
+    ...(decl.important ? { important: true } : {}),
+    selector: entry.selector ?? (entry.kind === 'attributes' ? 'presentational attribute' : null),
+    source: entry.source ?? null,
+    ...(entry.origin ? { origin: entry.origin } : {}),
+    ...(from ? { inheritedFrom: from } : {}),
+  };
+}
+
+/**
+ * Matched rules, inherited declarations and per-property provenance for the first element matching a selector.
+ * @param {import('puppeteer').Page} page
+ * @param {string} selector
+ * @param {Object} [options]
+ * @param {string[]|null} [options.properties] - Only these properties (default: all written declarations)
+ * @param {string[]} [options.pseudo] - Pseudo-elements whose rules to include, e.g. ['before']
+ * @param {boolean} [options.userAgent=false] - Include user-agent stylesheet rules
+ * @returns {Promise<{ rules: Object[], inherited: Object[], appliedBy: Object, pseudo?: Object } | { error: string }>}
+ */
+export async function getMatchedCssRules(page, selector, options = {}) {
+  const { properties = null, pseudo = [], userAgent = false } = options;
+  const filter = properties ? new Set(properties) : null;
+  const pageUrl = page.url();
+  const sheets = new Map();
+  let session = null;
+  try {
+    session = await page.createCDPSession();
+    // Headers of existing stylesheets arrive as events right after CSS.enable
+    session.on('CSS.styleSheetAdded', ({ header }) => sheets.set(header.styleSheetId, header));
+    await session.send('DOM.enable');
+    await session.send('CSS.enable');
+    const { root } = await session.send('DOM.getDocument', { depth: 0 });
+    const { nodeId } = await session.send('DOM.querySelector', { nodeId: root.nodeId, selector });
+    if (!nodeId) return { error: `No element matching selector: ${selector}` };
+
+    const matched = await session.send('CSS.getMatchedStylesForNode', { nodeId });
+    const ancestors = await page.evaluate((sel) => {
+      const names = [];
+      for (let el = document.querySelector(sel)?.parentElement; el; el = el.parentElement) {
+        let name = el.tagName.toLowerCase();
+        if (el.id) name += `#${el.id}`;
+        if (typeof el.className === 'string' && el.className.trim()) name += '.' + el.className.trim().split(/\s+/).join('.');
+        names.push(name);
+      }
+      return names;
+    }, selector);
+
+    const own = buildCascade({
+      attributesStyle: matched.attributesStyle,
+      matches: matched.matchedCSSRules,
+      inlineStyle: matched.inlineStyle,
+    }, sheets, pageUrl);
+    const ownWinners = cascadeWinners(own);
+    const appliedBy = {};
+    for (const entry of own) {
+      for (const decl of entry.declarations) {
+        if (ownWinners.get(decl.name) === decl && (!filter || filter.has(decl.name))) {
+          appliedBy[decl.name] = provenanceOf(entry, decl, null);
+        }
+      }
+    }
+
+    // Ancestors, nearest first: an inherited property comes from the nearest level that sets it
+    const inherited = [];
+    const settled = new Set(ownWinners.keys());
+    (matched.inherited || []).forEach((level, i) => {
+      const entries = buildCascade({ matches: level.matchedCSSRules, inlineStyle: level.inlineStyle }, sheets, pageUrl)
+        .map((e) => ({ ...e, declarations: e.declarations.filter((d) => isInherited(d.name)) }))
+        .filter((e) => e.declarations.length > 0);
+      if (entries.length === 0) return;
+      const winners = cascadeWinners(entries);
+      const active = new Set();
+      for (const [name, decl] of winners) {
+        if (settled.has(name)) continue;
+        active.add(decl);
+        const entry = entries.find((e) => e.declarations.includes(decl));
+        if (!filter || filter.has(name)) appliedBy[name] = provenanceOf(entry, decl, ancestors[i] ?? null);
+      }
+      for (const name of winners.keys()) settled.add(name);
+      const rules = formatEntries(entries, (d) => active.has(d), { properties: filter, userAgent });
+      if (rules.length > 0) inherited.push({ from: ancestors[i] ?? null, rules });
+    });
+
+    const result = {
+      rules: formatEntries(own, (d) => ownWinners.get(d.name) === d, { properties: filter, userAgent }),
+      inherited,
+      appliedBy,
+    };
+
+    if (pseudo.length > 0) {
+      result.pseudo = {};
+      for (const name of pseudo) {
+        const matches = (matched.pseudoElements || [])
+          .filter((p) => p.pseudoType === name)
+          .flatMap((p) => p.matches);
+        const entries = buildCascade({ matches }, sheets, pageUrl);
+        const winners = cascadeWinners(entries);
+        result.pseudo[name] = { rules: formatEntries(entries, (d) => winners.get(d.name) === d, { properties: filter, userAgent }) };
+      }
+    }
+    return result;
+  } catch (e) {
+    return { error: e.message };
+  } finally {
+    await session?.detach().catch(() => {});
+  }
+}
@@ -0,0 +1,242 @@
+/**
+ * Interactive-element map (GET /elements) and actions by ref (POST /elements/action).
+ *
+ * Listing returns role, accessible name, bounding box and a generated selector for each visible
+ * interactive element and keeps a handle to it on our side; the page DOM is not modified. Actions use
+ * that handle while the element is still attached and fall back to the stored selector when the page
+ * re-rendered it or navigated.
+ */
+
+export const ELEMENT_ACTIONS = ['click', 'type', 'hover', 'focus', 'select'];
+const DEFAULT_ELEMENTS_LIMIT = 500;
+
+/**
+ * Last listing per page: { handles: ref → ElementHandle, elements: ref → { selector, role, name } }
+ * (the selector is the fallback when the element was replaced).
+ */
+const lastListings = new WeakMap();
+
+/**
+ * Runs in the page: describe visible interactive elements. nodes holds the listed elements (same order).
+ * @param {{ viewportOnly: boolean, limit: number }} options
+ */
+function collectInPage({ viewportOnly, limit }) {
+  const INTERACTIVE = [
+    'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+    '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="switch"]',
+    '[role="tab"]', '[role="menuitem"]', '[role="option"]', '[role="combobox"]', '[role="textbox"]',
+    '[contenteditable=""]', '[contenteditable="true"]', '[onclick]', '[tabindex]:not([tabindex="-1"])',
+  ].join(',');
+  const TEST_ATTRS = ['data-testid', 'data-test', 'data-cy', 'data-qa'];
+  const clip = (s, n = 80) => {
+    const t = (s || '').replace(/\s+/g, ' ').trim();
+    return t.length > n ? t.slice(0, n) + '…' : t;
+  };
+  const isUnique = (sel) => {
+    try {
+      return document.querySelectorAll(sel).length === 1;
+    } catch {
+      return false;
+    }
+  };
+  const attrSelector = (tag, attr, value) => `${tag}[${attr}="${CSS.escape(value)}"]`;
+
+  function implicitRole(el) {
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'a') return 'link';
+    if (tag === 'button' || tag === 'summary') return 'button';
+    if (tag === 'select') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+    if (tag === 'textarea') return 'textbox';
+    if (tag === 'input') {
+      const type = (el.getAttribute('type') || 'text').toLowerCase();
+      if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+      if (type === 'checkbox' || type === 'radio') return type;
+      if (type === 'range') return 'slider';
+      if (type === 'search') return 'searchbox';
+      if (type === 'number') return 'spinbutton';
+      return 'textbox';
+    }
+    if (el.isContentEditable) return 'textbox';
+    return 'generic';
+  }
+
+  function accessibleName(el) {
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map((id) => document.getElementById(id)?.textContent || '').join(' ');
+      if (text.trim()) return clip(text);
+    }
+    const aria = el.getAttribute('aria-label');
+    if (aria && aria.trim()) return clip(aria);
+    if (el.labels && el.labels.length > 0) return clip([...el.labels].map((l) => l.innerText ?? l.textContent).join(' '));
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'input' && ['button', 'submit', 'reset'].includes(el.type) && el.value) return clip(el.value);
+    const alt = el.getAttribute('alt') || el.querySelector?.('img[alt]')?.getAttribute('alt');
+    const text = tag === 'input' || tag === 'select' || tag === 'textarea' ? '' : el.innerText ?? el.textContent;
+    return clip(text || alt || el.getAttribute('title') || el.getAttribute('placeholder') || '');
+  }
+
+  function robustSelector(el) {
+    const tag = el.tagName.toLowerCase();
+    if (el.id && !/\d{3,}|[:.]/.test(el.id) && isUnique(`#${CSS.escape(el.id)}`)) return `#${CSS.escape(el.id)}`;
+    for (const attr of TEST_ATTRS) {
+      const v = el.getAttribute(attr);
+      if (v && isUnique(attrSelector(tag, attr, v))) return attrSelector(tag, attr, v);
+    }
+    for (const attr of ['name', 'aria-label', 'placeholder', 'href', 'title']) {
+      const v = el.getAttribute(attr);
+      if (v && v.length <= 120 && isUnique(attrSelector(tag, attr, v))) return attrSelector(tag, attr, v);
+    }
+    // Structural path up to the nearest ancestor with a unique id
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && node !== document.documentElement) {
+      const nodeTag = node.tagName.toLowerCase();
+      if (node !== el && node.id && isUnique(`#${CSS.escape(node.id)}`)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const siblings = node.parentElement ? [...node.parentElement.children].filter((c) => c.tagName === node.tagName) : [];
+      parts.unshift(siblings.length > 1 ? `${nodeTag}:nth-of-type(${siblings.indexOf(node) + 1})` : nodeTag);
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  }
+
+  const elements = [];
+  const nodes = [];
+  let total = 0;
+  for (const el of document.querySelectorAll(INTERACTIVE)) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width <= 0 || rect.height <= 0) continue;
+    const style = getComputedStyle(el);
+    if (style.visibility === 'hidden' || style.display === 'none' || style.opacity === '0') continue;
+    const inViewport = rect.bottom > 0 && rect.right > 0 && rect.top < innerHeight && rect.left < innerWidth;
+    if (viewportOnly && !inViewport) continue;
+    total++;
+    if (elements.length >= limit) continue;
+
+    const ref = elements.length + 1;
+    const tag = el.tagName.toLowerCase();
+    const entry = {
+      ref,
+      role: el.getAttribute('role') || implicitRole(el),
+      name: accessibleName(el),
+      tag,
+      box: { x: Math.round(rect.x), y: Math.round(rect.y), width: Math.round(rect.width), height: Math.round(rect.height) },
+      inViewport,
+      selector: robustSelector(el),
+    };
+    if (tag === 'input' && el.type) entry.type = el.type;
+    if (tag === 'a') entry.href = el.getAttribute('href');
+    if (('value' in el) && tag !== 'button' && el.type !== 'password' && el.value) entry.value = clip(String(el.value));
+    if (el.type === 'checkbox' || el.type === 'radio') entry.checked = el.checked;
+    if (el.disabled || el.getAttribute('aria-disabled') === 'true') entry.disabled = true;
+    elements.push(entry);
+    nodes.push(el);
+  }
+  return { total, elements, nodes };
+}
+
+/**
+ * List visible interactive elements and (re)assign refs; handles of the previous listing are released.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} [options]
+ * @param {boolean} [options.viewportOnly=false] - Only elements currently in the viewport
+ * @param {number} [options.limit=500]
+ * @returns {Promise<{ url: string, total: number, count: number, elements: Object[] }>}
+ */
+export async function listInteractiveElements(page, options = {}) {
+  const { viewportOnly = false, limit = DEFAULT_ELEMENTS_LIMIT } = options;
+  const listing = await page.evaluateHandle(collectInPage, { viewportOnly, limit });
+  let total;
+  let elements;
+  const handles = new Map();
+  try {
+    ({ total, elements } = await listing.evaluate(({ total, elements }) => ({ total, elements })));
+    const nodes = await listing.getProperty('nodes');
+    for (const [index, handle] of await nodes.getProperties()) handles.set(Number(index) + 1, handle);
+    await nodes.dispose();
+  } finally {
+    await listing.dispose().catch(() => {});
+  }
+  await releaseListing(page);
+  lastListings.set(page, {
+    handles,
+    elements: new Map(elements.map((e) => [e.ref, { selector: e.selector, role: e.role, name: e.name }])),
+  });
+  return { url: page.url(), total, count: elements.length, elements };
+}
+
+/** Dispose the element handles kept for a page's last listing. */
+async function releaseListing(page) {
+  const previous = lastListings.get(page);
+  if (!previous) return;
+  lastListings.delete(page);
+  await Promise.all([...previous.handles.values()].map((handle) => handle.dispose().catch(() => {})));
+}
+
+/**
+ * Element behind a ref: the listed element while it is still in the document, else the first match of its selector.
+ * @returns {Promise<{ handle: import('puppeteer').ElementHandle, resolvedBy: 'ref'|'selector' }|null>}
+ */
+async function resolveRef(page, ref) {
+  const listing = lastListings.get(page);
+  const listed = listing?.handles.get(ref);
+  // Throws once the page navigated (the handle's context is gone)
+  if (listed && await listed.evaluate((el) => el.isConnected).catch(() => false)) return { handle: listed, resolvedBy: 'ref' };
+  const known = listing?.elements.get(ref);
+  const handle = known ? await page.$(known.selector) : null;
+  return handle ? { handle, resolvedBy: 'selector' } : null;
+}
+
+/**
+ * Click, type into, hover, focus or select an element by ref from the last listing.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} params
+ * @param {number} params.ref
+ * @param {string} params.action - One of ELEMENT_ACTIONS
+ * @param {string} [params.text] - type: text to type
+ * @param {boolean} [params.clear=false] - type: clear the current value first
+ * @param {number} [params.delay] - type: ms between keystrokes
+ * @param {string[]} [params.values] - select: option values
+ * @returns {Promise<{ success: boolean, error?: string, ref: number, action: string, resolvedBy?: string, element?: Object, result?: unknown }>}
+ */
+export async function performElementAction(page, params) {
+  const { ref, action, text = '', clear = false, delay, values = [] } = params;
+  const known = lastListings.get(page)?.elements.get(ref) ?? null;
+
+  const resolved = await resolveRef(page, ref);
+  if (!resolved) {
+    return { success: false, ref, action, error: `Element ref ${ref} not found on the page. Call GET /elements again for fresh refs.` };
+  }
+  const { handle, resolvedBy } = resolved;
+
+  try {
+    let result = null;
+    if (action === 'click') {
+      await handle.click();
+    } else if (action === 'hover') {
+      await handle.hover();
+    } else if (action === 'focus') {
+      await handle.focus();
+    } else if (action === 'type') {
+      if (clear) {
+        await handle.evaluate((el) => {
+          if ('value' in el) el.value = '';
+          else if (el.isContentEditable) el.textContent = '';
+          el.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+      }
+      await handle.type(String(text), delay ? { delay } : {});
+    } else if (action === 'select') {
+      result = await handle.select(...values.map(String));
+    }
+    return { success: true, ref, action, resolvedBy, ...(known ? { element: known } : {}), ...(result ? { result } : {}) };
+  } catch (e) {
+    return { success: false, ref, action, resolvedBy, error: e.message };
+  } finally {
+    // The listed handle stays for further actions on the same ref
+    if (resolvedBy === 'selector') await handle.dispose().catch(() => {});
+  }
+}
@@ -0,0 +1,303 @@
+/**
+ * Device, network and locale emulation (POST /emulate, settings.emulation at launch).
+ *
+ * Options: device (Puppeteer device name), viewport, userAgent, network (offline, slow-3g, ... or custom
+ * kbit/s), cpu (slowdown factor), geolocation, timezone, locale, colorScheme, reducedMotion.
+ * Changes are merged into the page's current emulation; null clears one option, reset clears all.
+ * Presets are named option sets: the built-in ones plus settings.emulationPresets.
+ */
+
+import { KnownDevices, PredefinedNetworkConditions } from 'puppeteer';
+
+export const NETWORK_PROFILES = ['offline', 'slow-3g', 'fast-3g', 'slow-4g', 'fast-4g'];
+export const COLOR_SCHEMES = ['light', 'dark'];
+export const REDUCED_MOTION = ['reduce', 'no-preference'];
+/** Device names accepted by the device option (Puppeteer's KnownDevices). */
+export const EMULATION_DEVICES = Object.keys(KnownDevices);
+
+/** Option names, also the keys a preset may contain. */
+const EMULATION_KEYS = ['device', 'viewport', 'userAgent', 'network', 'cpu', 'geolocation', 'timezone', 'locale', 'colorScheme', 'reducedMotion'];
+
+/** Option → group applied together (one Puppeteer/CDP call per group). */
+const OPTION_GROUPS = {
+  device: 'screen', viewport: 'screen', userAgent: 'screen',
+  network: 'network', cpu: 'cpu', geolocation: 'geolocation', timezone: 'timezone', locale: 'locale',
+  colorScheme: 'media', reducedMotion: 'media',
+};
+
+/** Puppeteer's network condition names per profile. */
+const NETWORK_CONDITIONS = { 'slow-3g': 'Slow 3G', 'fast-3g': 'Fast 3G', 'slow-4g': 'Slow 4G', 'fast-4g': 'Fast 4G' };
+
+export const BUILTIN_EMULATION_PRESETS = {
+  iphone: { device: 'iPhone 15' },
+  android: { device: 'Pixel 5' },
+  tablet: { device: 'iPad Pro 11' },
+  offline: { network: 'offline' },
+  'slow-3g': { network: 'slow-3g' },
+  'slow-mobile': { device: 'Pixel 5', network: 'slow-3g', cpu: 4 },
+  dark: { colorScheme: 'dark' },
+  'reduced-motion': { reducedMotion: 'reduce' },
+};
+
+/** Current emulation per page (options as set, null = nothing emulated). */
+const activeEmulation = new WeakMap();
+/** CDP session per page for overrides Puppeteer has no API for; overrides last only while it is attached. */
+const emulationSessions = new WeakMap();
+
+/**
+ * Built-in presets merged with settings.emulationPresets (same name overrides).
+ * @param {Object} [customPresets]
+ * @returns {Object<string, Object>}
+ */
+export function getEmulationPresets(customPresets = {}) {
+  return { ...BUILTIN_EMULATION_PRESETS, ...(customPresets || {}) };
+}
+
+/**
+ * Validate one option value. null clears the option.
+ * @param {string} key
+ * @param {*} value
+ * @returns {*} Normalized value
+ * @throws {Error} On an invalid value
+ */
+function normalizeOption(key, value) {
+  if (value === null) return null;
+  const isObject = value && typeof value === 'object' && !Array.isArray(value);
+  switch (key) {
+    case 'device':
+      if (!KnownDevices[value]) {
+        const lower = String(value).toLowerCase();
+        const match = Object.keys(KnownDevices).find((name) => name.toLowerCase() === lower);
+        if (!match) throw new Error(`Unknown "device": ${value} (see GET /emulate for device names)`);
+        return match;
+      }
+      return value;
+    case 'viewport': {
+      if (!isObject) throw new Error('"viewport" must be { width, height, deviceScaleFactor?, isMobile?, hasTouch?, isLandscape? }');
+      const { width, height, deviceScaleFactor = 1, isMobile = false, hasTouch = false, isLandscape = false } = value;
+      if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+        throw new Error('"viewport" needs positive integer width and height');
+      }
+      if (typeof deviceScaleFactor !== 'number' || deviceScaleFactor <= 0) throw new Error('"viewport.deviceScaleFactor" must be > 0');
+      return { width, height, deviceScaleFactor, isMobile: isMobile === true, hasTouch: hasTouch === true, isLandscape: isLandscape === true };
+    }
+    case 'userAgent':
+    case 'timezone':
+    case 'locale':
+      if (typeof value !== 'string' || !value) throw new Error(`"${key}" must be a non-empty string`);
+      if (key === 'timezone' && !isValidTimezone(value)) throw new Error(`Unknown "timezone": ${value} (IANA name, e.g. Europe/Prague)`);
+      if (key === 'locale' && !isValidLocale(value)) throw new Error(`Invalid "locale": ${value} (BCP 47 tag, e.g. de-DE)`);
+      return value;
+    case 'network':
+      if (typeof value === 'string') {
+        const profile = value.toLowerCase();
+        if (profile === 'none') return null;
+        if (!NETWORK_PROFILES.includes(profile)) throw new Error(`Invalid "network": ${value} (use ${NETWORK_PROFILES.join(', ')}, none or { download, upload, latency })`);
+        return profile;
+      }
+      if (!isObject) throw new Error('"network" must be a profile name or { download, upload, latency } (kbit/s, ms)');
+      for (const field of ['download', 'upload', 'latency']) {
+        if (value[field] !== undefined && (typeof value[field] !== 'number' || value[field] < 0)) {
+          throw new Error(`"network.${field}" must be a number >= 0`);
+        }
+      }
+      return { download: value.download ?? 0, upload: value.upload ?? 0, latency: value.latency ?? 0 };
+    case 'cpu':
+      if (typeof value !== 'number' || value < 1) throw new Error('"cpu" must be a slowdown factor >= 1 (1 = no throttling)');
+      return value === 1 ? null : value;
+    case 'geolocation': {
+      if (!isObject) throw new Error('"geolocation" must be { latitude, longitude, accuracy? }');
+      const { latitude, longitude, accuracy = 10 } = value;
+      if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) throw new Error('"geolocation.latitude" must be -90..90');
+      if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) throw new Error('"geolocation.longitude" must be -180..180');
+      if (typeof accuracy !== 'number' || accuracy < 0) throw new Error('"geolocation.accuracy" must be >= 0 (meters)');
+      return { latitude, longitude, accuracy };
+    }
+    case 'colorScheme':
+      if (!COLOR_SCHEMES.includes(value)) throw new Error(`Invalid "colorScheme": ${value} (use ${COLOR_SCHEMES.join(', ')})`);
+      return value;
+    case 'reducedMotion':
+      if (!REDUCED_MOTION.includes(value)) throw new Error(`Invalid "reducedMotion": ${value} (use ${REDUCED_MOTION.join(', ')})`);
+      return value;
+    default:
+      throw new Error(`Unknown emulation option: ${key} (use ${EMULATION_KEYS.join(', ')})`);
+  }
+}
+
+/** @param {string} timezone */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** @param {string} locale */
+function isValidLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a POST /emulate body (or settings.emulation).
+ * @param {Object|string|string[]} body - { preset?, reset?, ...options }; a preset name or list of names is short for { preset }
+ * @param {Object} [customPresets] - settings.emulationPresets
+ * @returns {{ reset: boolean, presets: string[], changes: Object }} changes: normalized options, null = clear
+ * @throws {Error} On an unknown preset, option or invalid value
+ */
+export function normalizeEmulationOptions(body, customPresets = {}) {
+  const input = typeof body === 'string' || Array.isArray(body) ? { preset: body } : (body || {});
+  const { preset = null, reset = false, ...options } = input;
+  const presets = getEmulationPresets(customPresets);
+  const presetNames = preset === null ? [] : [].concat(preset).map(String);
+
+  const merged = {};
+  for (const name of presetNames) {
+    if (!presets[name]) throw new Error(`Unknown preset: ${name} (have: ${Object.keys(presets).join(', ')})`);
+    Object.assign(merged, presets[name]);
+  }
+  Object.assign(merged, options);
+  if (!reset && presetNames.length === 0 && Object.keys(merged).length === 0) {
+    throw new Error(`Nothing to emulate. Use "preset", "reset": true or options: ${EMULATION_KEYS.join(', ')}`);
+  }
+
+  const changes = {};
+  for (const [key, value] of Object.entries(merged)) {
+    try {
+      changes[key] = normalizeOption(key, value);
+    } catch (e) {
+      // Point at the preset when its definition (settings.json) is the broken part
+      const from = presetNames.find((name) => presets[name][key] !== undefined && options[key] === undefined);
+      throw from ? new Error(`Preset ${from}: ${e.message}`) : e;
+    }
+  }
+  return { reset: reset === true, presets: presetNames, changes };
+}
+
+/**
+ * Current emulation of a page.
+ * @param {import('puppeteer').Page} page
+ * @returns {Object} Options in effect ({} = none)
+ */
+export function getEmulation(page) {
+  return { ...(activeEmulation.get(page) || {}) };
+}
+
+/** Kept CDP session of the page (see emulationSessions). */
+async function getEmulationSession(page) {
+  let session = emulationSessions.get(page);
+  if (!session) {
+    session = await page.createCDPSession();
+    emulationSessions.set(page, session);
+  }
+  return session;
+}
+
+/**
+ * Apply one group of options from the full emulation state.
+ * @returns {Promise<string|null>} A note for the response, if any
+ */
+async function applyGroup(page, group, state, previous) {
+  switch (group) {
+    case 'screen': {
+      const device = state.device ? KnownDevices[state.device] : null;
+      await page.setViewport(state.viewport ?? device?.viewport ?? null);
+      const userAgent = state.userAgent ?? device?.userAgent ?? await page.browser().userAgent();
+      await page.setUserAgent({ userAgent });
+      const wasSized = previous.viewport !== undefined || previous.device !== undefined;
+      return wasSized && !state.viewport && !device ? 'Viewport emulation off: the page follows the window size again' : null;
+    }
+    case 'network': {
+      const network = state.network;
+      await page.setOfflineMode(network === 'offline');
+      if (!network || network === 'offline') {
+        await page.emulateNetworkConditions(null);
+      } else if (typeof network === 'string') {
+        await page.emulateNetworkConditions(PredefinedNetworkConditions[NETWORK_CONDITIONS[network]]);
+      } else {
+        // kbit/s (as in DevTools) → bytes/s; 0 = no limit
+        const toBytes = (kbit) => (kbit > 0 ? (kbit * 1000) / 8 : -1);
+        await page.emulateNetworkConditions({ download: toBytes(network.download), upload: toBytes(network.upload), latency: network.latency });
+      }
+      return null;
+    }
+    case 'cpu':
+      await page.emulateCPUThrottling(state.cpu ?? null);
+      return null;
+    case 'geolocation': {
+      const session = await getEmulationSession(page);
+      if (!state.geolocation) {
+        await session.send('Emulation.clearGeolocationOverride');
+        return null;
+      }
+      await session.send('Emulation.setGeolocationOverride', state.geolocation);
+      let origin = null;
+      try {
+        origin = new URL(page.url()).origin;
+      } catch {
+        // about:blank and similar
+      }
+      if (!origin || origin === 'null') return 'Geolocation permission not granted (no page origin yet); emulate again after navigating';
+      await page.browserContext().overridePermissions(origin, ['geolocation']);
+      return `Geolocation permission granted to ${origin}`;
+    }
+    case 'timezone':
+      await page.emulateTimezone(state.timezone ?? undefined);
+      return null;
+    case 'locale': {
+      const session = await getEmulationSession(page);
+      await session.send('Emulation.setLocaleOverride', state.locale ? { locale: state.locale } : {});
+      await page.setExtraHTTPHeaders(state.locale ? { 'Accept-Language': state.locale } : {});
+      return null;
+    }
+    case 'media':
+      await page.emulateMediaFeatures([
+        { name: 'prefers-color-scheme', value: state.colorScheme ?? '' },
+        { name: 'prefers-reduced-motion', value: state.reducedMotion ?? '' },
+      ]);
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Apply emulation to a page: merge the changes into its current emulation (or start over with reset).
+ * @param {import('puppeteer').Page} page
+ * @param {Object|string|string[]} options - See normalizeEmulationOptions
+ * @param {Object} [customPresets] - settings.emulationPresets
+ * @returns {Promise<{ success: boolean, emulation: Object, applied: string[], notes?: string[], error?: string }>}
+ * @throws {Error} On invalid options (nothing applied)
+ */
+export async function applyEmulation(page, options, customPresets = {}) {
+  const { reset, changes } = normalizeEmulationOptions(options, customPresets);
+  const previous = activeEmulation.get(page) || {};
+  const state = reset ? {} : { ...previous };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) delete state[key];
+    else state[key] = value;
+  }
+
+  const touched = new Set([...Object.keys(changes), ...(reset ? Object.keys(previous) : [])]);
+  const groups = [...new Set([...touched].map((key) => OPTION_GROUPS[key]))];
+  const applied = [];
+  const notes = [];
+  try {
+    for (const group of groups) {
+      const note = await applyGroup(page, group, state, previous);
+      applied.push(group);
+      if (note) notes.push(note);
+    }
+  } catch (e) {
+    // Groups before the failing one are in effect; `applied` lists them
+    activeEmulation.set(page, state);
+    return { success: false, error: e.message, emulation: getEmulation(page), applied };
+  }
+  activeEmulation.set(page, state);
+  return { success: true, emulation: getEmulation(page), applied, ...(notes.length > 0 ? { notes } : {}) };
+}
@@ -0,0 +1,230 @@
+/**
+ * Guarded page.evaluate for POST /evaluate (opt-in via settings.allowEvaluate).
+ *
+ * The expression runs through CDP Runtime.evaluate (not subject to the page's CSP), its value is
+ * serialized in the page (DOM nodes, Map/Set, errors, BigInt, cycles) and size-checked before it
+ * leaves the browser. Every call is appended to an audit log.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const EVALUATE_DEFAULT_TIMEOUT_MS = 5_000;
+export const EVALUATE_MAX_TIMEOUT_MS = 60_000;
+export const EVALUATE_DEFAULT_MAX_RESULT_BYTES = 256 * 1024;
+const EVALUATE_MAX_RESULT_BYTES = 5 * 1024 * 1024;
+const PREVIEW_CHARS = 2_000;
+
+/**
+ * Runs in the page: turn any value into plain JSON.
+ * Non-JSON values become tagged objects ({ $type: 'Map', entries }, { $type: 'Element', ... }).
+ * @param {unknown} value
+ * @returns {string} JSON text
+ */
+function serializeInPage(value) {
+  const MAX_DEPTH = 20;
+  const MAX_ITEMS = 1000;
+  const MAX_TEXT = 500;
+  const stack = new Set();
+
+  const clip = (s, n) => (s.length > n ? s.slice(0, n) + '…' : s);
+
+  function describeNode(node) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      let tag = node.tagName.toLowerCase();
+      if (node.id) tag += `#${node.id}`;
+      if (typeof node.className === 'string' && node.className.trim()) {
+        tag += '.' + node.className.trim().split(/\s+/).join('.');
+      }
+      return {
+        $type: 'Element',
+        selector: tag,
+        text: clip((node.innerText ?? node.textContent ?? '').trim(), MAX_TEXT),
+        outerHTML: clip(node.outerHTML, MAX_TEXT),
+      };
+    }
+    if (node.nodeType === Node.DOCUMENT_NODE) return { $type: 'Document', url: node.URL, title: node.title };
+    return { $type: node.constructor?.name || 'Node', text: clip(node.textContent ?? '', MAX_TEXT) };
+  }
+
+  function walk(v, depth) {
+    if (v === null || typeof v === 'boolean' || typeof v === 'string') return v;
+    if (typeof v === 'number') return Number.isFinite(v) ? v : { $type: 'Number', value: String(v) };
+    if (typeof v === 'undefined') return { $type: 'undefined' };
+    if (typeof v === 'bigint') return { $type: 'BigInt', value: v.toString() };
+    if (typeof v === 'symbol') return { $type: 'Symbol', description: v.description ?? '' };
+    if (typeof v === 'function') return { $type: 'Function', name: v.name || '(anonymous)' };
+    if (v === window) return { $type: 'Window', url: location.href };
+    if (typeof Node !== 'undefined' && v instanceof Node) return describeNode(v);
+    if (stack.has(v)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[Max depth]';
+    if (v instanceof Date) return { $type: 'Date', value: Number.isNaN(v.getTime()) ? 'Invalid Date' : v.toISOString() };
+    if (v instanceof RegExp) return { $type: 'RegExp', value: String(v) };
+    if (v instanceof Error) {
+      return { $type: 'Error', name: v.name, message: v.message, stack: clip(String(v.stack ?? ''), 2000) };
+    }
+    if (v instanceof Promise) return { $type: 'Promise' };
+    if (v instanceof WeakMap || v instanceof WeakSet) return { $type: v.constructor.name };
+
+    stack.add(v);
+    try {
+      if (v instanceof Map) {
+        const entries = [];
+        for (const [k, val] of v) {
+          if (entries.length >= MAX_ITEMS) break;
+          entries.push([walk(k, depth + 1), walk(val, depth + 1)]);
+        }
+        return { $type: 'Map', size: v.size, entries };
+      }
+      if (v instanceof Set) {
+        const values = [];
+        for (const val of v) {
+          if (values.length >= MAX_ITEMS) break;
+          values.push(walk(val, depth + 1));
+        }
+        return { $type: 'Set', size: v.size, values };
+      }
+      if (Array.isArray(v) || ArrayBuffer.isView(v) || v instanceof NodeList || v instanceof HTMLCollection) {
+        const list = Array.from(v.length > MAX_ITEMS ? Array.prototype.slice.call(v, 0, MAX_ITEMS) : v);
+        const out = list.map((item) => walk(item, depth + 1));
+        if (v.length > MAX_ITEMS) out.push(`[… ${v.length - MAX_ITEMS} more]`);
+        return Array.isArray(v) ? out : { $type: v.constructor.name, length: v.length, items: out };
+      }
+      const out = {};
+      const ctor = Object.getPrototypeOf(v)?.constructor?.name;
+      if (ctor && ctor !== 'Object') out.$constructor = ctor;
+      let count = 0;
+      for (const key of Object.keys(v)) {
+        if (count++ >= MAX_ITEMS) {
+          out['…'] = `${Object.keys(v).length - MAX_ITEMS} more keys`;
+          break;
+        }
+        try {
+          out[key] = walk(v[key], depth + 1);
+        } catch (e) {
+          out[key] = { $type: 'Error', message: `Getter threw: ${e.message}` };
+        }
+      }
+      return out;
+    } finally {
+      stack.delete(v);
+    }
+  }
+
+  return JSON.stringify(walk(value, 0));
+}
+
+/**
+ * Wrap a user expression so its (awaited) value is serialized in the page.
+ * @param {string} expression - JavaScript expression (use an IIFE for statements)
+ * @returns {string}
+ */
+function buildPageExpression(expression) {
+  return `(async () => {
+  const __bmSerialize = ${serializeInPage.toString()};
+  let __bmValue;
+  try {
+    __bmValue = await (${expression}
+    );
+  } catch (error) {
+    return '{"__bmThrown":' + __bmSerialize(error) + '}';
+  }
+  return __bmSerialize(__bmValue);
+})()`;
+}
+
+/**
+ * Clamp a requested number into [1, max], or return the fallback.
+ * @param {unknown} value
+ * @param {number} fallback
+ * @param {number} max
+ */
+function clampPositive(value, fallback, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) return fallback;
+  return Math.min(Math.floor(value), max);
+}
+
+/**
+ * Evaluate an expression in the page with timeout and result-size limit.
+ * On timeout, running page JS is interrupted via CDP Runtime.terminateExecution.
+ * @param {import('puppeteer').Page} page
+ * @param {string} expression
+ * @param {Object} [options]
+ * @param {number} [options.timeout=EVALUATE_DEFAULT_TIMEOUT_MS] - Capped at EVALUATE_MAX_TIMEOUT_MS
+ * @param {number} [options.maxResultBytes=EVALUATE_DEFAULT_MAX_RESULT_BYTES]
+ * @returns {Promise<{ success: boolean, result?: unknown, error?: string, thrown?: Object, resultBytes?: number, preview?: string, durationMs: number }>}
+ */
+export async function evaluateInPage(page, expression, options = {}) {
+  const timeout = clampPositive(options.timeout, EVALUATE_DEFAULT_TIMEOUT_MS, EVALUATE_MAX_TIMEOUT_MS);
+  const maxResultBytes = clampPositive(options.maxResultBytes, EVALUATE_DEFAULT_MAX_RESULT_BYTES, EVALUATE_MAX_RESULT_BYTES);
+  const started = Date.now();
+
+  let timer = null;
+  let timedOut = false;
+  const timeoutPromise = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      resolve(null);
+    }, timeout);
+  });
+
+  let json;
+  try {
+    json = await Promise.race([page.evaluate(buildPageExpression(expression)), timeoutPromise]);
+  } catch (e) {
+    return { success: false, error: e.message || String(e), durationMs: Date.now() - started };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (timedOut) {
+    await terminateExecution(page);
+    return { success: false, error: `Timeout after ${timeout}ms (execution terminated)`, durationMs: Date.now() - started };
+  }
+
+  const durationMs = Date.now() - started;
+  const resultBytes = Buffer.byteLength(json ?? '', 'utf8');
+  if (resultBytes > maxResultBytes) {
+    return {
+      success: false,
+      error: `Result is ${resultBytes} bytes, over the ${maxResultBytes} byte limit (raise maxResultBytes or return less)`,
+      resultBytes,
+      preview: json.slice(0, PREVIEW_CHARS),
+      durationMs,
+    };
+  }
+  const parsed = JSON.parse(json);
+  if (parsed && typeof parsed === 'object' && '__bmThrown' in parsed) {
+    const thrown = parsed.__bmThrown;
+    const message = thrown?.$type === 'Error' ? `${thrown.name}: ${thrown.message}` : `Thrown: ${JSON.stringify(thrown)}`;
+    return { success: false, error: message, thrown, resultBytes, durationMs };
+  }
+  return { success: true, result: parsed, resultBytes, durationMs };
+}
+
+/**
+ * Interrupt JavaScript currently running in the page (e.g. an endless loop from /evaluate).
+ * @param {import('puppeteer').Page} page
+ */
+async function terminateExecution(page) {
+  let session = null;
+  try {
+    session = await page.createCDPSession();
+    await session.send('Runtime.terminateExecution');
+  } catch {
+    // Page gone or nothing running
+  } finally {
+    await session?.detach().catch(() => {});
+  }
+}
+
+/**
+ * Append one /evaluate call to the audit log (JSON Lines).
+ * @param {string} logPath
+ * @param {Object} entry - { timestamp, expression, url, success, durationMs, error?, resultBytes?, client? }
+ * @throws {Error} When the log cannot be written
+ */
+export function appendEvaluateAudit(logPath, entry) {
+  fs.mkdirSync(path.dirname(logPath), { recursive: true });
+  fs.appendFileSync(logPath, JSON.stringify(entry) + '\n');
+}
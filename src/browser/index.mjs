@@ -0,0 +1,58 @@
+/**
+ * Browser submodule – page actions used by the HTTP API (beyond the generic POST /puppeteer).
+ *
+ * - evaluate.mjs – guarded page.evaluate with audit log (POST /evaluate)
+ * - elements.mjs – interactive-element map with refs and actions by ref (GET /elements, POST /elements/action)
+ * - css-rules.mjs – matched CSS rules, overridden declarations and provenance (GET /computed-styles?rules=1)
+ * - screenshot.mjs – element, full-page and clip screenshots to timestamped files (GET /screenshot)
+ * - cookies.mjs – list, set and delete browser cookies over CDP (GET/POST/DELETE /cookies)
+ * - storage.mjs – localStorage, sessionStorage and IndexedDB of the page origin (GET/PUT/DELETE /storage, dump)
+ * - emulation.mjs – device, network, CPU, geolocation, timezone, locale and media emulation with presets (POST /emulate)
+ * - mocks.mjs – request mock rules from mocks.json applied through request interception (GET/POST/PATCH/DELETE /mocks)
+ * - navigation.mjs – goto/back/forward/reload with redirect chain, status and timing (POST /navigate)
+ * - wait.mjs – wait for network idle, console, selector, URL or response conditions (POST /wait)
+ */
+
+export {
+  evaluateInPage,
+  appendEvaluateAudit,
+  EVALUATE_DEFAULT_TIMEOUT_MS,
+  EVALUATE_MAX_TIMEOUT_MS,
+  EVALUATE_DEFAULT_MAX_RESULT_BYTES,
+} from './evaluate.mjs';
+export { listInteractiveElements, performElementAction, ELEMENT_ACTIONS } from './elements.mjs';
+export { captureScreenshot, normalizeScreenshotOptions, SCREENSHOT_FORMATS } from './screenshot.mjs';
+export { getMatchedCssRules, computeSpecificity, CSS_PSEUDO_ELEMENTS } from './css-rules.mjs';
+export { listCookies, setCookies, deleteCookies, normalizeCookie, COOKIE_SAME_SITE } from './cookies.mjs';
+export {
+  readWebStorage,
+  setWebStorage,
+  removeWebStorage,
+  summarizeIndexedDb,
+  putIndexedDbRecords,
+  deleteIndexedDb,
+  normalizeStorageType,
+  STORAGE_TYPES,
+  IDB_DEFAULT_SAMPLE,
+  IDB_MAX_SAMPLE,
+} from './storage.mjs';
+export {
+  applyEmulation,
+  getEmulation,
+  getEmulationPresets,
+  normalizeEmulationOptions,
+  BUILTIN_EMULATION_PRESETS,
+  NETWORK_PROFILES,
+  EMULATION_DEVICES,
+} from './emulation.mjs';
+export {
+  MockStore,
+  attachMockInterceptor,
+  getMockForRequest,
+  normalizeMockRule,
+  describeMockAction,
+  MOCK_ABORT_ERRORS,
+  MOCK_MAX_DELAY_MS,
+} from './mocks.mjs';
+export { navigate, normalizeNavigateOptions, stopLoading, NAVIGATION_ACTIONS, WAIT_UNTIL_OPTIONS } from './navigation.mjs';
+export { waitForConditions, normalizeWaitOptions, WAIT_DEFAULT_TIMEOUT_MS, WAIT_MAX_TIMEOUT_MS } from './wait.mjs';
@@ -0,0 +1,469 @@
+/**
+ * Request mocking (.browsermonitor/mocks.json, GET/POST/PATCH/DELETE /mocks).
+ *
+ * A rule matches requests by URL (glob or regex) and method, and answers them with a stubbed
+ * status, headers and body (inline or from a file), delays them, or aborts them with a network error.
+ * The first enabled rule that matches wins. Rules are applied through request interception on the
+ * monitored page, which is only switched on while there is at least one enabled rule (Chrome turns
+ * its cache off under interception).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { log } from '../utils/colors.mjs';
+
+/** Network errors a rule can abort with (Puppeteer ErrorCode). */
+export const MOCK_ABORT_ERRORS = [
+  'aborted', 'accessdenied', 'addressunreachable', 'blockedbyclient', 'blockedbyresponse',
+  'connectionaborted', 'connectionclosed', 'connectionfailed', 'connectionrefused', 'connectionreset',
+  'internetdisconnected', 'namenotresolved', 'timedout', 'failed',
+];
+export const MOCK_MAX_DELAY_MS = 120_000;
+
+const RULE_KEYS = [
+  'id', 'description', 'enabled', 'url', 'urlRegex', 'method',
+  'status', 'headers', 'body', 'bodyFile', 'contentType', 'delay', 'abort', 'times',
+];
+const RESPONSE_KEYS = ['status', 'headers', 'body', 'bodyFile', 'contentType'];
+
+/** Interval (ms) at which mocks.json is checked for changes. */
+const MOCKS_WATCH_INTERVAL_MS = 1000;
+
+/** Content type of a bodyFile by extension (contentType in the rule wins). */
+const FILE_CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.txt': 'text/plain',
+  '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
+  '.css': 'text/css',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+};
+
+/** Requests answered by a rule → the rule (read by the network log). */
+const mockedRequests = new WeakMap();
+/** Normalized rule → its compiled URL pattern (kept out of mocks.json and API responses). */
+const rulePatterns = new WeakMap();
+
+/**
+ * Convert a URL glob to a regex: ** = anything, * = anything but "/", ? = one character.
+ * @param {string} glob - e.g. "**\/api/orders*"
+ * @returns {RegExp}
+ */
+function globToRegex(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '.';
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Validate one rule and fill in defaults.
+ * @param {Object} rule - { id?, description?, enabled?, url | urlRegex, method?, status?, headers?, body?, bodyFile?,
+ *   contentType?, delay?, abort?, times? }; body may be a string or JSON; bodyFile is relative to .browsermonitor/
+ *   and must stay inside it
+ * @returns {Object} The rule as stored in mocks.json
+ * @throws {Error} On a missing matcher, an unknown field or an invalid value
+ */
+export function normalizeMockRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error('A mock rule must be an object');
+  const unknown = Object.keys(rule).filter((key) => !RULE_KEYS.includes(key));
+  if (unknown.length > 0) throw new Error(`Unknown mock rule field: ${unknown.join(', ')} (use ${RULE_KEYS.join(', ')})`);
+
+  const out = { id: rule.id !== undefined ? String(rule.id) : crypto.randomUUID().slice(0, 8) };
+  if (!/^[\w.-]+$/.test(out.id)) throw new Error(`Invalid mock "id": ${out.id} (letters, digits, _ . -)`);
+  if (rule.description !== undefined) out.description = String(rule.description);
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') throw new Error('Invalid mock "enabled": expected true or false');
+  out.enabled = rule.enabled !== false;
+
+  if (!rule.url === !rule.urlRegex) throw new Error(`Mock "${out.id}" needs exactly one of "url" (glob) or "urlRegex"`);
+  let pattern;
+  if (rule.url) {
+    out.url = String(rule.url);
+    pattern = globToRegex(out.url);
+  }
+  if (rule.urlRegex) {
+    out.urlRegex = String(rule.urlRegex);
+    try {
+      pattern = new RegExp(out.urlRegex, 'i');
+    } catch (e) {
+      throw new Error(`Invalid mock "urlRegex": ${e.message}`);
+    }
+  }
+  if (rule.method !== undefined) {
+    const methods = (Array.isArray(rule.method) ? rule.method : [rule.method]).map((m) => String(m).toUpperCase());
+    if (methods.length === 0 || methods.some((m) => !/^[A-Z]+$/.test(m))) throw new Error(`Invalid mock "method": ${rule.method}`);
+    out.method = methods.length === 1 ? methods[0] : methods;
+  }
+
+  if (rule.abort !== undefined) {
+    const abort = String(rule.abort).toLowerCase();
+    if (!MOCK_ABORT_ERRORS.includes(abort)) throw new Error(`Invalid mock "abort": ${rule.abort} (use ${MOCK_ABORT_ERRORS.join(', ')})`);
+    const mixed = RESPONSE_KEYS.filter((key) => rule[key] !== undefined);
+    if (mixed.length > 0) throw new Error(`Mock "${out.id}": "abort" cannot be combined with ${mixed.join(', ')}`);
+    out.abort = abort;
+  }
+  if (rule.status !== undefined) {
+    if (!Number.isInteger(rule.status) || rule.status < 100 || rule.status > 599) throw new Error(`Invalid mock "status": ${rule.status} (100-599)`);
+    out.status = rule.status;
+  }
+  if (rule.headers !== undefined) {
+    if (!rule.headers || typeof rule.headers !== 'object' || Array.isArray(rule.headers)) throw new Error('Invalid mock "headers": expected { "name": "value" }');
+    out.headers = Object.fromEntries(Object.entries(rule.headers).map(([k, v]) => [k, String(v)]));
+  }
+  if (rule.body !== undefined && rule.bodyFile !== undefined) throw new Error(`Mock "${out.id}": use "body" or "bodyFile", not both`);
+  if (rule.body !== undefined) out.body = rule.body;
+  if (rule.bodyFile !== undefined) {
+    out.bodyFile = String(rule.bodyFile);
+    // Any API client can add rules: never let one serve files from outside .browsermonitor/ into the page
+    const relative = path.normalize(out.bodyFile);
+    if (!out.bodyFile || path.isAbsolute(out.bodyFile) || relative === '..' || relative.startsWith(`..${path.sep}`)) {
+      throw new Error(`Invalid mock "bodyFile": ${out.bodyFile} (a path inside .browsermonitor/, e.g. "mocks/orders.json")`);
+    }
+  }
+  if (rule.contentType !== undefined) out.contentType = String(rule.contentType);
+  if (rule.delay !== undefined) {
+    if (!Number.isInteger(rule.delay) || rule.delay < 0 || rule.delay > MOCK_MAX_DELAY_MS) {
+      throw new Error(`Invalid mock "delay": ${rule.delay} (0-${MOCK_MAX_DELAY_MS} ms)`);
+    }
+    out.delay = rule.delay;
+  }
+  if (rule.times !== undefined) {
+    if (!Number.isInteger(rule.times) || rule.times < 1) throw new Error(`Invalid mock "times": ${rule.times} (positive integer)`);
+    out.times = rule.times;
+  }
+  if (out.abort === undefined && out.delay === undefined && !RESPONSE_KEYS.some((key) => out[key] !== undefined)) {
+    throw new Error(`Mock "${out.id}" does nothing: give status/body/bodyFile/headers, delay, or abort`);
+  }
+  rulePatterns.set(out, pattern);
+  return out;
+}
+
+/**
+ * What a rule does, for log lines and responses: "500", "abort:failed", "delay 2000ms", "200 +1500ms".
+ * @param {Object} rule
+ * @returns {string}
+ */
+export function describeMockAction(rule) {
+  const delay = rule.delay ? `+${rule.delay}ms` : '';
+  if (rule.abort) return [`abort:${rule.abort}`, delay].filter(Boolean).join(' ');
+  if (RESPONSE_KEYS.some((key) => rule[key] !== undefined)) return [String(rule.status ?? 200), delay].filter(Boolean).join(' ');
+  return `delay ${rule.delay}ms`;
+}
+
+/**
+ * Rule that answered a request (null when the request went to the network unchanged).
+ * @param {import('puppeteer').HTTPRequest} request
+ * @returns {Object|null}
+ */
+export function getMockForRequest(request) {
+  return mockedRequests.get(request) ?? null;
+}
+
+/**
+ * Rules of one project, kept in sync with .browsermonitor/mocks.json ({ "rules": [...] }).
+ * Emits 'change' whenever the rules change (API or file edit).
+ */
+export class MockStore extends EventEmitter {
+  /**
+   * @param {string} file - mocks.json path
+   * @param {{ baseDir?: string }} [options] - Directory bodyFile paths are relative to (default: the file's directory)
+   */
+  constructor(file, { baseDir = path.dirname(file) } = {}) {
+    super();
+    this.file = file;
+    this.baseDir = baseDir;
+    /** @type {Object[]} */
+    this.rules = [];
+    /** @type {Map<string, number>} id → requests answered since the rule was added or changed */
+    this.hits = new Map();
+    /** JSON last written or read, so our own writes do not trigger a reload */
+    this.lastContent = null;
+    this.load();
+  }
+
+  /**
+   * (Re)read mocks.json. A missing file means no rules; a broken file is reported and the current rules stay.
+   * @returns {boolean} Whether the rules were replaced
+   */
+  load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.file, 'utf8');
+    } catch {
+      raw = null;
+    }
+    if (raw === this.lastContent) return false;
+    let rules = [];
+    if (raw !== null && raw.trim()) {
+      try {
+        const parsed = JSON.parse(raw);
+        const list = Array.isArray(parsed) ? parsed : parsed?.rules;
+        if (!Array.isArray(list)) throw new Error('expected { "rules": [...] }');
+        rules = list.map(normalizeMockRule);
+        const ids = rules.map((r) => r.id);
+        const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+        if (duplicate) throw new Error(`duplicate id "${duplicate}"`);
+      } catch (e) {
+        log.warn(`mocks.json not applied: ${e.message}`);
+        this.lastContent = raw;
+        return false;
+      }
+    }
+    this.lastContent = raw;
+    this.rules = rules;
+    this.hits.clear();
+    this.emit('change');
+    return true;
+  }
+
+  /** Write the rules to mocks.json. */
+  save(rules = this.rules) {
+    const content = JSON.stringify({ rules }, null, 2) + '\n';
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, content);
+    this.lastContent = content;
+  }
+
+  /**
+   * Reload the rules when mocks.json is edited.
+   * @returns {() => void} Stop watching
+   */
+  watch() {
+    const check = (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      if (this.load()) log.info(`mocks.json reloaded: ${this.rules.length} rule(s)`);
+    };
+    fs.watchFile(this.file, { interval: MOCKS_WATCH_INTERVAL_MS, persistent: false }, check);
+    return () => fs.unwatchFile(this.file, check);
+  }
+
+  /** Rules with their hit counts. */
+  list() {
+    return this.rules.map((rule) => this.describe(rule));
+  }
+
+  /** @param {string} id */
+  get(id) {
+    const rule = this.rules.find((r) => r.id === id);
+    return rule ? this.describe(rule) : null;
+  }
+
+  /** Rule plus runtime state for responses. */
+  describe(rule) {
+    const hits = this.hits.get(rule.id) ?? 0;
+    return { ...rule, action: describeMockAction(rule), hits, ...(rule.times ? { exhausted: hits >= rule.times } : {}) };
+  }
+
+  /**
+   * Add rules at the end (after the existing ones, so those win on overlap). All or nothing.
+   * @param {Object[]} rules - See normalizeMockRule
+   * @returns {Object[]} The stored rules
+   * @throws {Error} On an invalid rule or a duplicate id
+   */
+  add(rules) {
+    const normalized = rules.map(normalizeMockRule);
+    const ids = [...this.rules.map((r) => r.id)];
+    for (const rule of normalized) {
+      if (ids.includes(rule.id)) throw new Error(`A mock with id "${rule.id}" already exists`);
+      ids.push(rule.id);
+    }
+    this.commit([...this.rules, ...normalized]);
+    return normalized.map((rule) => this.describe(rule));
+  }
+
+  /**
+   * Change fields of a rule (null removes an optional field). Resets its hit count.
+   * @param {string} id
+   * @param {Object} changes
+   * @returns {Object|null} The updated rule, or null when there is none with this id
+   * @throws {Error} On an invalid result
+   */
+  update(id, changes) {
+    const i = this.rules.findIndex((r) => r.id === id);
+    if (i === -1) return null;
+    if (changes.id !== undefined && String(changes.id) !== id) throw new Error('A mock "id" cannot be changed');
+    const merged = { ...this.rules[i] };
+    // Setting one of a pair replaces the other
+    if (changes.url !== undefined) delete merged.urlRegex;
+    if (changes.urlRegex !== undefined) delete merged.url;
+    if (changes.body !== undefined) delete merged.bodyFile;
+    if (changes.bodyFile !== undefined) delete merged.body;
+    Object.assign(merged, changes);
+    for (const [key, value] of Object.entries(changes)) if (value === null) delete merged[key];
+    const rule = normalizeMockRule(merged);
+    this.commit(this.rules.map((r, j) => (j === i ? rule : r)));
+    this.hits.delete(id);
+    return this.describe(rule);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} Whether the rule existed
+   */
+  remove(id) {
+    const rules = this.rules.filter((r) => r.id !== id);
+    if (rules.length === this.rules.length) return false;
+    this.commit(rules);
+    this.hits.delete(id);
+    return true;
+  }
+
+  /** @returns {number} Rules removed */
+  clear() {
+    const count = this.rules.length;
+    this.commit([]);
+    this.hits.clear();
+    return count;
+  }
+
+  /**
+   * Save new rules, then use them. A failed write leaves the current rules in place.
+   * @param {Object[]} rules
+   * @throws {Error} With code MOCKS_SAVE_FAILED when mocks.json cannot be written
+   */
+  commit(rules) {
+    try {
+      this.save(rules);
+    } catch (e) {
+      throw Object.assign(new Error(`Could not save ${this.file}: ${e.message}`), { code: 'MOCKS_SAVE_FAILED' });
+    }
+    this.rules = rules;
+    this.emit('change');
+  }
+
+  /** Whether request interception is needed. */
+  hasActiveRules() {
+    return this.rules.some((rule) => rule.enabled && !this.isExhausted(rule));
+  }
+
+  isExhausted(rule) {
+    return rule.times !== undefined && (this.hits.get(rule.id) ?? 0) >= rule.times;
+  }
+
+  /**
+   * First enabled rule matching the request; counts the hit.
+   * @param {{ url: string, method: string }} request
+   * @returns {Object|null}
+   */
+  match({ url, method }) {
+    const rule = this.rules.find((r) => r.enabled && !this.isExhausted(r)
+      && (!r.method || [].concat(r.method).includes(method))
+      && rulePatterns.get(r).test(url));
+    if (!rule) return null;
+    this.hits.set(rule.id, (this.hits.get(rule.id) ?? 0) + 1);
+    // The last allowed hit may leave no active rule
+    if (this.isExhausted(rule)) this.emit('change');
+    return rule;
+  }
+
+  /**
+   * Response for Puppeteer request.respond(). A non-string body is sent as JSON.
+   * @param {Object} rule
+   * @param {Object} requestHeaders - To answer cross-origin requests with matching CORS headers
+   * @returns {{ status: number, headers: Object, contentType?: string, body: string|Buffer }}
+   * @throws {Error} When the bodyFile cannot be read
+   */
+  buildResponse(rule, requestHeaders = {}) {
+    const headers = { ...rule.headers };
+    let body = '';
+    let contentType = rule.contentType;
+    if (rule.bodyFile !== undefined) {
+      const file = fs.realpathSync(path.resolve(this.baseDir, rule.bodyFile));
+      // normalizeMockRule rejects ../ paths; this also catches symlinks pointing outside
+      if (!file.startsWith(fs.realpathSync(this.baseDir) + path.sep)) throw new Error(`bodyFile is outside ${this.baseDir}`);
+      body = fs.readFileSync(file);
+      contentType ??= FILE_CONTENT_TYPES[path.extname(file).toLowerCase()] ?? 'application/octet-stream';
+    } else if (typeof rule.body === 'string') {
+      body = rule.body;
+      contentType ??= 'text/plain';
+    } else if (rule.body !== undefined) {
+      body = JSON.stringify(rule.body);
+      contentType ??= 'application/json';
+    }
+    const hasHeader = (name) => Object.keys(headers).some((k) => k.toLowerCase() === name);
+    // Mocks usually stand in for an API on another origin; without these the page could not read them
+    if (requestHeaders.origin && !hasHeader('access-control-allow-origin')) {
+      headers['Access-Control-Allow-Origin'] = requestHeaders.origin;
+      headers['Access-Control-Allow-Credentials'] = 'true';
+    }
+    return { status: rule.status ?? 200, headers, ...(contentType && !hasHeader('content-type') ? { contentType } : {}), body };
+  }
+}
+
+/**
+ * Apply the store's rules to a page through request interception. Interception is on only while
+ * there is an active rule; other requests continue unchanged. The rule used is recorded for
+ * getMockForRequest, so this must be attached before the network log listeners.
+ * @param {import('puppeteer').Page} page
+ * @param {MockStore} store
+ * @returns {() => void} Detach (turns interception off)
+ */
+export function attachMockInterceptor(page, store) {
+  let intercepting = false;
+
+  const sync = () => {
+    const wanted = store.hasActiveRules();
+    if (wanted === intercepting) return;
+    intercepting = wanted;
+    page.setRequestInterception(wanted).catch((e) => {
+      log.warn(`Request interception could not be turned ${wanted ? 'on' : 'off'}: ${e.message}`);
+    });
+  };
+
+  const onRequest = (request) => {
+    // Interception off for this request (no active rule when it started), or handled elsewhere
+    if (['disabled', 'already-handled'].includes(request.interceptResolutionState().action)) return;
+    const rule = store.match({ url: request.url(), method: request.method() });
+    if (!rule) {
+      request.continue().catch(() => {});
+      return;
+    }
+    mockedRequests.set(request, rule);
+    const resolve = async () => {
+      if (rule.delay) await new Promise((r) => setTimeout(r, rule.delay));
+      if (rule.abort) return request.abort(rule.abort);
+      if (!RESPONSE_KEYS.some((key) => rule[key] !== undefined)) return request.continue();
+      let response;
+      try {
+        response = store.buildResponse(rule, request.headers());
+      } catch (e) {
+        log.warn(`Mock "${rule.id}": ${e.message}`);
+        return request.respond({ status: 500, contentType: 'text/plain', body: `browsermonitor mock "${rule.id}": ${e.message}` });
+      }
+      return request.respond(response);
+    };
+    // Page closed or navigated away meanwhile
+    resolve().catch(() => {});
+  };
+
+  page.on('request', onRequest);
+  store.on('change', sync);
+  sync();
+
+  return () => {
+    page.removeListener('request', onRequest);
+    store.removeListener('change', sync);
+    if (intercepting) page.setRequestInterception(false).catch(() => {});
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Navigation with a report (POST /navigate): goto, back, forward or reload, then the final URL,
+ * redirect chain, main document status and navigation timing of the loaded page.
+ */
+
+export const NAVIGATION_ACTIONS = ['goto', 'back', 'forward', 'reload'];
+export const WAIT_UNTIL_OPTIONS = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+
+/** Page method per action. */
+const ACTION_METHODS = { goto: 'goto', back: 'goBack', forward: 'goForward', reload: 'reload' };
+
+/**
+ * Stop loading the page (pending navigation included), like the browser's Stop button.
+ * @param {import('puppeteer').Page} page
+ */
+export async function stopLoading(page) {
+  const session = await page.createCDPSession();
+  try {
+    await session.send('Page.stopLoading');
+  } finally {
+    await session.detach().catch(() => {});
+  }
+}
+
+/**
+ * Validate a POST /navigate body.
+ * @param {Object} body - { action?, url?, waitUntil?, timeout? }; action defaults to goto
+ * @returns {{ action: string, url: string|null, waitUntil: string, timeout: number|null }}
+ * @throws {Error} On an invalid action, missing url or invalid option
+ */
+export function normalizeNavigateOptions(body = {}) {
+  const action = body.action ? String(body.action) : 'goto';
+  if (!NAVIGATION_ACTIONS.includes(action)) {
+    throw new Error(`Invalid "action": ${body.action} (use ${NAVIGATION_ACTIONS.join(', ')})`);
+  }
+  const url = body.url ? String(body.url) : null;
+  if (action === 'goto' && !url) throw new Error('"url" is required for goto');
+  if (action !== 'goto' && url) throw new Error(`"url" applies only to goto, not ${action}`);
+
+  const waitUntil = body.waitUntil ? String(body.waitUntil) : 'load';
+  if (!WAIT_UNTIL_OPTIONS.includes(waitUntil)) {
+    throw new Error(`Invalid "waitUntil": ${body.waitUntil} (use ${WAIT_UNTIL_OPTIONS.join(', ')})`);
+  }
+
+  let timeout = null;
+  if (body.timeout !== undefined) {
+    timeout = Number(body.timeout);
+    if (!Number.isInteger(timeout) || timeout < 0) throw new Error(`Invalid "timeout": ${body.timeout} (ms, 0 = no timeout)`);
+  }
+  return { action, url, waitUntil, timeout };
+}
+
+/**
+ * Navigation timing of the current document, read in the page.
+ * Milliseconds from the start of the navigation; null when the event did not happen (yet).
+ */
+function readNavigationTiming() {
+  const nav = performance.getEntriesByType('navigation')[0];
+  const paint = (name) => {
+    const entry = performance.getEntriesByName(name)[0];
+    return entry ? Math.round(entry.startTime) : null;
+  };
+  const at = (value) => (value > 0 ? Math.round(value) : null);
+  return {
+    type: nav?.type ?? null,
+    responseStart: at(nav?.responseStart),
+    domContentLoaded: at(nav?.domContentLoadedEventEnd),
+    load: at(nav?.loadEventEnd),
+    firstPaint: paint('first-paint'),
+    firstContentfulPaint: paint('first-contentful-paint'),
+    transferSize: nav?.transferSize ?? null,
+  };
+}
+
+/**
+ * Navigate and describe the result.
+ * A NAVIGATION separator is written to the console and network buffers first, so the logs show where it started.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} options - See normalizeNavigateOptions
+ * @param {{ logBuffer?: Object|null, signal?: AbortSignal|null }} [context] - signal aborts the navigation (job cancel) and stops the load
+ * @returns {Promise<Object>} { success, action, navigated, url, previousUrl, status, statusText, redirectChain, timing, durationMs } or { success: false, error }
+ */
+export async function navigate(page, options, { logBuffer = null, signal = null } = {}) {
+  const opts = normalizeNavigateOptions(options);
+  const previousUrl = page.url();
+  const title = `NAVIGATION (${opts.action}${opts.url ? ` ${opts.url}` : ''})`;
+  logBuffer?.printConsoleSeparator(title);
+  logBuffer?.printNetworkSeparator(title);
+
+  const waitOptions = {
+    waitUntil: opts.waitUntil,
+    ...(opts.timeout !== null ? { timeout: opts.timeout } : {}),
+    ...(signal ? { signal } : {}),
+  };
+  const method = ACTION_METHODS[opts.action];
+  const started = Date.now();
+  let response;
+  try {
+    response = opts.action === 'goto' ? await page.goto(opts.url, waitOptions) : await page[method](waitOptions);
+  } catch (e) {
+    if (signal?.aborted) await stopLoading(page).catch(() => {});
+    return { success: false, action: opts.action, error: e.message, url: page.url(), previousUrl, durationMs: Date.now() - started };
+  }
+  const durationMs = Date.now() - started;
+
+  // null: no history entry (back/forward), or a same-document navigation (hash change)
+  const navigated = response !== null || page.url() !== previousUrl;
+  const redirectChain = response
+    ? response.request().redirectChain().map((req) => ({ url: req.url(), status: req.response()?.status() ?? null }))
+    : [];
+  let timing = null;
+  try {
+    timing = await page.evaluate(readNavigationTiming);
+  } catch {
+    // Page navigated again or the context is gone
+  }
+
+  return {
+    success: true,
+    action: opts.action,
+    navigated,
+    ...(navigated ? {} : { note: `Nothing to go ${opts.action} to in the tab history` }),
+    url: page.url(),
+    previousUrl,
+    status: response?.status() ?? null,
+    statusText: response?.statusText() ?? null,
+    fromCache: response?.fromCache() ?? null,
+    redirectChain,
+    timing,
+    durationMs,
+  };
+}
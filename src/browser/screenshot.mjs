@@ -0,0 +1,127 @@
+/**
+ * On-demand screenshots (GET /screenshot): viewport, full page, one element or a clip rectangle.
+ *
+ * Each capture is written to the screenshots directory under a timestamped name and copied to the
+ * "latest" file next to the dump outputs (screenshot.png, or screenshot.jpeg / .webp for those formats).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const SCREENSHOT_FORMATS = ['png', 'jpeg', 'webp'];
+
+/**
+ * Normalize screenshot options from query parameters (strings) or tool arguments.
+ * @param {Object} [options] - { selector?, fullPage?, clip?, format?, quality?, name? }; clip as "x,y,width,height" or an object
+ * @returns {{ selector: string|null, fullPage: boolean, clip: { x: number, y: number, width: number, height: number }|null, format: string, quality: number|null, name: string|null }}
+ * @throws {Error} On invalid or conflicting options
+ */
+export function normalizeScreenshotOptions(options = {}) {
+  const selector = options.selector ? String(options.selector) : null;
+  const fullPage = options.fullPage === true || options.fullPage === '1' || options.fullPage === 'true';
+
+  const format = String(options.format || 'png').toLowerCase().replace(/^jpg$/, 'jpeg');
+  if (!SCREENSHOT_FORMATS.includes(format)) {
+    throw new Error(`Invalid "format": ${options.format} (use ${SCREENSHOT_FORMATS.join(', ')})`);
+  }
+
+  let quality = null;
+  if (options.quality !== undefined && options.quality !== null && options.quality !== '') {
+    quality = Number(options.quality);
+    if (!Number.isInteger(quality) || quality < 0 || quality > 100) {
+      throw new Error(`Invalid "quality": ${options.quality} (integer 0-100)`);
+    }
+    if (format === 'png') throw new Error('"quality" applies only to jpeg and webp');
+  }
+
+  let clip = null;
+  if (options.clip !== undefined && options.clip !== null && options.clip !== '') {
+    const parts = typeof options.clip === 'string'
+      ? options.clip.split(',').map(Number)
+      : [options.clip.x, options.clip.y, options.clip.width, options.clip.height].map(Number);
+    const [x, y, width, height] = parts;
+    if (parts.length !== 4 || !parts.every(Number.isFinite) || width <= 0 || height <= 0) {
+      throw new Error(`Invalid "clip": ${JSON.stringify(options.clip)} (x,y,width,height with positive width and height)`);
+    }
+    clip = { x, y, width, height };
+  }
+
+  if (selector && (fullPage || clip)) throw new Error('"selector" cannot be combined with "fullPage" or "clip"');
+  if (fullPage && clip) throw new Error('"fullPage" and "clip" are mutually exclusive');
+
+  // Optional label for the file name; only safe characters are kept
+  const name = options.name ? String(options.name).replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || null : null;
+
+  return { selector, fullPage, clip, format, quality, name };
+}
+
+/**
+ * Settle with the promise, or reject as soon as the signal aborts (the promise keeps running unobserved).
+ * @param {Promise} promise
+ * @param {AbortSignal|null} signal
+ */
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Capture a screenshot and write it to a timestamped file plus the "latest" file.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} options - See normalizeScreenshotOptions
+ * @param {{ dir: string, latestPath: string, signal?: AbortSignal }} output - screenshots directory and the latest screenshot.png path
+ *   (jpeg/webp captures are copied next to it as screenshot.jpeg / screenshot.webp, leaving screenshot.png as it was);
+ *   signal (job cancel or timeout) ends the call right away: nothing further is sent to the page and no file is written.
+ *   A capture Chrome has already started still finishes in the browser (CDP cannot interrupt it); its result is dropped.
+ * @returns {Promise<{ path: string, latest: string, format: string, bytes: number, target: string } | { error: string }>}
+ */
+export async function captureScreenshot(page, options, { dir, latestPath, signal = null }) {
+  const opts = normalizeScreenshotOptions(options);
+  const shotOptions = { type: opts.format, ...(opts.quality !== null ? { quality: opts.quality } : {}) };
+
+  let buffer;
+  let target;
+  signal?.throwIfAborted();
+  if (opts.selector) {
+    const lookup = page.$(opts.selector);
+    let handle;
+    try {
+      handle = await untilAborted(lookup, signal);
+    } catch (e) {
+      lookup.then((h) => h?.dispose()).catch(() => {});
+      throw e;
+    }
+    if (!handle) return { error: `No element matching selector: ${opts.selector}` };
+    try {
+      signal?.throwIfAborted();
+      buffer = await untilAborted(handle.screenshot(shotOptions), signal);
+    } catch (e) {
+      if (signal?.aborted) throw e;
+      return { error: `Cannot capture ${opts.selector}: ${e.message}` };
+    } finally {
+      await handle.dispose().catch(() => {});
+    }
+    target = `element ${opts.selector}`;
+  } else {
+    buffer = await untilAborted(page.screenshot({
+      ...shotOptions,
+      ...(opts.fullPage ? { fullPage: true } : {}),
+      ...(opts.clip ? { clip: opts.clip } : {}),
+    }), signal);
+    target = opts.fullPage ? 'full page' : opts.clip ? `clip ${Object.values(opts.clip).join(',')}` : 'viewport';
+  }
+
+  signal?.throwIfAborted();
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const filePath = path.join(dir, `screenshot-${stamp}${opts.name ? `-${opts.name}` : ''}.${opts.format}`);
+  const latest = opts.format === 'png' ? latestPath : latestPath.replace(/\.png$/, `.${opts.format}`);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(filePath, buffer);
+  fs.writeFileSync(latest, buffer);
+  return { path: filePath, latest, format: opts.format, bytes: buffer.length, target };
+}
@@ -0,0 +1,236 @@
+/**
+ * Web storage and IndexedDB of the monitored page's origin (GET/PUT/DELETE /storage, storage files of the dump).
+ *
+ * Everything runs in the page, so only the current origin is visible (same as DevTools → Application).
+ * IndexedDB is summarized: databases, object stores, record counts and the first few records.
+ */
+
+export const STORAGE_TYPES = ['local', 'session', 'indexeddb'];
+export const IDB_DEFAULT_SAMPLE = 5;
+export const IDB_MAX_SAMPLE = 100;
+
+/** Accepted spellings → canonical type. */
+const TYPE_ALIASES = {
+  local: 'local', localstorage: 'local',
+  session: 'session', sessionstorage: 'session',
+  indexeddb: 'indexeddb', idb: 'indexeddb',
+};
+
+/** window property of each web storage type. */
+const STORAGE_AREAS = { local: 'localStorage', session: 'sessionStorage' };
+
+/**
+ * Canonical storage type.
+ * @param {string} value - local, localStorage, session, sessionStorage, indexeddb
+ * @returns {'local'|'session'|'indexeddb'}
+ * @throws {Error} On an unknown type
+ */
+export function normalizeStorageType(value) {
+  const type = TYPE_ALIASES[String(value ?? '').toLowerCase()];
+  if (!type) throw new Error(`Invalid storage "type": ${value} (use ${STORAGE_TYPES.join(', ')})`);
+  return type;
+}
+
+/**
+ * All items of localStorage or sessionStorage.
+ * @param {import('puppeteer').Page} page
+ * @param {'local'|'session'} type
+ * @returns {Promise<{ origin: string, count: number, items: Object<string, string> }>}
+ */
+export async function readWebStorage(page, type) {
+  return page.evaluate((area) => {
+    const storage = window[area];
+    const items = {};
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      items[key] = storage.getItem(key);
+    }
+    return { origin: location.origin, count: storage.length, items };
+  }, STORAGE_AREAS[type]);
+}
+
+/**
+ * Set web storage items. Non-string values are stored as JSON (what apps usually do).
+ * @param {import('puppeteer').Page} page
+ * @param {'local'|'session'} type
+ * @param {Object} items - key → value
+ * @returns {Promise<{ origin: string, set: string[] }>}
+ */
+export async function setWebStorage(page, type, items) {
+  const entries = Object.entries(items).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)]);
+  return page.evaluate((area, pairs) => {
+    for (const [key, value] of pairs) window[area].setItem(key, value);
+    return { origin: location.origin, set: pairs.map(([key]) => key) };
+  }, STORAGE_AREAS[type], entries);
+}
+
+/**
+ * Remove web storage items, or all of them.
+ * @param {import('puppeteer').Page} page
+ * @param {'local'|'session'} type
+ * @param {string[]|null} keys - null = clear the whole storage
+ * @returns {Promise<{ origin: string, removed: string[] }>} Keys that existed
+ */
+export async function removeWebStorage(page, type, keys) {
+  return page.evaluate((area, wanted) => {
+    const storage = window[area];
+    const existing = [];
+    for (let i = 0; i < storage.length; i++) existing.push(storage.key(i));
+    if (wanted === null) {
+      storage.clear();
+      return { origin: location.origin, removed: existing };
+    }
+    const removed = wanted.filter((key) => existing.includes(key));
+    for (const key of removed) storage.removeItem(key);
+    return { origin: location.origin, removed };
+  }, STORAGE_AREAS[type], keys);
+}
+
+/**
+ * Databases, object stores, record counts and sample records of the page's IndexedDB.
+ * Sample values are made JSON-safe (Dates as ISO strings, Blobs and buffers described, long strings shortened).
+ * @param {import('puppeteer').Page} page
+ * @param {{ sample?: number }} [options] - Records per store (0-IDB_MAX_SAMPLE)
+ * @returns {Promise<{ origin: string, databases: Object[] }>}
+ */
+export async function summarizeIndexedDb(page, { sample = IDB_DEFAULT_SAMPLE } = {}) {
+  return page.evaluate(async (sampleSize) => {
+    const MAX_STRING = 2000;
+    const MAX_ITEMS = 100;
+    const toSafe = (value, depth = 0) => {
+      if (value === null || value === undefined) return null;
+      if (typeof value === 'string') return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}… (${value.length} chars)` : value;
+      if (typeof value === 'number' || typeof value === 'boolean') return value;
+      if (typeof value === 'bigint') return `${value}n`;
+      if (value instanceof Date) return value.toISOString();
+      if (value instanceof Blob) return `[Blob ${value.type || 'unknown'} ${value.size} bytes]`;
+      if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return `[${value.constructor.name} ${value.byteLength} bytes]`;
+      if (typeof value !== 'object') return String(value);
+      if (depth >= 6) return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+      if (value instanceof Map) return { '[Map]': [...value].slice(0, MAX_ITEMS).map(([k, v]) => [toSafe(k, depth + 1), toSafe(v, depth + 1)]) };
+      if (value instanceof Set) return { '[Set]': [...value].slice(0, MAX_ITEMS).map((v) => toSafe(v, depth + 1)) };
+      if (Array.isArray(value)) return value.slice(0, MAX_ITEMS).map((v) => toSafe(v, depth + 1));
+      return Object.fromEntries(Object.entries(value).slice(0, MAX_ITEMS).map(([k, v]) => [k, toSafe(v, depth + 1)]));
+    };
+    const request = (req) => new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    const open = (name) => new Promise((resolve, reject) => {
+      const req = indexedDB.open(name);
+      // Listed databases exist; never create one that was deleted meanwhile
+      req.onupgradeneeded = () => req.transaction.abort();
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    const databases = [];
+    for (const info of await indexedDB.databases()) {
+      const entry = { name: info.name, version: info.version, stores: [] };
+      let db = null;
+      try {
+        db = await open(info.name);
+        for (const storeName of db.objectStoreNames) {
+          const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+          const [count, keys, values] = await Promise.all([
+            request(store.count()),
+            sampleSize > 0 ? request(store.getAllKeys(null, sampleSize)) : [],
+            sampleSize > 0 ? request(store.getAll(null, sampleSize)) : [],
+          ]);
+          entry.stores.push({
+            name: storeName,
+            keyPath: store.keyPath,
+            autoIncrement: store.autoIncrement,
+            indexes: [...store.indexNames],
+            count,
+            sample: keys.map((key, i) => ({ key: toSafe(key), value: toSafe(values[i]) })),
+          });
+        }
+      } catch (e) {
+        entry.error = e?.message || String(e);
+      } finally {
+        db?.close();
+      }
+      databases.push(entry);
+    }
+    return { origin: location.origin, databases };
+  }, sample);
+}
+
+/**
+ * Add or replace IndexedDB records in one store.
+ * @param {import('puppeteer').Page} page
+ * @param {{ database: string, store: string, records: Array<{ key?: *, value: * }> }} options - key only for stores without keyPath
+ * @returns {Promise<{ origin: string, database: string, store: string, put: number }>}
+ */
+export async function putIndexedDbRecords(page, { database, store, records }) {
+  return page.evaluate(async (dbName, storeName, items) => {
+    const names = (await indexedDB.databases()).map((d) => d.name);
+    if (!names.includes(dbName)) throw new Error(`No IndexedDB database "${dbName}" (have: ${names.join(', ') || 'none'})`);
+    const db = await new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    try {
+      if (!db.objectStoreNames.contains(storeName)) {
+        throw new Error(`No object store "${storeName}" in ${dbName} (have: ${[...db.objectStoreNames].join(', ') || 'none'})`);
+      }
+      const tx = db.transaction(storeName, 'readwrite');
+      const objectStore = tx.objectStore(storeName);
+      for (const item of items) {
+        if (item.key !== undefined) objectStore.put(item.value, item.key);
+        else objectStore.put(item.value);
+      }
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+      });
+      return { origin: location.origin, database: dbName, store: storeName, put: items.length };
+    } finally {
+      db.close();
+    }
+  }, database, store, records);
+}
+
+/**
+ * Clear one object store, or delete a whole IndexedDB database.
+ * Deleting a database the app still has open waits until the app closes it ("blocked": true in the result).
+ * @param {import('puppeteer').Page} page
+ * @param {{ database: string, store?: string|null }} options
+ * @returns {Promise<{ origin: string, database: string, store?: string, cleared?: boolean, deleted?: boolean, blocked?: boolean }>}
+ */
+export async function deleteIndexedDb(page, { database, store = null }) {
+  return page.evaluate(async (dbName, storeName) => {
+    const names = (await indexedDB.databases()).map((d) => d.name);
+    if (!names.includes(dbName)) throw new Error(`No IndexedDB database "${dbName}" (have: ${names.join(', ') || 'none'})`);
+    if (storeName === null) {
+      return new Promise((resolve, reject) => {
+        const req = indexedDB.deleteDatabase(dbName);
+        req.onsuccess = () => resolve({ origin: location.origin, database: dbName, deleted: true });
+        req.onerror = () => reject(req.error);
+        req.onblocked = () => resolve({ origin: location.origin, database: dbName, deleted: false, blocked: true });
+      });
+    }
+    const db = await new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    try {
+      if (!db.objectStoreNames.contains(storeName)) {
+        throw new Error(`No object store "${storeName}" in ${dbName} (have: ${[...db.objectStoreNames].join(', ') || 'none'})`);
+      }
+      const tx = db.transaction(storeName, 'readwrite');
+      tx.objectStore(storeName).clear();
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+      return { origin: location.origin, database: dbName, store: storeName, cleared: true };
+    } finally {
+      db.close();
+    }
+  }, database, store);
+}
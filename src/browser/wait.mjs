@@ -0,0 +1,203 @@
+/**
+ * Wait for page conditions instead of sleeping (POST /wait): network idle, a console message,
+ * a selector becoming visible or hidden, the URL, or a response with a given status.
+ *
+ * Console and response conditions listen to the live LogBuffer events (the same ones GET /events streams),
+ * so only messages and responses after the wait started count. Events seen while waiting are returned too.
+ */
+
+import { compileRegex, parseStatusRange } from '../logging/query.mjs';
+
+export const WAIT_DEFAULT_TIMEOUT_MS = 30_000;
+export const WAIT_MAX_TIMEOUT_MS = 300_000;
+export const SELECTOR_STATES = ['visible', 'hidden', 'attached'];
+const WAIT_KEYS = ['networkIdle', 'console', 'level', 'selector', 'state', 'url', 'response', 'status', 'match', 'timeout'];
+/** Events kept in the response (the most recent ones). */
+const WAIT_MAX_EVENTS = 200;
+/** How often the page URL is checked for the url condition (ms). */
+const URL_POLL_MS = 250;
+
+/**
+ * Validate a POST /wait body.
+ * @param {Object} body - { networkIdle?, console?, level?, selector?, state?, url?, response?, status?, match?, timeout? }
+ * @returns {{ conditions: Object[], match: 'all'|'any', timeout: number }}
+ * @throws {Error} On a missing or invalid condition
+ */
+export function normalizeWaitOptions(body = {}) {
+  const unknown = Object.keys(body).filter((key) => !WAIT_KEYS.includes(key));
+  if (unknown.length > 0) throw new Error(`Unknown field: ${unknown.join(', ')} (use ${WAIT_KEYS.join(', ')})`);
+  const conditions = [];
+
+  if (body.networkIdle !== undefined) {
+    const idleMs = Number(body.networkIdle);
+    if (!Number.isInteger(idleMs) || idleMs < 0) throw new Error(`Invalid "networkIdle": ${body.networkIdle} (ms without requests)`);
+    conditions.push({ kind: 'networkIdle', idleMs });
+  }
+  if (body.console !== undefined) {
+    const levels = body.level
+      ? new Set(String(body.level).split(',').map((l) => l.trim().toLowerCase()).filter(Boolean))
+      : null;
+    conditions.push({ kind: 'console', pattern: String(body.console), regex: compileRegex(String(body.console)), levels });
+  }
+  if (body.selector !== undefined) {
+    const state = body.state ? String(body.state) : 'visible';
+    if (!SELECTOR_STATES.includes(state)) throw new Error(`Invalid "state": ${body.state} (use ${SELECTOR_STATES.join(', ')})`);
+    conditions.push({ kind: 'selector', selector: String(body.selector), state });
+  }
+  if (body.url !== undefined) {
+    conditions.push({ kind: 'url', pattern: String(body.url), regex: compileRegex(String(body.url)) });
+  }
+  if (body.response !== undefined) {
+    const status = body.status !== undefined ? parseStatusRange(String(body.status)) : null;
+    conditions.push({ kind: 'response', pattern: String(body.response), regex: compileRegex(String(body.response)), status });
+  }
+  if (conditions.length === 0) {
+    throw new Error('No condition. Use one or more of: networkIdle (ms), console (regex), selector (+ state), url (regex), response (regex + status)');
+  }
+
+  const match = body.match ?? 'all';
+  if (match !== 'all' && match !== 'any') throw new Error(`Invalid "match": ${body.match} (all or any)`);
+
+  const timeout = body.timeout !== undefined ? Number(body.timeout) : WAIT_DEFAULT_TIMEOUT_MS;
+  if (!Number.isInteger(timeout) || timeout < 1 || timeout > WAIT_MAX_TIMEOUT_MS) {
+    throw new Error(`Invalid "timeout": ${body.timeout} (1-${WAIT_MAX_TIMEOUT_MS} ms)`);
+  }
+  return { conditions, match, timeout };
+}
+
+/** Short label of a condition for responses. */
+function describeCondition(c) {
+  switch (c.kind) {
+    case 'networkIdle': return `networkIdle ${c.idleMs}ms`;
+    case 'console': return `console /${c.pattern}/${c.levels ? ` (${[...c.levels].join(',')})` : ''}`;
+    case 'selector': return `selector ${c.selector} ${c.state}`;
+    case 'url': return `url /${c.pattern}/`;
+    default: return `response /${c.pattern}/${c.status ? ` ${c.status.min}-${c.status.max}` : ''}`;
+  }
+}
+
+/**
+ * Wait until the conditions are met (all, or any one of them) or the timeout expires.
+ * @param {import('puppeteer').Page} page
+ * @param {import('../logging/LogBuffer.mjs').LogBuffer} logBuffer - Source of live console/network events
+ * @param {Object} options - See normalizeWaitOptions
+ * @param {AbortSignal} [signal] - Stops waiting (job cancel)
+ * @returns {Promise<{ success: boolean, timedOut: boolean, durationMs: number, matched: Object[], pending: string[], events: Object[], eventsDropped: number, error?: string }>}
+ */
+export async function waitForConditions(page, logBuffer, options, signal = null) {
+  const { conditions, match, timeout } = normalizeWaitOptions(options);
+  const started = Date.now();
+  const controller = new AbortController();
+  const stop = controller.signal;
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  const events = [];
+  let eventsDropped = 0;
+  /** Event listeners of console/response conditions */
+  const eventWatchers = [];
+  const onEvent = (event) => {
+    events.push(event);
+    if (events.length > WAIT_MAX_EVENTS) {
+      events.shift();
+      eventsDropped++;
+    }
+    // Copy: a matching watcher removes itself
+    for (const watch of [...eventWatchers]) watch(event);
+  };
+  logBuffer.on('event', onEvent);
+
+  const matched = [];
+  const settle = (condition, detail) => {
+    const entry = { condition: describeCondition(condition), afterMs: Date.now() - started, ...detail };
+    matched.push(entry);
+    return entry;
+  };
+
+  const waitFor = (condition) => {
+    switch (condition.kind) {
+      case 'networkIdle':
+        return page.waitForNetworkIdle({ idleTime: condition.idleMs, timeout, signal: stop })
+          .then(() => settle(condition, {}));
+      case 'selector':
+        return page.waitForSelector(condition.selector, {
+          visible: condition.state === 'visible',
+          hidden: condition.state === 'hidden',
+          timeout,
+          signal: stop,
+        }).then((handle) => {
+          handle?.dispose().catch(() => {});
+          return settle(condition, { selector: condition.selector, state: condition.state });
+        });
+      case 'url':
+        return new Promise((resolve) => {
+          const check = () => {
+            const url = page.url();
+            if (!condition.regex.test(url)) return false;
+            clearInterval(timer);
+            resolve(settle(condition, { url }));
+            return true;
+          };
+          const timer = setInterval(check, URL_POLL_MS);
+          stop.addEventListener('abort', () => clearInterval(timer), { once: true });
+          check();
+        });
+      case 'console':
+      case 'response':
+        return new Promise((resolve) => {
+          const watch = (event) => {
+            if (condition.kind === 'console') {
+              if (event.channel !== 'console' || !condition.regex.test(event.text)) return;
+              if (condition.levels && !condition.levels.has(event.level) && !condition.levels.has(event.type)) return;
+              resolve(settle(condition, { type: event.type, level: event.level, text: event.text, timestamp: event.timestamp }));
+            } else {
+              if (event.channel !== 'network' || event.type !== 'response' || !condition.regex.test(event.url)) return;
+              if (condition.status && (event.status < condition.status.min || event.status > condition.status.max)) return;
+              resolve(settle(condition, { id: event.id, method: event.method, url: event.url, status: event.status }));
+            }
+            eventWatchers.splice(eventWatchers.indexOf(watch), 1);
+          };
+          eventWatchers.push(watch);
+        });
+    }
+  };
+
+  let timer = null;
+  let timedOut = false;
+  const aborted = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort(new Error(`Timed out after ${timeout}ms`));
+    }, timeout);
+    stop.addEventListener('abort', () => reject(stop.reason), { once: true });
+  });
+
+  let error = null;
+  try {
+    const waits = conditions.map(waitFor);
+    await Promise.race([match === 'all' ? Promise.all(waits) : Promise.any(waits), aborted]);
+  } catch (e) {
+    const cause = e instanceof AggregateError ? e.errors[0] : e;
+    // Puppeteer's own timeout for the same deadline can win the race
+    if (cause?.name === 'TimeoutError') timedOut = true;
+    error = cause?.message || String(cause);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+    if (!stop.aborted) controller.abort(new Error('Done'));
+    logBuffer.removeListener('event', onEvent);
+  }
+
+  const matchedLabels = new Set(matched.map((m) => m.condition));
+  const pending = conditions.map(describeCondition).filter((label) => !matchedLabels.has(label));
+  return {
+    success: error === null,
+    ...(error !== null ? { error: timedOut ? `Timed out after ${timeout}ms waiting for: ${pending.join('; ')}` : error } : {}),
+    timedOut,
+    durationMs: Date.now() - started,
+    matched,
+    pending: error === null ? [] : pending,
+    events,
+    eventsDropped,
+  };
+}
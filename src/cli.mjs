@@ -6,7 +6,8 @@
  * Configuration in .browsermonitor/settings.json (created on first run).
  *
  * Subcommands:
- *   init         → Create .browsermonitor/, settings.json, update agent files
+ *   init         → Create .browsermonitor/, settings.json (incl. API token), update agent files
+ *   mcp          → MCP server on stdio (open mode, or join mode with --join=PORT)
  *
  * Mode is chosen by arguments:
  *   (none)       → Interactive: menu (o = open, j = join, q = quit)
@@ -18,20 +19,26 @@
  *   --headless       Run in headless mode (default: GUI)
  *   --timeout=MS     Hard timeout in ms (default: disabled)
  *   --nav-timeout=MS Navigation timeout in ms (default: from settings)
+ *   --emulate=NAME   Emulation preset(s) for open mode, comma-separated (default: settings.emulation)
  *   --help           Show help
  */
 
+import path from 'node:path';
 import { parseArgs } from 'node:util';
 import { runJoinMode } from './monitor/join-mode.mjs';
 import { runOpenMode } from './monitor/open-mode.mjs';
 import { printAppIntro } from './intro.mjs';
-import { createHttpServer } from './http-server.mjs';
+import { createHttpServer, whenListening, closeHttpServer } from './http-server.mjs';
 import { printApiHelpTable } from './templates/api-help.mjs';
 import { printCliCommandsTable } from './templates/cli-commands.mjs';
 import { printModeHeading } from './templates/section-heading.mjs';
-import { loadSettings, getPaths, ensureDirectories, isInitialized, DEFAULT_SETTINGS, saveSettings } from './settings.mjs';
+import { loadSettings, getPaths, ensureDirectories, isInitialized, DEFAULT_SETTINGS, saveSettings, watchSettings } from './settings.mjs';
 import { runInit } from './init.mjs';
+import { runMcpMode } from './mcp-server.mjs';
+import { MockStore } from './browser/index.mjs';
 import { resolveHttpPort, resolveDefaultUrl, askMode } from './utils/ask.mjs';
+import { readServerInfo, updateServerInfo } from './utils/server-info.mjs';
+import { log } from './utils/colors.mjs';
 
 // ---- Parse CLI arguments ----
 const { values: flags, positionals } = parseArgs({
@@ -44,6 +51,7 @@ const { values: flags, positionals } = parseArgs({
     headless:      { type: 'boolean', default: false },
     timeout:       { type: 'string', default: '0' },
     'nav-timeout': { type: 'string' },
+    emulate:       { type: 'string' },
     help:          { type: 'boolean', short: 'h', default: false },
   },
   allowPositionals: true,
@@ -62,6 +70,21 @@ if (subcommand === 'init') {
   process.exit(0);
 }
 
+// Handle `browsermonitor mcp` (stdout is reserved for the protocol)
+if (subcommand === 'mcp' && !flags.help) {
+  await runMcpMode({
+    projectRoot: process.cwd(),
+    joinPort,
+    url: urlFromArgs || null,
+    headless: flags.headless,
+    realtime: flags.realtime,
+    navigationTimeout: flags['nav-timeout'] ? parseInt(flags['nav-timeout'], 10) : null,
+    emulation: flags.emulate ? flags.emulate.split(',') : null,
+    httpPort: httpPortFromArgs,
+    hardTimeout,
+  });
+}
+
 // Show help
 if (flags.help) {
   console.log(`
@@ -78,6 +101,8 @@ What it does:
   console.log(`
 Subcommands:
   init                  Create .browsermonitor/, settings.json with defaults, update agent files
+  mcp                   Run as an MCP server on stdio (tools + dump resources for AI clients).
+                          Launches Chrome like --open; with --join=PORT attaches instead.
 
 Modes (chosen by flags; only one applies):
   INTERACTIVE (default)   No flag. First run asks HTTP port and URL. Then menu:
@@ -94,10 +119,21 @@ Options:
   --headless              Run Chrome without GUI
   --timeout=MS            Hard timeout in ms; process exits after (0 = disabled)
   --nav-timeout=MS        Navigation timeout in ms (default: from settings)
+  --emulate=NAME[,NAME]   Open mode: emulation preset(s) applied at launch, e.g. iphone,slow-3g
   --help, -h              Show this help
 
 Config (.browsermonitor/settings.json):
-  defaultUrl, headless, navigationTimeout, ignorePatterns, httpPort, realtime
+  defaultUrl, headless, navigationTimeout, ignorePatterns, httpPort, realtime,
+  httpPortFallback (try the next free port when httpPort is busy; false = exit instead),
+  httpSocket (true = also serve the API on .browsermonitor/browsermonitor.sock, or a path; httpPort 0 = socket only),
+  authToken (API bearer token, generated by init; "" disables auth),
+  corsOrigins (origins allowed to call the API from a web page, e.g. ["http://localhost:5173"]),
+  allowEvaluate (enable POST /evaluate; every expression is logged to evaluate-audit.log),
+  domOptions ({ selector, depth, strip, collapse, maxBytes } for dom.html and GET /dom),
+  emulation (preset name(s) or options applied in open mode at launch, e.g. "iphone"),
+  emulationPresets (own presets for emulation and POST /emulate, e.g. { "checkout-mobile": { "device": "Pixel 5", "locale": "de-DE" } })
+  Edits to ignorePatterns, realtime, navigationTimeout, domOptions, corsOrigins, allowEvaluate and
+  emulationPresets apply while running; other keys on the next start.
 
 `);
   printApiHelpTable({ port: 60001, showApi: true, showInteractive: false, showOutputFiles: true });
@@ -120,6 +156,7 @@ Config (.browsermonitor/settings.json):
   const navigationTimeout = navTimeoutFromArgs
     ?? (config.navigationTimeout !== undefined ? config.navigationTimeout : 60_000);
   const headless = flags.headless || config.headless || false;
+  const emulation = flags.emulate ? flags.emulate.split(',') : config.emulation;
   const httpPort = await resolveHttpPort(httpPortFromArgs ?? config.httpPort, DEFAULT_SETTINGS.httpPort);
   const url = await resolveDefaultUrl(urlFromArgs || config.defaultUrl, DEFAULT_SETTINGS.defaultUrl);
   
@@ -128,19 +165,17 @@ Config (.browsermonitor/settings.json):
     saveSettings(projectRoot, { ...DEFAULT_SETTINGS, httpPort, defaultUrl: url, headless, navigationTimeout, realtime: realtimeMode });
     config = loadSettings(projectRoot);
     await runInit(projectRoot, config);
+  } else if (config.authToken === undefined) {
+    // Settings from before API auth: generate the token and refresh agent docs with it
+    await runInit(projectRoot, config);
+    config = loadSettings(projectRoot);
   }
 
-  // 5. Show API/output info (now httpPort is known)
-  printApiHelpTable({
-    url: config.defaultUrl,
-    port: config.httpPort,
-    showApi: true,
-    showInteractive: false,
-    showOutputFiles: true,
-    noLeadingNewline: true,
-    context: paths,
-  });
-
+  // 5. Start the HTTP API first: the port may fall back to the next free one
+  const running = readServerInfo(paths.serverInfoFile);
+  if (running) {
+    log.warn(`Another browsermonitor (PID ${running.pid}, ${running.mode}) already serves this project at ${running.url ?? running.socketPath}`);
+  }
   const sharedHttpState = {
     mode: 'interactive',
     logBuffer: null,
@@ -149,11 +184,45 @@ Config (.browsermonitor/settings.json):
     setCollectingPaused: () => {},
     switchToTab: async () => ({ success: false, error: 'No browser connected' }),
     getAllTabs: async () => [],
+    onModeChange: (mode) => updateServerInfo(paths.serverInfoFile, { mode }),
   };
+  // Request mocks (.browsermonitor/mocks.json), shared by the API and the monitored page
+  const mocks = new MockStore(paths.mocksFile);
   const sharedHttpServer = createHttpServer({
     port: config.httpPort,
     defaultPort: config.httpPort,
     getState: () => sharedHttpState,
+    settings: config,
+    paths,
+    mocks,
+  });
+  // settings.json edits (and PATCH /settings) reach the running monitor without a restart
+  watchSettings(paths.settingsFile, config, (changes) => sharedHttpState.applySettings?.(changes));
+  mocks.watch();
+  let listening;
+  try {
+    listening = await whenListening(sharedHttpServer);
+  } catch (err) {
+    // No API, no monitor: stop before a browser is started
+    log.error(err.message);
+    await closeHttpServer(sharedHttpServer);
+    process.exit(1);
+  }
+  const apiPort = listening?.port ?? config.httpPort;
+  if (listening?.socketPath) {
+    log.info(`HTTP API ${listening.port ? 'also ' : ''}on Unix socket ${path.relative(projectRoot, listening.socketPath)} (no token needed)`);
+  }
+
+  // 6. Show API/output info (now the actual port is known)
+  printApiHelpTable({
+    url: config.defaultUrl,
+    port: apiPort,
+    authToken: config.authToken,
+    showApi: true,
+    showInteractive: false,
+    showOutputFiles: true,
+    noLeadingNewline: true,
+    context: paths,
   });
 
   const commonOptions = {
@@ -161,11 +230,14 @@ Config (.browsermonitor/settings.json):
     paths,
     realtime: realtimeMode,
     ignorePatterns: config.ignorePatterns,
+    domOptions: config.domOptions,
     hardTimeout,
-    httpPort: config.httpPort,
+    httpPort: apiPort,
+    authToken: config.authToken,
     joinPort,
     sharedHttpState,
     sharedHttpServer,
+    mocks,
   };
 
   // 8. Dispatch to mode
@@ -174,6 +246,8 @@ Config (.browsermonitor/settings.json):
       ...commonOptions,
       headless,
       navigationTimeout,
+      emulation,
+      emulationPresets: config.emulationPresets,
     });
   } else if (joinPort !== null) {
     await runJoinMode(config.defaultUrl, commonOptions);
@@ -188,6 +262,8 @@ Config (.browsermonitor/settings.json):
         ...commonOptions,
         headless,
         navigationTimeout,
+        emulation,
+        emulationPresets: config.emulationPresets,
         skipModeHeading: true,
       });
     } else if (mode === 'j') {
@@ -1,28 +1,132 @@
 /**
  * HTTP server for browsermonitor.
  *
+ * On start the actual host/port are written to .browsermonitor/server.json (removed on close); a busy
+ * port falls back to the next free one unless settings.httpPortFallback is false. With settings.httpSocket
+ * the same API also listens on a Unix domain socket in .browsermonitor/ (mode 600), alone when httpPort is 0.
+ *
+ * Security: TCP requests need `Authorization: Bearer <settings.authToken>` (unless the token is empty);
+ * socket requests are limited by file permissions instead. Browser (cross-site) requests are rejected
+ * unless their Origin is in settings.corsOrigins.
+ *
  * Provides HTTP API endpoints for LLM/script integration:
- * - GET /dump - Trigger dump; writes files and returns paths + LLM-oriented description
+ * - GET /dump - Trigger dump; writes files (incl. web storage and IndexedDB) and returns paths, an error/request digest and LLM-oriented description
  * - GET /status - Current monitor status
+ * - GET /events - Server-Sent Events stream of live console and network events
+ * - GET /console - Query buffered console entries (read-only, no dump)
+ * - GET /network, GET /network/:id - Query buffered requests / full request+response record
+ * - GET /har - HAR 1.2 of captured requests (same data as network.har in the dump)
+ * - GET /dom - Pruned HTML of the page or of ?selector= (depth, strip, collapse, maxBytes; see logging/dom.mjs)
+ * - GET /accessibility - Accessibility tree of the page or of ?selector= (same data as a11y.json in the dump)
+ * - GET /computed-styles - Computed CSS of one or more elements; ?rules=1 adds matched rules and provenance
+ * - GET /elements, POST /elements/action - Visible interactive elements with refs; click/type/hover by ref
+ * - GET /screenshot - Viewport, full-page, element or clip screenshot to a timestamped file
+ * - GET /jobs, GET /jobs/:id, DELETE /jobs/:id - Jobs started with ?async=1 (screenshot, puppeteer, navigate, wait): status, result, cancel
  * - GET /stop, GET /start - Pause/resume collecting
+ * - GET /settings, PATCH /settings - Effective settings; change live ones (ignorePatterns, realtime, ...) without restarting
  * - POST /puppeteer - Generic Puppeteer method call: { "method": "page.goto", "args": ["https://..."] }
+ *   or an ordered script: { "steps": [{ "method": "page.type", "args": [...] }, ...], "continueOnError": false }
+ * - GET /cookies, POST /cookies, DELETE /cookies - List (?domain=, ?name=), set, and delete by name/domain or all
+ * - GET /storage, PUT /storage, DELETE /storage - localStorage, sessionStorage and IndexedDB of the page origin
+ * - GET /emulate, POST /emulate - Device, network/CPU throttling, geolocation, timezone, locale, color scheme; presets
+ * - GET /mocks, POST /mocks, PATCH /mocks/:id, DELETE /mocks[/:id] - Request mock rules (.browsermonitor/mocks.json):
+ *   stub status/headers/body, delay or abort matching requests of the monitored page
+ * - POST /navigate - goto, back, forward or reload; returns final URL, redirects, status and navigation timing
+ * - POST /wait - Wait for network idle, a console message, a selector, the URL or a response instead of sleeping
+ * - POST /evaluate - { "expression": "..." } in the page; only with settings.allowEvaluate, audited
  */
 
 import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
 import { C, log } from './utils/colors.mjs';
-import { getFullTimestamp } from './logging/index.mjs';
-import { getComputedStylesFromPage } from './logging/dump.mjs';
+import {
+  getFullTimestamp,
+  parseSince,
+  compileRegex,
+  parseLimit,
+  parseStatusRange,
+  queryConsoleRecords,
+  queryNetworkRequests,
+  buildHar,
+  collectRequestDetails,
+  buildDumpDigest,
+} from './logging/index.mjs';
+import { getComputedStylesFromPage, getAccessibilitySnapshot } from './logging/dump.mjs';
+import { extractDom, normalizeDomOptions } from './logging/dom.mjs';
 import { API_ENDPOINTS } from './templates/api-help.mjs';
+import {
+  evaluateInPage,
+  appendEvaluateAudit,
+  listInteractiveElements,
+  performElementAction,
+  ELEMENT_ACTIONS,
+  captureScreenshot,
+  normalizeScreenshotOptions,
+  getMatchedCssRules,
+  CSS_PSEUDO_ELEMENTS,
+  waitForConditions,
+  normalizeWaitOptions,
+  navigate,
+  normalizeNavigateOptions,
+  stopLoading,
+  listCookies,
+  setCookies,
+  deleteCookies,
+  normalizeCookie,
+  readWebStorage,
+  setWebStorage,
+  removeWebStorage,
+  summarizeIndexedDb,
+  putIndexedDbRecords,
+  deleteIndexedDb,
+  normalizeStorageType,
+  STORAGE_TYPES,
+  IDB_DEFAULT_SAMPLE,
+  IDB_MAX_SAMPLE,
+  applyEmulation,
+  getEmulation,
+  getEmulationPresets,
+  normalizeEmulationOptions,
+  NETWORK_PROFILES,
+  EMULATION_DEVICES,
+} from './browser/index.mjs';
+import {
+  getPaths,
+  resolveSocketPath,
+  loadSettings,
+  saveSettings,
+  validateSettings,
+  DEFAULT_SETTINGS,
+  LIVE_SETTINGS,
+  PATCHABLE_SETTINGS,
+} from './settings.mjs';
+import { writeServerInfo, removeServerInfo } from './utils/server-info.mjs';
+import { JobStore, JOB_TIMEOUT_MS } from './utils/jobs.mjs';
 
 
 /** Default timeout for Puppeteer operations (ms). */
 const PUPPETEER_CALL_TIMEOUT_MS = 30_000;
+/** Upper bound for POST /puppeteer { steps } scripts. */
+const MAX_PUPPETEER_STEPS = 100;
 /** Max request body size (bytes) for POST /puppeteer. */
 const MAX_BODY_BYTES = 5 * 1024 * 1024;
+/** Max ?selector= parameters per GET /computed-styles request. */
+const MAX_STYLE_SELECTORS = 20;
+/** Ports tried after the configured one when it is busy (settings.httpPortFallback). */
+const HTTP_PORT_FALLBACK_ATTEMPTS = 20;
+/** Interval (ms) of SSE comment lines that keep idle /events connections open through proxies. */
+const SSE_HEARTBEAT_MS = 15_000;
+
+/** createHttpServer() → promise of its listening address (see whenListening). */
+const listenResults = new WeakMap();
 
 /** Allowed page.* methods for POST /puppeteer (no evaluate by default for safety). */
-const PAGE_WHITELIST = new Set([
-  'goto', 'click', 'type', 'focus', 'hover', 'select',
+export const PAGE_WHITELIST = new Set([
+  'goto', 'goBack', 'goForward', 'reload',
+  'click', 'type', 'focus', 'hover', 'select',
   'content', 'title', 'url',
   'screenshot', 'pdf',
   'setViewport', 'setDefaultTimeout', 'setDefaultNavigationTimeout',
@@ -69,6 +173,137 @@ function readBody(req, limitBytes = MAX_BODY_BYTES) {
   });
 }
 
+/**
+ * Constant-time bearer token check.
+ * @param {http.IncomingMessage} req
+ * @param {string} token - Expected token (non-empty)
+ * @returns {boolean}
+ */
+function hasValidToken(req, token) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Whether a request coming from a web page is allowed by the CORS allowlist.
+ * Requests without Origin / Sec-Fetch-Site (curl, scripts) are not browser requests and pass.
+ * @param {http.IncomingMessage} req
+ * @param {string[]} corsOrigins - Exact origins, or '*' for any
+ * @returns {{ browser: boolean, allowed: boolean, origin: string|null }}
+ */
+function checkOrigin(req, corsOrigins) {
+  const origin = req.headers.origin || null;
+  const fetchSite = req.headers['sec-fetch-site'];
+  const browser = !!origin || (!!fetchSite && fetchSite !== 'none');
+  if (!browser) return { browser, allowed: true, origin };
+  const list = Array.isArray(corsOrigins) ? corsOrigins : [];
+  const allowed = !!origin && (list.includes('*') || list.includes(origin));
+  return { browser, allowed, origin };
+}
+
+/**
+ * Send a JSON response (pretty-printed, like all API responses).
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} payload
+ */
+function sendJson(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload, null, 2));
+}
+
+/**
+ * Read and parse a JSON request body. On failure responds 413/400 and returns null.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @returns {Promise<Object|null>} Parsed body ({} when empty)
+ */
+async function readJsonBody(req, res) {
+  try {
+    const raw = await readBody(req);
+    const body = raw ? JSON.parse(raw) : {};
+    if (body && typeof body === 'object' && !Array.isArray(body)) return body;
+    sendJson(res, 400, { success: false, error: 'JSON body must be an object', timestamp: getFullTimestamp() });
+    return null;
+  } catch (e) {
+    const isTooLarge = e?.code === 'BODY_TOO_LARGE';
+    sendJson(res, isTooLarge ? 413 : 400, {
+      success: false,
+      error: isTooLarge ? 'Request body too large (max 5MB)' : 'Invalid JSON body',
+      timestamp: getFullTimestamp(),
+    });
+    return null;
+  }
+}
+
+/**
+ * Decode the id after a route prefix (/jobs/:id, ...). On a malformed escape responds 400 and returns null.
+ * @param {http.ServerResponse} res
+ * @param {string} pathname
+ * @param {string} prefix - e.g. '/jobs/'
+ * @returns {string|null}
+ */
+function readPathParam(res, pathname, prefix) {
+  try {
+    return decodeURIComponent(pathname.slice(prefix.length));
+  } catch {
+    sendJson(res, 400, { success: false, error: `Invalid path: ${pathname}`, timestamp: getFullTimestamp() });
+    return null;
+  }
+}
+
+/**
+ * Parse a comma-separated query parameter into a lowercase Set (null when absent/empty).
+ * @param {URLSearchParams} params
+ * @param {string} name
+ * @returns {Set<string>|null}
+ */
+function parseListParam(params, name) {
+  const raw = params.getAll(name).join(',');
+  const items = raw.split(',').map((v) => v.trim().toLowerCase()).filter(Boolean);
+  return items.length > 0 ? new Set(items) : null;
+}
+
+/**
+ * Stream LogBuffer events to the client as Server-Sent Events until it disconnects.
+ * Query filters (comma-separated): channel=console,network  level=error,warn  type=pageerror,requestfailed
+ * @param {http.ServerResponse} res
+ * @param {import('./logging/LogBuffer.mjs').LogBuffer} logBuffer
+ * @param {URLSearchParams} params
+ */
+function streamEvents(res, logBuffer, params) {
+  const channels = parseListParam(params, 'channel');
+  const levels = parseListParam(params, 'level');
+  const types = parseListParam(params, 'type');
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`: browsermonitor events (${getFullTimestamp()})\n\n`);
+
+  let eventId = 0;
+  const onEvent = (event) => {
+    if (channels && !channels.has(event.channel)) return;
+    if (levels && !levels.has(event.level)) return;
+    if (types && !types.has(event.type)) return;
+    eventId++;
+    res.write(`id: ${eventId}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+  logBuffer.on('event', onEvent);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    logBuffer.removeListener('event', onEvent);
+  });
+}
+
 /**
  * Serialize Puppeteer method return value for JSON response.
  * @param {unknown} result
@@ -93,6 +328,293 @@ function serializeResult(result, methodName) {
   }
 }
 
+/**
+ * Whether the request asks for a job instead of waiting for the result (?async=1).
+ * @param {URLSearchParams} params
+ */
+function isAsync(params) {
+  const value = params.get('async');
+  return value === '1' || value === 'true';
+}
+
+/**
+ * Validate a "page.*" method name against PAGE_WHITELIST.
+ * @param {unknown} method - e.g. 'page.goto'
+ * @returns {{ methodName: string } | { error: string }}
+ */
+function resolvePageMethod(method) {
+  if (typeof method !== 'string' || !method.trim()) {
+    return { error: 'Missing or invalid "method" (e.g. "page.goto")' };
+  }
+  if (!method.startsWith('page.')) {
+    return { error: 'Only "page.*" methods are supported (e.g. "page.goto", "page.click")' };
+  }
+  const methodName = method.slice(5).trim();
+  if (!methodName || !PAGE_WHITELIST.has(methodName)) {
+    return { error: `Method "${method}" not allowed. Whitelist: ${[...PAGE_WHITELIST].sort().join(', ')}` };
+  }
+  return { methodName };
+}
+
+/** Page methods whose options object (at this argument index) accepts an AbortSignal. */
+const SIGNAL_OPTION_INDEX = { goto: 1, goBack: 0, goForward: 0, reload: 0, waitForSelector: 1 };
+/** Page methods that navigate; aborting them also stops the page load. */
+const NAVIGATION_METHODS = new Set(['goto', 'goBack', 'goForward', 'reload']);
+
+/**
+ * page.type(selector, text, options) that stops between keystrokes when the signal aborts
+ * (same steps as Puppeteer's: focus the element, then type character by character).
+ * @param {import('puppeteer').Page} page
+ * @param {Array} args - [selector, text, { delay }?]
+ * @param {AbortSignal} signal
+ */
+async function typeUntilAborted(page, [selector, text = '', options = {}], signal) {
+  await page.focus(selector);
+  for (const char of String(text)) {
+    signal.throwIfAborted();
+    await page.keyboard.type(char, { delay: options?.delay });
+  }
+}
+
+/**
+ * Call one whitelisted page method with a timeout.
+ * Screenshots and PDFs are returned as base64; waitFor runs waitForSelector first for selector actions.
+ * On timeout or abort the response comes back at once. The browser side stops too for navigations (they stop loading),
+ * waitForSelector, the waitFor pre-wait and type (no further keystrokes). Other methods (click, hover, focus, select,
+ * content, screenshot, pdf, ...) are single CDP operations that cannot be interrupted; they may still complete in the page.
+ * @param {import('puppeteer').Page} page
+ * @param {string} methodName - e.g. 'goto'
+ * @param {Array} args
+ * @param {{ timeout: number, waitFor?: boolean, signal?: AbortSignal }} options - signal: abort from outside (job cancel)
+ * @returns {Promise<{ success: true, result: unknown } | { success: false, error: string }>}
+ */
+async function callPageMethod(page, methodName, args, { timeout, waitFor = false, signal = null }) {
+  let callArgs = args;
+  if (methodName === 'screenshot') {
+    const opts = (args[0] && typeof args[0] === 'object' && !Array.isArray(args[0]))
+      ? { ...args[0], encoding: args[0].encoding ?? 'base64' }
+      : { encoding: 'base64' };
+    callArgs = [opts];
+  }
+  if (methodName === 'pdf' && args[0] && typeof args[0] === 'object') {
+    callArgs = [{ ...args[0], encoding: args[0].encoding ?? 'base64' }];
+  }
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) return { success: false, error: signal.reason?.message || 'Cancelled' };
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = setTimeout(() => controller.abort(new Error(`Timeout after ${timeout}ms`)), timeout);
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+
+  const signalIndex = SIGNAL_OPTION_INDEX[methodName];
+  if (signalIndex !== undefined) {
+    callArgs = [...callArgs];
+    const opts = callArgs[signalIndex];
+    callArgs[signalIndex] = { ...(opts && typeof opts === 'object' ? opts : {}), signal: controller.signal };
+  }
+
+  try {
+    // Auto waitForSelector before click/hover if requested
+    if (waitFor && ['click', 'hover', 'focus', 'type'].includes(methodName) && typeof callArgs[0] === 'string') {
+      await Promise.race([page.waitForSelector(callArgs[0], { timeout, signal: controller.signal }), aborted]);
+    }
+    const fn = page[methodName];
+    if (typeof fn !== 'function') {
+      return { success: false, error: `Page method "${methodName}" is not a function` };
+    }
+    const call = methodName === 'type' ? typeUntilAborted(page, callArgs, controller.signal) : fn.apply(page, callArgs);
+    const result = await Promise.race([call, aborted]);
+    const serialized = serializeResult(result, methodName);
+    if ('error' in serialized) return { success: false, error: serialized.error };
+    return { success: true, result: serialized.serialized };
+  } catch (err) {
+    if (controller.signal.aborted && NAVIGATION_METHODS.has(methodName)) {
+      await stopLoading(page).catch(() => {});
+    }
+    return { success: false, error: err.message || String(err) };
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Validate POST /puppeteer steps before anything runs.
+ * @param {unknown} steps
+ * @param {number} defaultTimeout
+ * @returns {{ steps: Array<{ method: string, methodName: string, args: Array, timeout: number, waitFor: boolean, continueOnError: boolean|null }> } | { error: string }}
+ */
+function parsePuppeteerSteps(steps, defaultTimeout) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return { error: '"steps" must be a non-empty array of { "method": "page.*", "args": [...] }' };
+  }
+  if (steps.length > MAX_PUPPETEER_STEPS) {
+    return { error: `Too many steps (max ${MAX_PUPPETEER_STEPS})` };
+  }
+  const parsed = [];
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      return { error: `Step ${i}: expected an object { "method": "page.*", "args": [...] }` };
+    }
+    const resolved = resolvePageMethod(step.method);
+    if ('error' in resolved) return { error: `Step ${i}: ${resolved.error}` };
+    parsed.push({
+      method: step.method,
+      methodName: resolved.methodName,
+      args: Array.isArray(step.args) ? step.args : [],
+      timeout: typeof step.timeout === 'number' ? step.timeout : defaultTimeout,
+      waitFor: step.waitFor === true,
+      continueOnError: typeof step.continueOnError === 'boolean' ? step.continueOnError : null,
+    });
+  }
+  return { steps: parsed };
+}
+
+/**
+ * Run validated steps in order on one page.
+ * Stops at the first failed step unless continueOnError (global or per step) is set;
+ * the first failure is captured as a screenshot at that moment.
+ * @param {import('puppeteer').Page} page
+ * @param {Array} steps - From parsePuppeteerSteps
+ * @param {{ continueOnError?: boolean, failureScreenshotPath?: string|null, signal?: AbortSignal }} options - signal stops the script (job cancel)
+ * @returns {Promise<{ success: boolean, durationMs: number, steps: Object[], failure: Object|null }>}
+ */
+async function runPuppeteerSteps(page, steps, { continueOnError = false, failureScreenshotPath = null, signal = null }) {
+  const started = Date.now();
+  const results = [];
+  let failure = null;
+  let stopped = false;
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    if (stopped) {
+      results.push({ index: i, method: step.method, skipped: true });
+      continue;
+    }
+    const stepStarted = Date.now();
+    const outcome = await callPageMethod(page, step.methodName, step.args, { ...step, signal });
+    const durationMs = Date.now() - stepStarted;
+    if (outcome.success) {
+      results.push({ index: i, method: step.method, success: true, result: outcome.result, durationMs });
+      continue;
+    }
+    results.push({ index: i, method: step.method, success: false, error: outcome.error, durationMs });
+    if (!failure) {
+      failure = { index: i, method: step.method, error: outcome.error, screenshot: null };
+      if (failureScreenshotPath && !signal?.aborted) {
+        try {
+          fs.mkdirSync(path.dirname(failureScreenshotPath), { recursive: true });
+          await page.screenshot({ path: failureScreenshotPath, type: 'png' });
+          failure.screenshot = failureScreenshotPath;
+        } catch (e) {
+          failure.screenshotError = e.message;
+        }
+      }
+    }
+    if (!(step.continueOnError ?? continueOnError) || signal?.aborted) stopped = true;
+  }
+
+  return { success: failure === null, durationMs: Date.now() - started, steps: results, failure };
+}
+
+/**
+ * Listen on a TCP port, moving to the next one while busy (when portFallback is on).
+ * @param {http.Server} server
+ * @param {{ port: number, host: string, portFallback: boolean }} options
+ * @returns {Promise<{ port: number }|null>} null when the server failed to start; rejects when the port
+ *   (and every fallback port) is in use, since the monitor must not run without its API
+ */
+function listenOnPort(server, { port, host, portFallback }) {
+  return new Promise((resolve, reject) => {
+    let listenPort = port;
+    server.on('listening', () => {
+      const actualPort = server.address().port;
+      if (actualPort !== port) log.warn(`HTTP server port ${port} is in use; API listens on port ${actualPort}`);
+      resolve({ port: actualPort });
+    });
+    server.on('error', (err) => {
+      if (err.code === 'EADDRINUSE') {
+        if (portFallback && listenPort < port + HTTP_PORT_FALLBACK_ATTEMPTS && listenPort < 65535) {
+          listenPort++;
+          server.listen(listenPort, host);
+          return;
+        }
+        // The API is how agents reach the monitor: the caller stops instead of running without it
+        reject(new Error(`${portFallback
+          ? `HTTP server ports ${port}-${listenPort} are all in use`
+          : `HTTP server port ${port} is already in use (httpPortFallback is off)`}. `
+          + 'Set another "httpPort" in .browsermonitor/settings.json or pass --port=PORT.'));
+        return;
+      }
+      log.error(`HTTP server error: ${err.message}`);
+      resolve(null);
+    });
+    server.listen(port, host);
+  });
+}
+
+/**
+ * Listen on a Unix domain socket readable only by the current user (mode 600).
+ * A socket file left behind by a crashed process is replaced; one with a live server is not.
+ * @param {http.Server} server
+ * @param {string} socketPath
+ * @param {{ required: boolean }} options - required: the socket is the only listener (reject when it cannot start)
+ * @returns {Promise<string|null>} The socket path, or null when it could not be used
+ */
+function listenOnSocket(server, socketPath, { required }) {
+  // Created with owner-only permissions; chmod afterwards covers platforms that ignore the umask for sockets
+  const bind = () => {
+    const previousUmask = process.umask(0o177);
+    try {
+      server.listen(socketPath);
+    } finally {
+      process.umask(previousUmask);
+    }
+  };
+  return new Promise((resolve, reject) => {
+    let retried = false;
+    const fail = (message) => {
+      if (required) {
+        reject(new Error(message));
+        return;
+      }
+      log.warn(`${message}; API is available on TCP only`);
+      resolve(null);
+    };
+    server.on('listening', () => {
+      try {
+        fs.chmodSync(socketPath, 0o600);
+      } catch (e) {
+        log.warn(`Could not restrict permissions of ${socketPath}: ${e.message}`);
+      }
+      resolve(socketPath);
+    });
+    server.on('error', (err) => {
+      if (err.code !== 'EADDRINUSE' || retried) {
+        fail(`HTTP socket ${socketPath}: ${err.message}`);
+        return;
+      }
+      retried = true;
+      // Stale file from a process that did not close the server, or another instance still listening?
+      const probe = net.connect(socketPath);
+      probe.once('connect', () => {
+        probe.destroy();
+        fail(`HTTP socket ${socketPath} is in use by another browsermonitor`);
+      });
+      probe.once('error', () => {
+        fs.rmSync(socketPath, { force: true });
+        bind();
+      });
+    });
+    fs.mkdirSync(path.dirname(socketPath), { recursive: true });
+    bind();
+  });
+}
+
 /**
  * Create and start the HTTP server for monitor API.
  * Supports two modes:
@@ -100,17 +622,22 @@ function serializeResult(result, methodName) {
  * - Direct options (logBuffer, getPages, ...): classic per-mode server.
  *
  * @param {Object} options - Server options
- * @param {number} options.port - Port to listen on (default: 60001, 0 = disabled)
+ * @param {number} options.port - Port to listen on (default: 60001, 0 = no TCP listener)
  * @param {string} options.host - Host to bind (default: 127.0.0.1)
- * @param {Function} [options.getState] - () => ({ mode, logBuffer, getPages, getCollectingPaused, setCollectingPaused }) for shared state
+ * @param {Function} [options.getState] - () => ({ mode, logBuffer, getPages, getCollectingPaused, setCollectingPaused, applySettings }) for shared state
  * @param {string} [options.mode] - Monitor mode when not using getState
  * @param {Object} [options.logBuffer] - LogBuffer when not using getState
  * @param {Function} [options.getPages] - When not using getState
  * @param {Function} [options.getCollectingPaused] - When not using getState
  * @param {Function} [options.setCollectingPaused] - When not using getState
  * @param {Function} [options.onDump] - Optional callback when dump is requested
+ * @param {Object} [options.settings] - Project settings, read on every request (authToken, corsOrigins, allowEvaluate, domOptions);
+ *   PATCH /settings updates it in place
+ *   and at start (httpPortFallback, httpSocket)
+ * @param {Object} [options.paths] - getPaths() of the project (evaluate audit log, server.json); defaults to cwd
+ * @param {import('./browser/mocks.mjs').MockStore|null} [options.mocks] - Request mock rules behind /mocks (shared with the page monitoring)
  * @param {number} [options.defaultPort=60001] - Default port; if port differs, "(changed)" is shown
- * @returns {http.Server|null} Server instance or null if port is 0
+ * @returns {http.Server|null} The TCP server (the socket server when port is 0), or null when both are disabled
  */
 export function createHttpServer(options) {
   const {
@@ -124,9 +651,13 @@ export function createHttpServer(options) {
     getCollectingPaused = () => false,
     setCollectingPaused = () => {},
     onDump = null,
+    settings = {},
+    paths = getPaths(process.cwd()),
+    mocks = null,
   } = options;
 
-  if (port === 0) {
+  const socketPath = resolveSocketPath(settings.httpSocket, paths);
+  if (port === 0 && !socketPath) {
     log.dim('HTTP server disabled (port 0)');
     return null;
   }
@@ -142,6 +673,7 @@ export function createHttpServer(options) {
         setCollectingPaused: s.setCollectingPaused ?? (() => {}),
         switchToTab: s.switchToTab ?? (async () => ({ success: false, error: 'Not available' })),
         getAllTabs: s.getAllTabs ?? (async () => []),
+        applySettings: s.applySettings ?? (() => {}),
       };
     }
     return {
@@ -152,22 +684,79 @@ export function createHttpServer(options) {
       setCollectingPaused,
       switchToTab: async () => ({ success: false, error: 'Not available' }),
       getAllTabs: async () => [],
+      applySettings: () => {},
     };
   }
 
-  const server = http.createServer(async (req, res) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  const jobs = new JobStore();
+
+  /** Run an operation as a job (?async=1) and answer 202 with its id instead of waiting. */
+  function sendJobStarted(res, kind, run, options) {
+    const job = jobs.start(kind, run, options);
+    sendJson(res, 202, { success: true, job, poll: `/jobs/${job.id}`, timestamp: getFullTimestamp() });
+  }
+
+  /** Entry point of both listeners: an unexpected error answers 500 instead of taking the monitor down. */
+  async function handleRequest(req, res) {
+    try {
+      await routeRequest(req, res);
+    } catch (err) {
+      log.error(`HTTP ${req.method} ${req.url}: ${err.message}`);
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      sendJson(res, 500, { success: false, error: err.message, timestamp: getFullTimestamp() });
+    }
+  }
+
+  async function routeRequest(req, res) {
+    const originCheck = checkOrigin(req, settings.corsOrigins);
+    if (originCheck.browser && originCheck.allowed) {
+      res.setHeader('Access-Control-Allow-Origin', originCheck.origin);
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    }
 
     if (req.method === 'OPTIONS') {
-      res.writeHead(200);
+      res.writeHead(originCheck.allowed ? 204 : 403);
       res.end();
       return;
     }
 
+    if (!originCheck.allowed) {
+      sendJson(res, 403, {
+        success: false,
+        error: `Origin ${originCheck.origin ?? '(cross-site)'} is not allowed. Add it to "corsOrigins" in .browsermonitor/settings.json.`,
+        timestamp: getFullTimestamp(),
+      });
+      return;
+    }
+
+    // Unix socket connections have no remote address; file permissions stand in for the token there
+    const viaSocket = req.socket.remoteAddress === undefined;
+    if (settings.authToken && !viaSocket && !hasValidToken(req, settings.authToken)) {
+      res.setHeader('WWW-Authenticate', 'Bearer realm="browsermonitor"');
+      sendJson(res, 401, {
+        success: false,
+        error: 'Missing or invalid token. Send "Authorization: Bearer <authToken>" (authToken is in .browsermonitor/settings.json).',
+        timestamp: getFullTimestamp(),
+      });
+      return;
+    }
+
     const s = state();
     const noBrowser = !s.logBuffer;
+    // Only the path and query are used; the Host header is client input and may not parse
+    let urlObj;
+    try {
+      urlObj = new URL(req.url, 'http://localhost');
+    } catch {
+      sendJson(res, 400, { success: false, error: `Invalid request URL: ${req.url}`, timestamp: getFullTimestamp() });
+      return;
+    }
+    const pathname = urlObj.pathname;
 
     // GET /dump
     if (req.url === '/dump' && req.method === 'GET') {
@@ -186,9 +775,17 @@ export function createHttpServer(options) {
         const pages = s.getPages();
         const page = pages.length > 0 ? pages[0] : null;
 
+        // Digest first: the dump clears the buffers
+        const digest = buildDumpDigest(s.logBuffer, {
+          url: page ? page.url() : null,
+          title: page ? await page.title().catch(() => null) : null,
+        });
+
         await s.logBuffer.dumpBuffersToFiles({
           dumpCookies: page ? () => s.logBuffer.dumpCookiesFromPage(page) : null,
           dumpDom: page ? () => s.logBuffer.dumpDomFromPage(page) : null,
+          dumpA11y: page ? () => s.logBuffer.dumpAccessibilityFromPage(page) : null,
+          dumpStorage: page ? () => s.logBuffer.dumpStorageFromPage(page) : null,
           dumpScreenshot: page ? () => s.logBuffer.dumpScreenshotFromPage(page) : null,
         });
 
@@ -198,13 +795,19 @@ export function createHttpServer(options) {
         res.end(JSON.stringify({
           success: true,
           timestamp: getFullTimestamp(),
-          message: 'Dump completed. Read the files below.',
+          message: 'Dump completed. Check digest for errors and failed requests, then read the files below.',
+          digest,
           files: [
             { path: s.logBuffer.DOM_HTML, what: 'Current page HTML (JS-modified DOM). Use for element tree and structure.' },
+            { path: s.logBuffer.A11Y_JSON, what: 'Accessibility tree (roles, names, states) – compact page structure; read before dom.html.' },
+            { path: s.logBuffer.LOCAL_STORAGE_JSON, what: 'localStorage of the page origin (key → value).' },
+            { path: s.logBuffer.SESSION_STORAGE_JSON, what: 'sessionStorage of the page origin (key → value).' },
+            { path: s.logBuffer.INDEXEDDB_JSON, what: 'IndexedDB of the page origin: databases, stores, record counts, sample records.' },
             { path: s.logBuffer.SCREENSHOT, what: 'Screenshot of the current tab viewport (PNG).' },
             { path: s.logBuffer.CONSOLE_LOG, what: 'Browser console output (logs, errors, warnings).' },
             { path: s.logBuffer.NETWORK_LOG, what: 'Network requests overview (one line per request with ID).' },
             { path: s.logBuffer.NETWORK_DIR, what: 'Directory with one JSON per request: full headers, payload, response (see IDs in network log).' },
+            { path: s.logBuffer.NETWORK_HAR, what: 'All requests as HAR 1.2 (open in DevTools, Charles or any HAR viewer).' },
             { path: s.logBuffer.COOKIES_DIR, what: 'Directory with cookies per domain (JSON files).' },
           ],
         }, null, 2));
@@ -238,6 +841,233 @@ export function createHttpServer(options) {
       return;
     }
 
+    // GET /jobs - jobs started with ?async=1 (newest first, without results)
+    if (pathname === '/jobs' && req.method === 'GET') {
+      sendJson(res, 200, { success: true, jobs: jobs.list(), timestamp: getFullTimestamp() });
+      return;
+    }
+
+    // GET /jobs/:id - status and, once finished, the result; DELETE /jobs/:id - cancel
+    if (pathname.startsWith('/jobs/') && (req.method === 'GET' || req.method === 'DELETE')) {
+      const id = readPathParam(res, pathname, '/jobs/');
+      if (id === null) return;
+      if (req.method === 'GET') {
+        const job = jobs.get(id);
+        sendJson(res, job ? 200 : 404, job
+          ? { success: true, job, timestamp: getFullTimestamp() }
+          : { success: false, error: `Unknown job: ${id}`, timestamp: getFullTimestamp() });
+        return;
+      }
+      const { job, cancelled } = await jobs.cancel(id);
+      if (!job) {
+        sendJson(res, 404, { success: false, error: `Unknown job: ${id}`, timestamp: getFullTimestamp() });
+        return;
+      }
+      sendJson(res, cancelled ? 200 : 409, {
+        success: cancelled,
+        ...(cancelled ? {} : { error: `Job already ${job.status}` }),
+        job,
+        timestamp: getFullTimestamp(),
+      });
+      return;
+    }
+
+    // GET /settings - effective settings (token redacted)
+    if (pathname === '/settings' && req.method === 'GET') {
+      sendJson(res, 200, {
+        success: true,
+        settings: { ...DEFAULT_SETTINGS, ...settings, authToken: settings.authToken ? '(set)' : '' },
+        live: LIVE_SETTINGS,
+        patchable: PATCHABLE_SETTINGS,
+        timestamp: getFullTimestamp(),
+      });
+      return;
+    }
+
+    // PATCH /settings { "ignorePatterns": [...], ... } - apply to the running monitor, save to settings.json (?persist=0: memory only)
+    if (pathname === '/settings' && req.method === 'PATCH') {
+      const body = await readJsonBody(req, res);
+      if (!body) return;
+      const keys = Object.keys(body);
+      const notPatchable = keys.filter((key) => !PATCHABLE_SETTINGS.includes(key));
+      if (keys.length === 0 || notPatchable.length > 0) {
+        sendJson(res, 400, {
+          success: false,
+          error: keys.length === 0
+            ? `Empty body. Settings that can be changed: ${PATCHABLE_SETTINGS.join(', ')}`
+            : `Cannot change ${notPatchable.join(', ')} through the API (allowed: ${PATCHABLE_SETTINGS.join(', ')}; edit settings.json for the rest)`,
+          timestamp: getFullTimestamp(),
+        });
+        return;
+      }
+      try {
+        validateSettings(body);
+      } catch (e) {
+        sendJson(res, 400, { success: false, error: e.message, timestamp: getFullTimestamp() });
+        return;
+      }
+      const previousValues = Object.fromEntries(keys.map((key) => [key, settings[key] ?? DEFAULT_SETTINGS[key]]));
+      Object.assign(settings, body);
+      try {
+        s.applySettings(body);
+      } catch (err) {
+        // Undo what was applied before the failure; nothing is saved
+        Object.assign(settings, previousValues);
+        try {
+          s.applySettings(previousValues);
+        } catch (e) {
+          log.warn(`Could not restore settings: ${e.message}`);
+        }
+        sendJson(res, 500, { success: false, error: err.message, timestamp: getFullTimestamp() });
+        return;
+      }
+      const persist = urlObj.searchParams.get('persist') !== '0';
+      if (persist) {
+        const projectRoot = path.dirname(paths.bmDir);
+        try {
+          saveSettings(projectRoot, { ...loadSettings(projectRoot), ...body });
+        } catch (err) {
+          sendJson(res, 500, {
+            success: false,
+            error: `Applied to the running monitor, but settings.json was not saved: ${err.message}`,
+            applied: body,
+            persisted: false,
+            timestamp: getFullTimestamp(),
+          });
+          return;
+        }
+      }
+      sendJson(res, 200, { success: true, applied: body, persisted: persist, timestamp: getFullTimestamp() });
+      return;
+    }
+
+    // GET /events?channel=...&level=... - live SSE stream
+    if (pathname === '/events' && req.method === 'GET') {
+      if (noBrowser) {
+        sendJson(res, 200, {
+          success: false,
+          message: 'No browser connected. Connect with open/join first, then subscribe to /events.',
+          timestamp: getFullTimestamp(),
+        });
+        return;
+      }
+      streamEvents(res, s.logBuffer, urlObj.searchParams);
+      return;
+    }
+
+    // GET /console?level=error,warn&regex=...&since=5m&limit=50 - read-only, buffers and files untouched
+    if (pathname === '/console' && req.method === 'GET') {
+      if (noBrowser) {
+        sendJson(res, 200, { success: false, entries: [], message: 'No browser connected.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const params = urlObj.searchParams;
+      let filters;
+      try {
+        filters = {
+          levels: parseListParam(params, 'level'),
+          regex: compileRegex(params.get('regex')),
+          since: parseSince(params.get('since')),
+          limit: parseLimit(params.get('limit')),
+        };
+      } catch (err) {
+        sendJson(res, 400, { success: false, error: err.message, timestamp: getFullTimestamp() });
+        return;
+      }
+      const { total, entries } = queryConsoleRecords(s.logBuffer, filters);
+      const payload = {
+        success: true,
+        timestamp: getFullTimestamp(),
+        total,
+        count: entries.length,
+        entries,
+      };
+      if (!s.logBuffer.lazyMode) {
+        payload.message = 'Realtime mode: console output goes straight to the log file; nothing is buffered. Read the console log file instead.';
+      }
+      sendJson(res, 200, payload);
+      return;
+    }
+
+    // GET /network?method=&url=&urlRegex=&type=&status=&failed=1&minDuration=&limit= - read-only
+    if (pathname === '/network' && req.method === 'GET') {
+      if (noBrowser) {
+        sendJson(res, 200, { success: false, requests: [], message: 'No browser connected.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const params = urlObj.searchParams;
+      let filters;
+      try {
+        const minDurationParam = params.get('minDuration');
+        const minDuration = minDurationParam ? Number(minDurationParam) : null;
+        if (minDuration !== null && !(minDuration >= 0)) {
+          throw new Error(`Invalid "minDuration": ${minDurationParam} (ms)`);
+        }
+        filters = {
+          methods: parseListParam(params, 'method'),
+          url: params.get('url'),
+          urlRegex: compileRegex(params.get('urlRegex')),
+          types: parseListParam(params, 'type'),
+          status: parseStatusRange(params.get('status')),
+          failedOnly: ['1', 'true'].includes(params.get('failed')),
+          minDuration,
+          limit: parseLimit(params.get('limit')),
+        };
+      } catch (err) {
+        sendJson(res, 400, { success: false, error: err.message, timestamp: getFullTimestamp() });
+        return;
+      }
+      const { total, requests } = queryNetworkRequests(s.logBuffer, filters);
+      const payload = {
+        success: true,
+        timestamp: getFullTimestamp(),
+        total,
+        count: requests.length,
+        requests,
+      };
+      if (!s.logBuffer.lazyMode) {
+        payload.message = `Realtime mode: request details are written straight to ${s.logBuffer.NETWORK_DIR}; nothing is buffered.`;
+      }
+      sendJson(res, 200, payload);
+      return;
+    }
+
+    // GET /network/:id - full stored request/response record
+    if (pathname.startsWith('/network/') && req.method === 'GET') {
+      const id = readPathParam(res, pathname, '/network/');
+      if (id === null) return;
+      const detail = s.logBuffer?.requestDetails.get(id) ?? s.logBuffer?.requestDetails.get(id.padStart(3, '0'));
+      if (!detail) {
+        sendJson(res, 404, {
+          success: false,
+          error: noBrowser ? 'No browser connected.' : `No buffered request with id ${id}. Use GET /network to list ids.`,
+          timestamp: getFullTimestamp(),
+        });
+        return;
+      }
+      sendJson(res, 200, { success: true, timestamp: getFullTimestamp(), request: detail });
+      return;
+    }
+
+    // GET /har - HAR 1.2 of captured requests (read-only, buffers untouched)
+    if (pathname === '/har' && req.method === 'GET') {
+      if (noBrowser) {
+        sendJson(res, 200, { success: false, message: 'No browser connected.', timestamp: getFullTimestamp() });
+        return;
+      }
+      try {
+        const har = buildHar(collectRequestDetails(s.logBuffer));
+        res.writeHead(200, {
+          'Content-Type': 'application/json',
+          'Content-Disposition': 'inline; filename="network.har"',
+        });
+        res.end(JSON.stringify(har, null, 2));
+      } catch (err) {
+        sendJson(res, 500, { success: false, error: err.message, timestamp: getFullTimestamp() });
+      }
+      return;
+    }
+
     // GET /stop
     if (req.url === '/stop' && req.method === 'GET') {
       s.setCollectingPaused(true);
@@ -303,12 +1133,182 @@ export function createHttpServer(options) {
       return;
     }
 
-    // GET /computed-styles?selector=...
-    if (req.url?.startsWith('/computed-styles') && req.method === 'GET') {
-      const urlObj = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
-      const selector = urlObj.searchParams.get('selector') || 'body';
+    // GET /dom?selector=...&depth=...&strip=scripts,styles,svg&collapse=N&format=html - pruned DOM, no dump
+    if (pathname === '/dom' && req.method === 'GET') {
       if (noBrowser) {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
+        sendJson(res, 200, { success: false, message: 'No browser connected.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const pages = s.getPages();
+      const page = pages.length > 0 ? pages[0] : null;
+      if (!page) {
+        sendJson(res, 200, { success: false, message: 'No monitored page.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const params = urlObj.searchParams;
+      // Query parameters override settings.domOptions
+      const domOptions = { ...(settings.domOptions || {}) };
+      for (const key of ['selector', 'depth', 'strip', 'collapse', 'maxBytes']) {
+        if (params.has(key)) domOptions[key] = params.get(key);
+      }
+      let options;
+      try {
+        options = normalizeDomOptions(domOptions);
+      } catch (e) {
+        sendJson(res, 400, { success: false, error: e.message, timestamp: getFullTimestamp() });
+        return;
+      }
+      let result;
+      try {
+        result = await extractDom(page, options);
+      } catch (e) {
+        sendJson(res, 500, { success: false, error: e.message, timestamp: getFullTimestamp() });
+        return;
+      }
+      if (result.error) {
+        sendJson(res, result.invalidSelector ? 400 : 200, { success: false, error: result.error, timestamp: getFullTimestamp() });
+        return;
+      }
+      if (params.get('format') === 'html') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(result.html);
+        return;
+      }
+      sendJson(res, 200, { success: true, timestamp: getFullTimestamp(), url: page.url(), ...result });
+      return;
+    }
+
+    // GET /accessibility?selector=...&interestingOnly=0 - accessibility tree, no dump
+    if (pathname === '/accessibility' && req.method === 'GET') {
+      if (noBrowser) {
+        sendJson(res, 200, { success: false, message: 'No browser connected.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const pages = s.getPages();
+      const page = pages.length > 0 ? pages[0] : null;
+      if (!page) {
+        sendJson(res, 200, { success: false, message: 'No monitored page.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const interestingParam = urlObj.searchParams.get('interestingOnly');
+      try {
+        const result = await getAccessibilitySnapshot(page, {
+          selector: urlObj.searchParams.get('selector') || null,
+          interestingOnly: !(interestingParam === '0' || interestingParam === 'false'),
+        });
+        sendJson(res, 200, { success: !result.error, timestamp: getFullTimestamp(), ...result });
+      } catch (err) {
+        sendJson(res, 500, { success: false, error: err.message, timestamp: getFullTimestamp() });
+      }
+      return;
+    }
+
+    // GET /screenshot?selector=...&fullPage=1&clip=x,y,w,h&format=jpeg&quality=80&name=... - capture to a file
+    if (pathname === '/screenshot' && req.method === 'GET') {
+      if (noBrowser) {
+        sendJson(res, 200, { success: false, message: 'No browser connected.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const pages = s.getPages();
+      const page = pages.length > 0 ? pages[0] : null;
+      if (!page) {
+        sendJson(res, 200, { success: false, message: 'No monitored page.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const params = urlObj.searchParams;
+      let options;
+      try {
+        options = normalizeScreenshotOptions(Object.fromEntries(params));
+      } catch (e) {
+        sendJson(res, 400, { success: false, error: e.message, timestamp: getFullTimestamp() });
+        return;
+      }
+      const capture = async (signal) => {
+        const result = await captureScreenshot(page, options, {
+          dir: s.logBuffer?.SCREENSHOTS_DIR ?? paths.screenshotsDir,
+          latestPath: s.logBuffer?.SCREENSHOT ?? paths.screenshot,
+          signal,
+        });
+        return { success: !result.error, ...result };
+      };
+      if (isAsync(params)) {
+        sendJobStarted(res, 'screenshot', capture);
+        return;
+      }
+      try {
+        sendJson(res, 200, { ...(await capture()), timestamp: getFullTimestamp() });
+      } catch (e) {
+        sendJson(res, 500, { success: false, error: e.message, timestamp: getFullTimestamp() });
+      }
+      return;
+    }
+
+    // GET /elements?viewportOnly=1&limit=200 - visible interactive elements with refs
+    if (pathname === '/elements' && req.method === 'GET') {
+      if (noBrowser) {
+        sendJson(res, 200, { success: false, elements: [], message: 'No browser connected.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const pages = s.getPages();
+      const page = pages.length > 0 ? pages[0] : null;
+      if (!page) {
+        sendJson(res, 200, { success: false, elements: [], message: 'No monitored page.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const params = urlObj.searchParams;
+      let limit;
+      try {
+        limit = parseLimit(params.get('limit'));
+      } catch (e) {
+        sendJson(res, 400, { success: false, error: e.message, timestamp: getFullTimestamp() });
+        return;
+      }
+      try {
+        const viewportOnly = params.get('viewportOnly') === '1' || params.get('viewportOnly') === 'true';
+        const result = await listInteractiveElements(page, { viewportOnly, ...(limit !== null ? { limit } : {}) });
+        sendJson(res, 200, { success: true, timestamp: getFullTimestamp(), ...result });
+      } catch (err) {
+        sendJson(res, 500, { success: false, error: err.message, timestamp: getFullTimestamp() });
+      }
+      return;
+    }
+
+    // POST /elements/action - { "ref": 3, "action": "click" | "type" | "hover" | "focus" | "select", ... }
+    if (pathname === '/elements/action' && req.method === 'POST') {
+      const body = await readJsonBody(req, res);
+      if (!body) return;
+      let error = null;
+      if (!Number.isInteger(body.ref) || body.ref < 1) error = 'Missing or invalid "ref" (number from GET /elements)';
+      else if (!ELEMENT_ACTIONS.includes(body.action)) error = `Invalid "action". Use one of: ${ELEMENT_ACTIONS.join(', ')}`;
+      else if (body.action === 'type' && typeof body.text !== 'string') error = '"type" needs "text"';
+      else if (body.action === 'select' && !Array.isArray(body.values)) error = '"select" needs "values" (array of option values)';
+      if (error) {
+        sendJson(res, 400, { success: false, error, timestamp: getFullTimestamp() });
+        return;
+      }
+      const pages = s.getPages();
+      const page = pages.length > 0 ? pages[0] : null;
+      if (noBrowser || !page) {
+        sendJson(res, 200, {
+          success: false,
+          error: 'No browser or page connected. Use open/join mode first.',
+          timestamp: getFullTimestamp(),
+        });
+        return;
+      }
+      try {
+        const outcome = await performElementAction(page, body);
+        sendJson(res, 200, { ...outcome, timestamp: getFullTimestamp() });
+      } catch (err) {
+        sendJson(res, 500, { success: false, error: err.message, timestamp: getFullTimestamp() });
+      }
+      return;
+    }
+
+    // GET /computed-styles?selector=...&selector=...&properties=color,font-size&pseudo=before&rules=1
+    if (req.url?.startsWith('/computed-styles') && req.method === 'GET') {
+      if (noBrowser) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
           success: false,
           message: 'No browser connected.',
@@ -327,15 +1327,48 @@ export function createHttpServer(options) {
         }, null, 2));
         return;
       }
+      const params = urlObj.searchParams;
+      const selectors = params.getAll('selector').filter(Boolean);
+      if (selectors.length === 0) selectors.push('body');
+      // Property names keep their case (custom properties are case-sensitive)
+      const listParam = (name) => params.getAll(name).join(',').split(',').map((v) => v.trim()).filter(Boolean);
+      const properties = listParam('properties');
+      const pseudo = listParam('pseudo').map((p) => p.replace(/^:+/, '').toLowerCase());
+      const unknownPseudo = pseudo.filter((p) => !CSS_PSEUDO_ELEMENTS.includes(p));
+      const badRequest = selectors.length > MAX_STYLE_SELECTORS
+        ? `At most ${MAX_STYLE_SELECTORS} selectors per request`
+        : unknownPseudo.length > 0
+          ? `Unknown pseudo-element: ${unknownPseudo.join(', ')} (use ${CSS_PSEUDO_ELEMENTS.join(', ')})`
+          : null;
+      if (badRequest) {
+        sendJson(res, 400, { success: false, error: badRequest, timestamp: getFullTimestamp() });
+        return;
+      }
+      const withRules = params.get('rules') === '1' || params.get('rules') === 'true';
+      const userAgent = params.get('userAgent') === '1' || params.get('userAgent') === 'true';
       try {
-        const result = await getComputedStylesFromPage(page, selector);
+        const styleOptions = { properties: properties.length > 0 ? properties : null, pseudo };
+        const results = [];
+        for (const selector of selectors) {
+          const result = await getComputedStylesFromPage(page, selector, styleOptions);
+          if (withRules && !result.error) {
+            const matched = await getMatchedCssRules(page, selector, { ...styleOptions, userAgent });
+            if (matched.error) {
+              result.rulesError = matched.error;
+            } else {
+              const { pseudo: pseudoRules, ...rest } = matched;
+              Object.assign(result, rest);
+              for (const [name, entry] of Object.entries(pseudoRules || {})) Object.assign(result.pseudo[name], entry);
+            }
+          }
+          results.push(result);
+        }
+        // One selector keeps the original response shape; several return results[]
+        const payload = selectors.length === 1
+          ? { success: !results[0].error, selector: selectors[0], timestamp: getFullTimestamp(), ...results[0] }
+          : { success: results.every((r) => !r.error), timestamp: getFullTimestamp(), results: results.map((r, i) => ({ selector: selectors[i], ...r })) };
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: !result.error,
-          selector,
-          timestamp: getFullTimestamp(),
-          ...result,
-        }, null, 2));
+        res.end(JSON.stringify(payload, null, 2));
       } catch (err) {
         res.writeHead(500, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({
@@ -349,7 +1382,6 @@ export function createHttpServer(options) {
 
     // GET /tab or /tab?index=1
     if (req.url?.startsWith('/tab') && req.url !== '/tabs' && req.method === 'GET') {
-      const urlObj = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
       const indexParam = urlObj.searchParams.get('index');
       const index = indexParam ? parseInt(indexParam, 10) : NaN;
       if (!Number.isInteger(index) || index < 1) {
@@ -381,123 +1413,409 @@ export function createHttpServer(options) {
       return;
     }
 
-    // POST /puppeteer - generic Puppeteer page method call
-    const pathname = req.url?.split('?')[0];
-    if (pathname === '/puppeteer' && req.method === 'POST') {
-      let body;
+    // GET /cookies?domain=example.com&name=session, POST /cookies { "name", "value", ... } or { "cookies": [...] },
+    // DELETE /cookies?name=...&domain=... or ?all=1
+    if (pathname === '/cookies' && ['GET', 'POST', 'DELETE'].includes(req.method)) {
+      const body = req.method === 'POST' ? await readJsonBody(req, res) : {};
+      if (!body) return;
+      if (noBrowser) {
+        sendJson(res, 200, { success: false, message: 'No browser connected.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const pages = s.getPages();
+      const page = pages.length > 0 ? pages[0] : null;
+      if (!page) {
+        sendJson(res, 200, { success: false, message: 'No monitored page.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const params = urlObj.searchParams;
+      const filter = { domain: params.get('domain') || null, name: params.get('name') || null };
+      if (req.method === 'POST') {
+        const cookies = body.cookies !== undefined ? body.cookies : [body];
+        try {
+          if (!Array.isArray(cookies) || cookies.length === 0) throw new Error('"cookies" must be a non-empty array');
+          cookies.forEach((cookie) => normalizeCookie(cookie, page.url()));
+        } catch (e) {
+          sendJson(res, 400, { success: false, error: e.message, timestamp: getFullTimestamp() });
+          return;
+        }
+        try {
+          sendJson(res, 200, { ...(await setCookies(page, cookies)), timestamp: getFullTimestamp() });
+        } catch (err) {
+          sendJson(res, 500, { success: false, error: err.message, timestamp: getFullTimestamp() });
+        }
+        return;
+      }
+      if (req.method === 'DELETE') {
+        filter.all = params.get('all') === '1' || params.get('all') === 'true';
+        if (!filter.name && !filter.domain && !filter.all) {
+          sendJson(res, 400, {
+            success: false,
+            error: 'Specify ?name=, ?domain= or ?all=1 to delete every cookie',
+            timestamp: getFullTimestamp(),
+          });
+          return;
+        }
+      }
       try {
-        const raw = await readBody(req);
-        body = raw ? JSON.parse(raw) : {};
+        const result = req.method === 'GET' ? await listCookies(page, filter) : await deleteCookies(page, filter);
+        sendJson(res, 200, { success: true, ...result, timestamp: getFullTimestamp() });
+      } catch (err) {
+        sendJson(res, 500, { success: false, error: err.message, timestamp: getFullTimestamp() });
+      }
+      return;
+    }
+
+    // GET /storage?type=local,session,indexeddb&sample=5, PUT /storage { "type": "local", "items": {...} }
+    // or { "type": "indexeddb", "database", "store", "records": [...] }, DELETE /storage?type=local&key=... / &all=1
+    // or ?type=indexeddb&database=...[&store=...]
+    if (pathname === '/storage' && ['GET', 'PUT', 'DELETE'].includes(req.method)) {
+      const body = req.method === 'PUT' ? await readJsonBody(req, res) : {};
+      if (!body) return;
+      if (noBrowser) {
+        sendJson(res, 200, { success: false, message: 'No browser connected.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const pages = s.getPages();
+      const page = pages.length > 0 ? pages[0] : null;
+      if (!page) {
+        sendJson(res, 200, { success: false, message: 'No monitored page.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const params = urlObj.searchParams;
+      let run;
+      try {
+        if (req.method === 'GET') {
+          const types = params.get('type')
+            ? [...new Set(params.get('type').split(',').map((t) => normalizeStorageType(t.trim())))]
+            : STORAGE_TYPES;
+          const sample = params.has('sample') ? Number(params.get('sample')) : IDB_DEFAULT_SAMPLE;
+          if (!Number.isInteger(sample) || sample < 0 || sample > IDB_MAX_SAMPLE) {
+            throw new Error(`Invalid "sample": ${params.get('sample')} (0-${IDB_MAX_SAMPLE} records per store)`);
+          }
+          run = async () => {
+            const result = { url: page.url() };
+            if (types.includes('local')) result.localStorage = await readWebStorage(page, 'local');
+            if (types.includes('session')) result.sessionStorage = await readWebStorage(page, 'session');
+            if (types.includes('indexeddb')) result.indexedDB = await summarizeIndexedDb(page, { sample });
+            return result;
+          };
+        } else if (req.method === 'PUT') {
+          const type = normalizeStorageType(body.type);
+          if (type === 'indexeddb') {
+            if (!body.database || !body.store) throw new Error('"database" and "store" are required for indexeddb');
+            if (!Array.isArray(body.records) || body.records.length === 0) {
+              throw new Error('"records" must be a non-empty array of { "key"?, "value" }');
+            }
+            if (body.records.some((r) => !r || typeof r !== 'object' || !('value' in r))) throw new Error('Every record needs a "value"');
+            run = () => putIndexedDbRecords(page, { database: String(body.database), store: String(body.store), records: body.records });
+          } else {
+            if (!body.items || typeof body.items !== 'object' || Array.isArray(body.items) || Object.keys(body.items).length === 0) {
+              throw new Error('"items" must be an object of key → value');
+            }
+            run = () => setWebStorage(page, type, body.items);
+          }
+        } else {
+          const type = normalizeStorageType(params.get('type'));
+          if (type === 'indexeddb') {
+            if (!params.get('database')) throw new Error('?database= is required for indexeddb (add &store= to clear one store)');
+            run = () => deleteIndexedDb(page, { database: params.get('database'), store: params.get('store') || null });
+          } else {
+            const keys = params.getAll('key');
+            const all = params.get('all') === '1' || params.get('all') === 'true';
+            if (keys.length === 0 && !all) throw new Error('Specify ?key= (repeatable) or ?all=1 to clear the storage');
+            run = () => removeWebStorage(page, type, keys.length > 0 ? keys : null);
+          }
+        }
       } catch (e) {
-        const isTooLarge = e?.code === 'BODY_TOO_LARGE';
-        const status = isTooLarge ? 413 : 400;
-        res.writeHead(status, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: false,
-          error: isTooLarge ? 'Request body too large (max 5MB)' : 'Invalid JSON body',
-          timestamp: getFullTimestamp(),
-        }, null, 2));
+        sendJson(res, 400, { success: false, error: e.message, timestamp: getFullTimestamp() });
         return;
       }
-      const method = body.method;
-      const args = Array.isArray(body.args) ? body.args : [];
-      const timeout = typeof body.timeout === 'number' ? body.timeout : PUPPETEER_CALL_TIMEOUT_MS;
-      const waitFor = body.waitFor === true; // auto waitForSelector before click/hover
-      if (typeof method !== 'string' || !method.trim()) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: false,
-          error: 'Missing or invalid "method" (e.g. "page.goto")',
+      try {
+        sendJson(res, 200, { success: true, ...(await run()), timestamp: getFullTimestamp() });
+      } catch (err) {
+        sendJson(res, 500, { success: false, error: err.message, timestamp: getFullTimestamp() });
+      }
+      return;
+    }
+
+    // GET /emulate - current emulation, presets and device names; POST /emulate { "preset": "iphone", "network": "slow-3g", ... }
+    if (pathname === '/emulate' && (req.method === 'GET' || req.method === 'POST')) {
+      const body = req.method === 'POST' ? await readJsonBody(req, res) : {};
+      if (!body) return;
+      const pages = s.getPages();
+      const page = !noBrowser && pages.length > 0 ? pages[0] : null;
+      if (req.method === 'GET') {
+        sendJson(res, 200, {
+          success: true,
+          emulation: page ? getEmulation(page) : null,
+          presets: getEmulationPresets(settings.emulationPresets),
+          networkProfiles: NETWORK_PROFILES,
+          devices: EMULATION_DEVICES,
           timestamp: getFullTimestamp(),
-        }, null, 2));
+        });
         return;
       }
-      if (!method.startsWith('page.')) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
+      if (noBrowser) {
+        sendJson(res, 200, { success: false, message: 'No browser connected.', timestamp: getFullTimestamp() });
+        return;
+      }
+      if (!page) {
+        sendJson(res, 200, { success: false, message: 'No monitored page.', timestamp: getFullTimestamp() });
+        return;
+      }
+      try {
+        normalizeEmulationOptions(body, settings.emulationPresets);
+      } catch (e) {
+        sendJson(res, 400, { success: false, error: e.message, timestamp: getFullTimestamp() });
+        return;
+      }
+      try {
+        sendJson(res, 200, { ...(await applyEmulation(page, body, settings.emulationPresets)), timestamp: getFullTimestamp() });
+      } catch (err) {
+        sendJson(res, 500, { success: false, error: err.message, timestamp: getFullTimestamp() });
+      }
+      return;
+    }
+
+    // GET /mocks, POST /mocks { "url": "**/api/orders*", "status": 500, ... } or { "rules": [...] }, DELETE /mocks (all);
+    // GET/PATCH/DELETE /mocks/:id. Changes are saved to .browsermonitor/mocks.json and apply to the next request
+    if ((pathname === '/mocks' && ['GET', 'POST', 'DELETE'].includes(req.method))
+      || (pathname.startsWith('/mocks/') && ['GET', 'PATCH', 'DELETE'].includes(req.method))) {
+      const body = req.method === 'POST' || req.method === 'PATCH' ? await readJsonBody(req, res) : {};
+      if (!body) return;
+      // An invalid rule is the caller's fault; a mocks.json that cannot be written is ours
+      const sendMockError = (e) => sendJson(res, e.code === 'MOCKS_SAVE_FAILED' ? 500 : 400, {
+        success: false,
+        error: e.message,
+        timestamp: getFullTimestamp(),
+      });
+      if (!mocks) {
+        sendJson(res, 503, { success: false, error: 'Mocks are not available.', timestamp: getFullTimestamp() });
+        return;
+      }
+      if (pathname === '/mocks') {
+        if (req.method === 'GET') {
+          const rules = mocks.list();
+          sendJson(res, 200, { success: true, file: mocks.file, count: rules.length, rules, timestamp: getFullTimestamp() });
+        } else if (req.method === 'DELETE') {
+          try {
+            sendJson(res, 200, { success: true, deleted: mocks.clear(), timestamp: getFullTimestamp() });
+          } catch (e) {
+            sendMockError(e);
+          }
+        } else {
+          const rules = body.rules !== undefined ? body.rules : [body];
+          try {
+            if (!Array.isArray(rules) || rules.length === 0) throw new Error('"rules" must be a non-empty array');
+            sendJson(res, 200, { success: true, added: mocks.add(rules), timestamp: getFullTimestamp() });
+          } catch (e) {
+            sendMockError(e);
+          }
+        }
+        return;
+      }
+      const id = readPathParam(res, pathname, '/mocks/');
+      if (id === null) return;
+      const notFound = () => sendJson(res, 404, { success: false, error: `Unknown mock: ${id}`, timestamp: getFullTimestamp() });
+      try {
+        if (req.method === 'GET') {
+          const rule = mocks.get(id);
+          if (rule) sendJson(res, 200, { success: true, rule, timestamp: getFullTimestamp() });
+          else notFound();
+        } else if (req.method === 'DELETE') {
+          if (mocks.remove(id)) sendJson(res, 200, { success: true, deleted: id, timestamp: getFullTimestamp() });
+          else notFound();
+        } else {
+          const rule = mocks.update(id, body);
+          if (rule) sendJson(res, 200, { success: true, rule, timestamp: getFullTimestamp() });
+          else notFound();
+        }
+      } catch (e) {
+        sendMockError(e);
+      }
+      return;
+    }
+
+    // POST /navigate { "action": "goto" | "back" | "forward" | "reload", "url": "...", "waitUntil": "load" }
+    if (pathname === '/navigate' && req.method === 'POST') {
+      const body = await readJsonBody(req, res);
+      if (!body) return;
+      if (noBrowser) {
+        sendJson(res, 200, { success: false, message: 'No browser connected.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const pages = s.getPages();
+      const page = pages.length > 0 ? pages[0] : null;
+      if (!page) {
+        sendJson(res, 200, { success: false, message: 'No monitored page.', timestamp: getFullTimestamp() });
+        return;
+      }
+      try {
+        normalizeNavigateOptions(body);
+      } catch (e) {
+        sendJson(res, 400, { success: false, error: e.message, timestamp: getFullTimestamp() });
+        return;
+      }
+      const run = (signal) => navigate(page, body, { logBuffer: s.logBuffer, signal });
+      if (isAsync(urlObj.searchParams)) {
+        sendJobStarted(res, 'navigate', run);
+        return;
+      }
+      try {
+        sendJson(res, 200, { ...(await run()), timestamp: getFullTimestamp() });
+      } catch (err) {
+        // Page closed or detached mid-navigation
+        sendJson(res, 500, { success: false, error: err.message, timestamp: getFullTimestamp() });
+      }
+      return;
+    }
+
+    // POST /wait { "networkIdle": 500, "selector": ".toast", "response": "/api/", "status": "2xx", ... } - wait for conditions
+    if (pathname === '/wait' && req.method === 'POST') {
+      const body = await readJsonBody(req, res);
+      if (!body) return;
+      if (noBrowser) {
+        sendJson(res, 200, { success: false, message: 'No browser connected.', timestamp: getFullTimestamp() });
+        return;
+      }
+      const pages = s.getPages();
+      const page = pages.length > 0 ? pages[0] : null;
+      if (!page) {
+        sendJson(res, 200, { success: false, message: 'No monitored page.', timestamp: getFullTimestamp() });
+        return;
+      }
+      try {
+        normalizeWaitOptions(body);
+      } catch (e) {
+        sendJson(res, 400, { success: false, error: e.message, timestamp: getFullTimestamp() });
+        return;
+      }
+      const wait = (signal) => waitForConditions(page, s.logBuffer, body, signal);
+      if (isAsync(urlObj.searchParams)) {
+        sendJobStarted(res, 'wait', wait);
+        return;
+      }
+      try {
+        sendJson(res, 200, { ...(await wait()), timestamp: getFullTimestamp() });
+      } catch (err) {
+        sendJson(res, 500, { success: false, error: err.message, timestamp: getFullTimestamp() });
+      }
+      return;
+    }
+
+    // POST /evaluate - run a JS expression in the page (opt-in: settings.allowEvaluate)
+    if (pathname === '/evaluate' && req.method === 'POST') {
+      if (settings.allowEvaluate !== true) {
+        sendJson(res, 403, {
           success: false,
-          error: 'Only "page.*" methods are supported (e.g. "page.goto", "page.click")',
+          error: 'POST /evaluate is disabled. Set "allowEvaluate": true in .browsermonitor/settings.json to enable it.',
           timestamp: getFullTimestamp(),
-        }, null, 2));
+        });
         return;
       }
-      const methodName = method.slice(5).trim();
-      if (!methodName || !PAGE_WHITELIST.has(methodName)) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
+      const body = await readJsonBody(req, res);
+      if (!body) return;
+      if (typeof body.expression !== 'string' || !body.expression.trim()) {
+        sendJson(res, 400, {
           success: false,
-          error: `Method "${method}" not allowed. Whitelist: ${[...PAGE_WHITELIST].sort().join(', ')}`,
+          error: 'Missing "expression" (e.g. "window.__APP_STATE__")',
           timestamp: getFullTimestamp(),
-        }, null, 2));
+        });
         return;
       }
       const pages = s.getPages();
       const page = pages.length > 0 ? pages[0] : null;
       if (noBrowser || !page) {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
+        sendJson(res, 200, {
           success: false,
           error: 'No browser or page connected. Use open/join mode first.',
           timestamp: getFullTimestamp(),
-        }, null, 2));
+        });
         return;
       }
-      let callArgs = args;
-      if (methodName === 'screenshot') {
-        const opts = (args[0] && typeof args[0] === 'object' && !Array.isArray(args[0]))
-          ? { ...args[0], encoding: args[0].encoding ?? 'base64' }
-          : { encoding: 'base64' };
-        callArgs = [opts];
-      }
-      if (methodName === 'pdf' && args[0] && typeof args[0] === 'object') {
-        callArgs = [{ ...args[0], encoding: args[0].encoding ?? 'base64' }];
+      // evaluateInPage reports script errors in the outcome; a throw means the page itself failed (closed, detached)
+      let outcome;
+      let pageFailed = false;
+      try {
+        outcome = await evaluateInPage(page, body.expression, {
+          timeout: body.timeout,
+          maxResultBytes: body.maxResultBytes,
+        });
+      } catch (err) {
+        outcome = { success: false, error: err.message, durationMs: null };
+        pageFailed = true;
       }
       try {
-        // Auto waitForSelector before click/hover if requested
-        if (waitFor && ['click', 'hover', 'focus', 'type'].includes(methodName) && callArgs[0]) {
-          const selector = callArgs[0];
-          if (typeof selector === 'string') {
-            await page.waitForSelector(selector, { timeout });
-          }
-        }
-        const fn = page[methodName];
-        if (typeof fn !== 'function') {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            success: false,
-            error: `Page method "${methodName}" is not a function`,
-            timestamp: getFullTimestamp(),
-          }, null, 2));
+        appendEvaluateAudit(paths.evaluateAuditLog, {
+          timestamp: getFullTimestamp(),
+          client: req.socket.remoteAddress ?? null,
+          origin: req.headers.origin ?? null,
+          url: pageFailed ? null : page.url(),
+          expression: body.expression,
+          success: outcome.success,
+          durationMs: outcome.durationMs,
+          resultBytes: outcome.resultBytes ?? null,
+          ...(outcome.error ? { error: outcome.error } : {}),
+        });
+      } catch (e) {
+        log.warn(`Could not write evaluate audit log: ${e.message}`);
+      }
+      sendJson(res, pageFailed ? 500 : 200, { ...outcome, timestamp: getFullTimestamp() });
+      return;
+    }
+
+    // POST /puppeteer - generic Puppeteer page method call
+    if (pathname === '/puppeteer' && req.method === 'POST') {
+      const body = await readJsonBody(req, res);
+      if (!body) return;
+      const timeout = typeof body.timeout === 'number' ? body.timeout : PUPPETEER_CALL_TIMEOUT_MS;
+      const isScript = body.steps !== undefined;
+      let steps = null;
+      let methodName = null;
+      if (isScript) {
+        const parsed = parsePuppeteerSteps(body.steps, timeout);
+        if ('error' in parsed) {
+          sendJson(res, 400, { success: false, error: parsed.error, timestamp: getFullTimestamp() });
           return;
         }
-        const resultPromise = fn.apply(page, callArgs);
-        const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error(`Timeout after ${timeout}ms`)), timeout);
-        });
-        const result = await Promise.race([resultPromise, timeoutPromise]);
-        const serialized = serializeResult(result, methodName);
-        if ('error' in serialized) {
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({
-            success: false,
-            error: serialized.error,
-            timestamp: getFullTimestamp(),
-          }, null, 2));
+        steps = parsed.steps;
+      } else {
+        const resolved = resolvePageMethod(body.method);
+        if ('error' in resolved) {
+          sendJson(res, 400, { success: false, error: resolved.error, timestamp: getFullTimestamp() });
           return;
         }
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
-          success: true,
-          result: serialized.serialized,
-          timestamp: getFullTimestamp(),
-        }, null, 2));
-      } catch (err) {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({
+        methodName = resolved.methodName;
+      }
+      const pages = s.getPages();
+      const page = pages.length > 0 ? pages[0] : null;
+      if (noBrowser || !page) {
+        sendJson(res, 200, {
           success: false,
-          error: err.message || String(err),
+          error: 'No browser or page connected. Use open/join mode first.',
           timestamp: getFullTimestamp(),
-        }, null, 2));
+        });
+        return;
+      }
+      const args = Array.isArray(body.args) ? body.args : [];
+      const execute = (signal) => (isScript
+        ? runPuppeteerSteps(page, steps, {
+          continueOnError: body.continueOnError === true,
+          failureScreenshotPath: s.logBuffer?.STEP_FAILURE_SCREENSHOT ?? null,
+          signal,
+        })
+        : callPageMethod(page, methodName, args, { timeout, waitFor: body.waitFor === true, signal }));
+      if (isAsync(urlObj.searchParams)) {
+        // A long script may need more than the default job timeout: allow the sum of its step timeouts
+        const budget = isScript ? steps.reduce((sum, step) => sum + step.timeout * (step.waitFor ? 2 : 1), 0) : 0;
+        sendJobStarted(res, 'puppeteer', execute, { timeout: Math.max(JOB_TIMEOUT_MS, budget) });
+        return;
+      }
+      try {
+        sendJson(res, 200, { ...(await execute()), timestamp: getFullTimestamp() });
+      } catch (err) {
+        sendJson(res, 500, { success: false, error: err.message, timestamp: getFullTimestamp() });
       }
       return;
     }
@@ -507,23 +1825,58 @@ export function createHttpServer(options) {
       error: 'Not found',
       endpoints: API_ENDPOINTS.map(e => `${e.method} ${e.path} - ${e.description}`),
     }, null, 2));
-  });
+  }
 
-  server.listen(port, host);
+  const tcpServer = port === 0 ? null : http.createServer(handleRequest);
+  const socketServer = socketPath ? http.createServer(handleRequest) : null;
+  const server = tcpServer ?? socketServer;
 
-  server.on('error', (err) => {
-    if (err.code === 'EADDRINUSE') {
-      log.warn(`HTTP server port ${port} is already in use`);
-    } else {
-      log.error(`HTTP server error: ${err.message}`);
+  const tcpListening = tcpServer ? listenOnPort(tcpServer, { port, host, portFallback: settings.httpPortFallback !== false }) : null;
+  const socketListening = socketServer ? listenOnSocket(socketServer, socketPath, { required: !tcpServer }) : null;
+  const listening = Promise.all([tcpListening, socketListening]).then(([tcp, socket]) => {
+    if (!tcp && !socket) return null;
+    const address = { host: tcp ? host : null, port: tcp?.port ?? null, socketPath: socket };
+    try {
+      writeServerInfo(paths.serverInfoFile, { ...address, mode: state().mode });
+    } catch (e) {
+      log.warn(`Could not write ${paths.serverInfoFile}: ${e.message}`);
     }
+    return address;
+  });
+  // Rejected when the API cannot start at all; whenListening() callers handle it
+  listening.catch(() => {});
+  listenResults.set(server, listening);
+
+  server.on('close', () => {
+    jobs.cancelAll();
+    removeServerInfo(paths.serverInfoFile);
   });
+  // Also on process.exit() paths that skip cleanup (quit from the mode menu, fatal errors)
+  process.once('exit', () => removeServerInfo(paths.serverInfoFile));
+  if (tcpServer && socketServer) {
+    // Callers hold the TCP server; the socket listener follows it
+    tcpServer.on('close', () => {
+      socketServer.close();
+      socketServer.closeAllConnections?.();
+    });
+  }
 
   return server;
 }
 
+/**
+ * Wait until the server listens (after any port fallback, on both the port and the socket).
+ * @param {http.Server|null} server - From createHttpServer
+ * @returns {Promise<{ host: string|null, port: number|null, socketPath: string|null }|null>} null when disabled or failed to start;
+ *   rejects when the port (after fallback) or the only listener's socket is unavailable - the caller should close the server and exit
+ */
+export function whenListening(server) {
+  return listenResults.get(server) ?? Promise.resolve(null);
+}
+
 /**
  * Close the HTTP server gracefully.
+ * Open keep-alive and /events streams are terminated so close() can complete.
  * @param {http.Server} server - Server to close
  * @returns {Promise<void>}
  */
@@ -536,5 +1889,6 @@ export function closeHttpServer(server) {
     server.close(() => {
       resolve();
     });
+    server.closeAllConnections?.();
   });
 }
@@ -1,5 +1,5 @@
 /**
- * browsermonitor init – creates settings.json with defaults, updates agent files.
+ * browsermonitor init – creates settings.json with defaults and an API auth token, updates agent files.
  */
 
 import fs from 'fs';
@@ -8,6 +8,10 @@ import { fileURLToPath } from 'url';
 import {
   ensureDirectories,
   loadSettings,
+  saveSettings,
+  generateAuthToken,
+  getPaths,
+  resolveSocketPath,
   DEFAULT_SETTINGS,
 } from './settings.mjs';
 import { C } from './utils/colors.mjs';
@@ -20,6 +24,9 @@ const END_TAG_PREFIX = '<!-- END browser-monitor-llm-section';
 
 const TEMPLATE_PATH = path.resolve(__dirname, 'agents.llm/browser-monitor-section.md');
 
+/** Shell command printing the API token (run from the project root). */
+const TOKEN_COMMAND = `node -p "require('./.browsermonitor/settings.json').authToken"`;
+
 /**
  * Replace existing tagged block or append template to a doc file.
  */
@@ -65,13 +72,28 @@ export async function runInit(projectRoot, config = {}) {
 
   ensureDirectories(projectRoot);
 
+  // API token: generated once; an explicit "" in settings.json disables auth
+  let tokenGenerated = false;
+  if (config.authToken === undefined) {
+    config.authToken = generateAuthToken();
+    saveSettings(projectRoot, { ...DEFAULT_SETTINGS, ...saved, authToken: config.authToken });
+    tokenGenerated = true;
+  }
+
   // Update agent files (render template with settings values)
   const agentUpdates = [];
   if (updateAgentFiles && fs.existsSync(TEMPLATE_PATH)) {
     let templateContent = fs.readFileSync(TEMPLATE_PATH, 'utf8');
+    // With a socket, curl connects through it (no token; the URL port is then only a placeholder).
+    // Agent docs are usually committed, so the token is read from settings.json when the command runs.
+    const socketPath = resolveSocketPath(config.httpSocket, getPaths(projectRoot));
+    const connection = socketPath
+      ? `--unix-socket ${path.relative(projectRoot, socketPath)} `
+      : config.authToken ? `-H "Authorization: Bearer $(${TOKEN_COMMAND})" ` : '';
     templateContent = templateContent
       .replace(/\{\{DEFAULT_URL\}\}/g, config.defaultUrl)
-      .replace(/\{\{HTTP_PORT\}\}/g, String(config.httpPort));
+      .replace(/\{\{HTTP_PORT\}\}/g, String(config.httpPort || DEFAULT_SETTINGS.httpPort))
+      .replace(/\{\{AUTH_HEADER\}\}/g, connection);
     for (const docFile of ['CLAUDE.md', 'AGENTS.md', 'memory.md']) {
       const action = replaceOrAppendSection(projectRoot, docFile, templateContent);
       if (action) agentUpdates.push(`${action} ${C.cyan}${docFile}${C.reset}`);
@@ -96,6 +118,9 @@ export async function runInit(projectRoot, config = {}) {
   if (config.defaultUrl) {
     lines[1] += ` → ${C.cyan}${config.defaultUrl}${C.reset}`;
   }
+  if (tokenGenerated) {
+    lines.push(`${C.green}API token${C.reset} generated → settings.json ${C.dim}(authToken)${C.reset}`);
+  }
   if (agentUpdates.length > 0) {
     lines.push(`${C.green}Agent docs:${C.reset} ${agentUpdates.join(', ')}`);
   }
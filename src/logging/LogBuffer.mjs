@@ -1,8 +1,10 @@
 /**
  * LogBuffer – in-memory or realtime buffers for console, network, and request details.
+ * Also an EventEmitter: live console/network events are emitted as 'event' (see emitEvent).
  */
 
 import fs from 'fs';
+import { EventEmitter } from 'events';
 import path from 'path';
 import { C, log } from '../utils/colors.mjs';
 import { DEFAULT_IGNORE_PATTERNS } from './constants.mjs';
@@ -12,6 +14,8 @@ import {
   dumpBuffersToFiles as doDumpBuffersToFiles,
   dumpCookiesFromPage as doDumpCookiesFromPage,
   dumpDomFromPage as doDumpDomFromPage,
+  dumpAccessibilityFromPage as doDumpAccessibilityFromPage,
+  dumpStorageFromPage as doDumpStorageFromPage,
   dumpScreenshotFromPage as doDumpScreenshotFromPage,
   DOM_DUMP_MAX_BYTES,
 } from './dump.mjs';
@@ -19,15 +23,20 @@ import {
 /**
  * LogBuffer class - manages logging buffers for a monitoring session.
  */
-export class LogBuffer {
+export class LogBuffer extends EventEmitter {
   static DOM_DUMP_MAX_BYTES = DOM_DUMP_MAX_BYTES;
 
   constructor(options = {}) {
+    super();
+    // Every GET /events client adds a listener
+    this.setMaxListeners(0);
+
     const {
       outputDir = process.cwd(),
       paths = null,
       lazyMode = true,
       ignorePatterns = [],
+      domOptions = {},
     } = options;
 
     this.outputDir = path.resolve(outputDir);
@@ -37,26 +46,54 @@ export class LogBuffer {
       this.CONSOLE_LOG = paths.consoleLog;
       this.NETWORK_LOG = paths.networkLog;
       this.NETWORK_DIR = paths.networkDir;
+      this.NETWORK_HAR = paths.networkHar;
       this.COOKIES_DIR = paths.cookiesDir;
       this.DOM_HTML = paths.domHtml;
+      this.A11Y_JSON = paths.a11yJson;
+      this.LOCAL_STORAGE_JSON = paths.localStorageJson;
+      this.SESSION_STORAGE_JSON = paths.sessionStorageJson;
+      this.INDEXEDDB_JSON = paths.indexedDbJson;
       this.SCREENSHOT = paths.screenshot;
+      this.SCREENSHOTS_DIR = paths.screenshotsDir;
+      this.STEP_FAILURE_SCREENSHOT = paths.stepFailureScreenshot;
     } else {
       // Fallback: use .browsermonitor/.puppeteer/ structure relative to outputDir
       const bmPuppeteerDir = path.join(outputDir, '.browsermonitor', '.puppeteer');
       this.CONSOLE_LOG = path.join(bmPuppeteerDir, 'console.log');
       this.NETWORK_LOG = path.join(bmPuppeteerDir, 'network.log');
       this.NETWORK_DIR = path.join(bmPuppeteerDir, 'network-log');
+      this.NETWORK_HAR = path.join(bmPuppeteerDir, 'network.har');
       this.COOKIES_DIR = path.join(bmPuppeteerDir, 'cookies');
       this.DOM_HTML = path.join(bmPuppeteerDir, 'dom.html');
+      this.A11Y_JSON = path.join(bmPuppeteerDir, 'a11y.json');
+      this.LOCAL_STORAGE_JSON = path.join(bmPuppeteerDir, 'localStorage.json');
+      this.SESSION_STORAGE_JSON = path.join(bmPuppeteerDir, 'sessionStorage.json');
+      this.INDEXEDDB_JSON = path.join(bmPuppeteerDir, 'indexeddb.json');
       this.SCREENSHOT = path.join(bmPuppeteerDir, 'screenshot.png');
+      this.SCREENSHOTS_DIR = path.join(bmPuppeteerDir, 'screenshots');
+      this.STEP_FAILURE_SCREENSHOT = path.join(bmPuppeteerDir, 'step-failure.png');
     }
 
     this.consoleBuffer = [];
+    // Structured twin of consoleBuffer (lazy mode only) for GET /console queries
+    this.consoleRecords = [];
     this.networkBuffer = [];
     this.requestDetails = new Map();
     this.requestCounter = 0;
 
-    this.ignorePatterns = [...DEFAULT_IGNORE_PATTERNS, ...ignorePatterns];
+    this.setIgnorePatterns(ignorePatterns);
+    // settings.domOptions for dom.html (see dom.mjs)
+    this.domOptions = domOptions;
+  }
+
+  /**
+   * Publish a live event to subscribers (GET /events).
+   * Independent of lazy/realtime mode and of buffer clearing.
+   * @param {{ channel: 'console'|'network', type: string, level: string }} event
+   */
+  emitEvent(event) {
+    if (this.listenerCount('event') === 0) return;
+    this.emit('event', { timestamp: getFullTimestamp(), ...event });
   }
 
   nextRequestId() {
@@ -64,6 +101,37 @@ export class LogBuffer {
     return String(this.requestCounter).padStart(3, '0');
   }
 
+  /**
+   * Replace the user ignore patterns (settings.ignorePatterns); the built-in ones always stay.
+   * @param {string[]} ignorePatterns
+   */
+  setIgnorePatterns(ignorePatterns = []) {
+    this.ignorePatterns = [...DEFAULT_IGNORE_PATTERNS, ...ignorePatterns];
+  }
+
+  /**
+   * Switch between lazy (buffered) and realtime mode while monitoring.
+   * Going realtime writes what is buffered so far to the files first, so nothing captured is lost.
+   * @param {boolean} lazyMode
+   */
+  setLazyMode(lazyMode) {
+    if (lazyMode === this.lazyMode) return;
+    if (!lazyMode) {
+      fs.mkdirSync(path.dirname(this.CONSOLE_LOG), { recursive: true });
+      fs.writeFileSync(this.CONSOLE_LOG, this.consoleBuffer.map((line) => line + '\n').join(''));
+      fs.writeFileSync(this.NETWORK_LOG, this.networkBuffer.map((line) => line + '\n').join(''));
+      this.clearNetworkDir();
+      for (const [id, data] of this.requestDetails) {
+        fs.writeFileSync(path.join(this.NETWORK_DIR, `${id}.json`), JSON.stringify(data, null, 2));
+      }
+      this.consoleBuffer.length = 0;
+      this.consoleRecords.length = 0;
+      this.networkBuffer.length = 0;
+      this.requestDetails.clear();
+    }
+    this.lazyMode = lazyMode;
+  }
+
   shouldIgnore(message) {
     return this.ignorePatterns.some(p => message.includes(p));
   }
@@ -72,9 +140,14 @@ export class LogBuffer {
     return HMR_PATTERNS.some(p => message.includes(p));
   }
 
-  logConsole(message) {
+  /**
+   * @param {string} message - Formatted line for console.log
+   * @param {{ type: string, level: string, text: string }} [record] - Structured form of a captured browser message
+   */
+  logConsole(message, record = null) {
     if (this.lazyMode) {
       this.consoleBuffer.push(message);
+      if (record) this.consoleRecords.push({ timestamp: getFullTimestamp(), ...record });
     } else {
       console.log(message);
       fs.appendFileSync(this.CONSOLE_LOG, message + '\n');
@@ -84,6 +157,7 @@ export class LogBuffer {
   clearConsoleBuffer() {
     if (this.lazyMode) {
       this.consoleBuffer.length = 0;
+      this.consoleRecords.length = 0;
       log.dim(`Console buffer cleared (${getTimestamp()})`);
     } else {
       fs.writeFileSync(this.CONSOLE_LOG, '');
@@ -146,6 +220,7 @@ export class LogBuffer {
 
   clearAllBuffers() {
     this.consoleBuffer.length = 0;
+    this.consoleRecords.length = 0;
     this.networkBuffer.length = 0;
     this.requestDetails.clear();
     this.requestCounter = 0;
@@ -172,6 +247,14 @@ export class LogBuffer {
     return doDumpDomFromPage(this, page);
   }
 
+  async dumpAccessibilityFromPage(page) {
+    return doDumpAccessibilityFromPage(this, page);
+  }
+
+  async dumpStorageFromPage(page) {
+    return doDumpStorageFromPage(this, page);
+  }
+
   async dumpScreenshotFromPage(page) {
     return doDumpScreenshotFromPage(this, page);
   }
@@ -0,0 +1,70 @@
+/**
+ * Structured digest of the buffers for the GET /dump response.
+ * Built before the dump clears the buffers, so the agent sees what went wrong without opening the files.
+ */
+
+import { summarizeRequest } from './query.mjs';
+
+const DIGEST_LIST_LIMIT = 5;
+const DIGEST_TEXT_CHARS = 300;
+
+const clip = (text) => (text.length > DIGEST_TEXT_CHARS ? text.slice(0, DIGEST_TEXT_CHARS) + '…' : text);
+
+/**
+ * Most recent distinct error messages, newest first, with how often each occurred.
+ * @param {Object[]} records - logBuffer.consoleRecords (oldest first)
+ */
+function recentDistinctErrors(records) {
+  const byText = new Map();
+  for (let i = records.length - 1; i >= 0; i--) {
+    const r = records[i];
+    const seen = byText.get(r.text);
+    if (seen) {
+      seen.count++;
+      continue;
+    }
+    byText.set(r.text, { timestamp: r.timestamp, type: r.type, text: clip(r.text), count: 1 });
+  }
+  return [...byText.values()].slice(0, DIGEST_LIST_LIMIT);
+}
+
+/**
+ * Digest of console and network buffers plus the current page.
+ * @param {import('./LogBuffer.mjs').LogBuffer} logBuffer
+ * @param {{ url?: string|null, title?: string|null }} [page] - Current URL and title of the monitored tab
+ * @returns {Object} { page, console: { total, errors, warnings, recentErrors }, network: { total, failedCount, failed, httpErrorCount, httpErrors, slowest } }
+ */
+export function buildDumpDigest(logBuffer, page = {}) {
+  const digest = { page: { url: page.url ?? null, title: page.title ?? null } };
+  if (!logBuffer.lazyMode) {
+    digest.note = 'Realtime mode: console and network are written straight to the files, so no counts are buffered.';
+    return digest;
+  }
+
+  // Failed requests are also logged to the console; count them under network only
+  const consoleRecords = logBuffer.consoleRecords.filter((r) => r.type !== 'requestfailed');
+  const errors = consoleRecords.filter((r) => r.level === 'error');
+  digest.console = {
+    total: consoleRecords.length,
+    errors: errors.length,
+    warnings: consoleRecords.filter((r) => r.level === 'warn').length,
+    recentErrors: recentDistinctErrors(errors),
+  };
+
+  const requests = [...logBuffer.requestDetails.values()].map(summarizeRequest);
+  const failed = requests.filter((r) => r.failed);
+  const httpErrors = requests.filter((r) => r.status !== null && r.status >= 400);
+  const slowest = requests
+    .filter((r) => r.status !== null && r.duration !== null)
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, DIGEST_LIST_LIMIT);
+  digest.network = {
+    total: requests.length,
+    failedCount: failed.length,
+    failed: failed.slice(-DIGEST_LIST_LIMIT),
+    httpErrorCount: httpErrors.length,
+    httpErrors: httpErrors.slice(-DIGEST_LIST_LIMIT),
+    slowest,
+  };
+  return digest;
+}
@@ -0,0 +1,298 @@
+/**
+ * Scoped and pruned DOM extraction (dom.html in the dump, GET /dom).
+ * Works on a clone of the live DOM, so the page itself is never modified.
+ */
+
+/** Max size for DOM output (bytes); larger DOM is reduced structure-aware (see extractInPage). */
+export const DOM_DUMP_MAX_BYTES = 2 * 1024 * 1024; // 2MB
+
+/** Noise categories that can be stripped. */
+export const DOM_STRIP_CATEGORIES = ['scripts', 'styles', 'svg', 'datauri', 'tracking', 'comments'];
+
+/** Defaults for settings.domOptions (missing keys fall back to these): the full page HTML, pruning is opt-in. */
+export const DEFAULT_DOM_OPTIONS = {
+  selector: null,
+  depth: null,
+  strip: [],
+  collapse: 0,
+  maxBytes: DOM_DUMP_MAX_BYTES,
+};
+
+/**
+ * Runs in the page: clone the root, prune the clone, return its HTML and what was removed.
+ * depth = element levels kept below the root (deeper content becomes a placeholder comment);
+ * collapse = max run of same tag+class siblings kept (0 = off).
+ * When maxBytes is set and the result is larger, the clone is reduced in stages that keep it
+ * well-formed (head summary, long text, repeated siblings, depth) until it fits.
+ * @param {{ selector: string|null, depth: number|null, strip: string[], collapse: number, maxBytes: number|null }} opts
+ */
+function extractInPage(opts) {
+  let root;
+  try {
+    root = opts.selector ? document.querySelector(opts.selector) : document.documentElement;
+  } catch {
+    return { error: `Invalid selector: ${opts.selector}`, invalidSelector: true };
+  }
+  if (!root) return { error: `No element matching selector: ${opts.selector}` };
+
+  let strip = new Set(opts.strip);
+  let depthLimit = opts.depth;
+  let collapseLimit = opts.collapse;
+  const stats = { scripts: 0, styles: 0, svg: 0, dataUris: 0, trackingAttrs: 0, comments: 0, collapsed: 0, depthElided: 0, textShortened: 0 };
+  const TRACKING_ATTR = /^(data-(gtm|ga|analytics|track|tracking|segment|hj|fb|pixel)[\w-]*|ping)$/i;
+  const DATA_URI = /data:([\w.+-]+\/[\w.+-]+)?(;[\w-]+=[^;,]*)*;base64,[A-Za-z0-9+/=]{64,}/g;
+  const MAX_TEXT = 200;
+  const clone = root.cloneNode(true);
+  // Our own placeholder comments survive later "comments" stripping
+  const placeholders = new WeakSet();
+  const countElements = (el) => el.getElementsByTagName('*').length;
+  const byteSize = (text) => new TextEncoder().encode(text).length;
+
+  function placeholder(text) {
+    const comment = document.createComment(` ${text} `);
+    placeholders.add(comment);
+    return comment;
+  }
+
+  // Signature for "same kind of sibling": tag + sorted classes
+  function signature(el) {
+    return el.tagName + '.' + [...el.classList].sort().join('.');
+  }
+
+  function pruneNode(node, depth) {
+    for (const child of [...node.childNodes]) {
+      if (child.nodeType === Node.COMMENT_NODE) {
+        if (strip.has('comments') && !placeholders.has(child)) {
+          child.remove();
+          stats.comments++;
+        }
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) continue;
+      const tag = child.tagName.toLowerCase();
+
+      if (tag === 'script' && strip.has('scripts') && !child.hasAttribute('src')) {
+        child.remove();
+        stats.scripts++;
+        continue;
+      }
+      if (tag === 'style' && strip.has('styles')) {
+        child.remove();
+        stats.styles++;
+        continue;
+      }
+      if (tag === 'svg' && strip.has('svg')) {
+        const inner = countElements(child);
+        if (inner > 0) {
+          child.replaceChildren(placeholder(`svg: ${inner} elements removed`));
+          stats.svg++;
+        }
+        cleanAttributes(child);
+        continue;
+      }
+      cleanAttributes(child);
+
+      if (depthLimit !== null && depth + 1 >= depthLimit && child.children.length > 0) {
+        const inner = countElements(child);
+        child.replaceChildren(placeholder(`depth limit: ${inner} elements elided`));
+        stats.depthElided += inner;
+        continue;
+      }
+      pruneNode(child, depth + 1);
+    }
+    if (collapseLimit > 0) collapseSiblings(node);
+  }
+
+  function cleanAttributes(el) {
+    for (const attr of [...el.attributes]) {
+      if (strip.has('tracking') && TRACKING_ATTR.test(attr.name)) {
+        el.removeAttribute(attr.name);
+        stats.trackingAttrs++;
+        continue;
+      }
+      if (strip.has('datauri') && attr.value.length > 64 && attr.value.includes(';base64,')) {
+        const replaced = attr.value.replace(DATA_URI, (m, mime) => {
+          stats.dataUris++;
+          return `data:${mime || ''};base64,[${m.length} chars removed]`;
+        });
+        if (replaced !== attr.value) el.setAttribute(attr.name, replaced);
+      }
+    }
+  }
+
+  // Runs of more than collapseLimit same-signature siblings: keep the first collapseLimit
+  function collapseSiblings(parent) {
+    const children = [...parent.children];
+    let i = 0;
+    while (i < children.length) {
+      let j = i + 1;
+      const sig = signature(children[i]);
+      while (j < children.length && signature(children[j]) === sig) j++;
+      const run = j - i;
+      if (run > collapseLimit) {
+        const extra = children.slice(i + collapseLimit, j);
+        const label = children[i].tagName.toLowerCase() + [...children[i].classList].map((c) => '.' + c).join('');
+        extra[0].before(placeholder(`${extra.length} more <${label}> siblings collapsed`));
+        for (const el of extra) el.remove();
+        stats.collapsed += extra.length;
+      }
+      i = j;
+    }
+  }
+
+  // Keep title and key meta tags, count the rest
+  function summarizeHead(head) {
+    const counts = {};
+    for (const el of [...head.children]) {
+      const tag = el.tagName.toLowerCase();
+      const keep = tag === 'title' || tag === 'base'
+        || (tag === 'meta' && (el.hasAttribute('charset') || ['viewport', 'description'].includes(el.getAttribute('name'))));
+      if (keep) continue;
+      counts[tag] = (counts[tag] || 0) + 1;
+      el.remove();
+    }
+    const summary = Object.entries(counts).map(([tag, n]) => `${n} <${tag}>`).join(', ');
+    if (summary) head.append(placeholder(`head summarized: ${summary} elided`));
+    return summary !== '';
+  }
+
+  // Shorten long text nodes and attribute values
+  function shortenText(node) {
+    const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+    let changed = false;
+    for (let current = walker.currentNode; current; current = walker.nextNode()) {
+      if (current.nodeType === Node.TEXT_NODE) {
+        if (current.data.length > MAX_TEXT) {
+          current.data = current.data.slice(0, MAX_TEXT) + `…[${current.data.length - MAX_TEXT} chars]`;
+          stats.textShortened++;
+          changed = true;
+        }
+        continue;
+      }
+      for (const attr of current.attributes) {
+        if (attr.value.length > MAX_TEXT) {
+          current.setAttribute(attr.name, attr.value.slice(0, MAX_TEXT) + '…');
+          stats.textShortened++;
+          changed = true;
+        }
+      }
+    }
+    return changed;
+  }
+
+  function maxDepth(el) {
+    let deepest = 0;
+    for (const child of el.children) deepest = Math.max(deepest, 1 + maxDepth(child));
+    return deepest;
+  }
+
+  cleanAttributes(clone);
+  pruneNode(clone, 0);
+  let html = clone.outerHTML;
+
+  let reduced = null;
+  const originalBytes = byteSize(html);
+  if (opts.maxBytes && originalBytes > opts.maxBytes) {
+    const reduction = [];
+    const fits = () => byteSize(clone.outerHTML) <= opts.maxBytes;
+    const stages = [
+      () => {
+        const head = clone.tagName === 'HTML' ? clone.querySelector(':scope > head') : null;
+        return head && summarizeHead(head) ? 'head summarized (title and key meta kept)' : null;
+      },
+      () => {
+        const missing = ['scripts', 'styles', 'svg', 'datauri', 'tracking', 'comments'].filter((c) => !strip.has(c));
+        if (missing.length === 0) return null;
+        strip = new Set([...strip, ...missing]);
+        pruneNode(clone, 0);
+        return `stripped ${missing.join(', ')}`;
+      },
+      () => (shortenText(clone) ? `text and attribute values cut to ${MAX_TEXT} chars` : null),
+    ];
+    for (const limit of [10, 5, 3, 1]) {
+      stages.push(() => {
+        if (collapseLimit > 0 && collapseLimit <= limit) return null;
+        collapseLimit = limit;
+        const before = stats.collapsed;
+        pruneNode(clone, 0);
+        return stats.collapsed > before ? `repeated siblings collapsed beyond ${limit}` : null;
+      });
+    }
+    const treeDepth = maxDepth(clone);
+    for (const limit of [32, 24, 16, 12, 8, 6, 4, 3, 2, 1]) {
+      stages.push(() => {
+        if (limit >= treeDepth || (depthLimit !== null && depthLimit <= limit)) return null;
+        depthLimit = limit;
+        pruneNode(clone, 0);
+        return `elements deeper than ${limit} levels elided`;
+      });
+    }
+    for (const stage of stages) {
+      if (fits()) break;
+      const step = stage();
+      if (step) reduction.push(step);
+    }
+    const reducedBytes = byteSize(clone.outerHTML);
+    clone.prepend(placeholder(`browsermonitor: reduced from ${originalBytes} to ${reducedBytes} bytes `
+      + `(limit ${opts.maxBytes}): ${reduction.join('; ')}; each cut is marked with a comment`));
+    html = clone.outerHTML;
+    reduced = { fromBytes: originalBytes, toBytes: byteSize(html), steps: reduction };
+  }
+
+  return reduced ? { html, stats, reduced } : { html, stats };
+}
+
+/**
+ * Normalize DOM options from settings.domOptions and/or query parameters.
+ * @param {Object} [options] - { selector?, depth?, strip?, collapse?, maxBytes? }; strip may be an array or comma-separated string ("none" = keep everything)
+ * @returns {{ selector: string|null, depth: number|null, strip: string[], collapse: number, maxBytes: number|null }}
+ * @throws {Error} On unknown strip categories or invalid numbers
+ */
+export function normalizeDomOptions(options = {}) {
+  const merged = { ...DEFAULT_DOM_OPTIONS, ...options };
+  let strip = merged.strip ?? [];
+  if (typeof strip === 'string') strip = strip.split(',');
+  strip = strip.map((s) => String(s).trim().toLowerCase()).filter(Boolean);
+  if (strip.includes('none')) strip = [];
+  if (strip.includes('all')) strip = [...DOM_STRIP_CATEGORIES];
+  const unknown = strip.filter((s) => !DOM_STRIP_CATEGORIES.includes(s));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown strip category: ${unknown.join(', ')} (use ${DOM_STRIP_CATEGORIES.join(', ')}, all or none)`);
+  }
+
+  const toCount = (value, name, min) => {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) throw new Error(`Invalid "${name}": ${value} (integer >= ${min})`);
+    return n;
+  };
+
+  return {
+    selector: merged.selector ? String(merged.selector) : null,
+    depth: toCount(merged.depth, 'depth', 1),
+    strip,
+    collapse: toCount(merged.collapse, 'collapse', 0) ?? 0,
+    // 0 = no limit
+    maxBytes: toCount(merged.maxBytes, 'maxBytes', 0) || null,
+  };
+}
+
+/**
+ * Extract pruned HTML of the page or of the first element matching options.selector.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} [options] - See normalizeDomOptions
+ * @returns {Promise<{ html: string, bytes: number, stats: Object, reduced?: Object, options: Object } | { error: string }>}
+ *   reduced = { fromBytes, toBytes, steps } when the output had to be shrunk to maxBytes
+ */
+export async function extractDom(page, options = {}) {
+  const opts = normalizeDomOptions(options);
+  const result = await page.evaluate(extractInPage, opts);
+  if (result.error) return result;
+  return {
+    html: result.html,
+    bytes: Buffer.byteLength(result.html, 'utf8'),
+    stats: result.stats,
+    ...(result.reduced ? { reduced: result.reduced } : {}),
+    options: opts,
+  };
+}
@@ -1,5 +1,5 @@
 /**
- * Dump actions: write buffers and page data (cookies, DOM) to files.
+ * Dump actions: write buffers and page data (cookies, DOM, accessibility tree, web storage, IndexedDB) to files.
  * Used by LogBuffer; can be called with any LogBuffer instance.
  */
 
@@ -7,18 +7,20 @@ import fs from 'fs';
 import path from 'path';
 import { C, log } from '../utils/colors.mjs';
 import { getTimestamp, getFullTimestamp } from './timestamps.mjs';
+import { buildHar, collectRequestDetails } from './har.mjs';
+import { extractDom, normalizeDomOptions, DEFAULT_DOM_OPTIONS, DOM_DUMP_MAX_BYTES } from './dom.mjs';
+import { readWebStorage, summarizeIndexedDb } from '../browser/storage.mjs';
 
-/** Max size for DOM dump (bytes). Larger output is truncated. */
-export const DOM_DUMP_MAX_BYTES = 2 * 1024 * 1024; // 2MB
+export { DOM_DUMP_MAX_BYTES };
 
 /**
  * Write all in-memory buffers to files and clear buffers.
  * @param {import('./LogBuffer.mjs').LogBuffer} logBuffer
- * @param {Object} options - { dumpCookies?: () => Promise<void>, dumpDom?: () => Promise<void>, dumpScreenshot?: () => Promise<void> }
+ * @param {Object} options - { dumpCookies?, dumpDom?, dumpA11y?, dumpStorage?, dumpScreenshot? } – each () => Promise<void>
  * @returns {Promise<Object>} Stats before dump
  */
 export async function dumpBuffersToFiles(logBuffer, options = {}) {
-  const { dumpCookies, dumpDom, dumpScreenshot } = options;
+  const { dumpCookies, dumpDom, dumpA11y, dumpStorage, dumpScreenshot } = options;
   const timestamp = getTimestamp();
   const statsBeforeDump = logBuffer.getStats();
 
@@ -39,6 +41,8 @@ export async function dumpBuffersToFiles(logBuffer, options = {}) {
     fs.writeFileSync(logBuffer.NETWORK_LOG, '');
   }
 
+  // Realtime mode streams details to network-log/ instead of keeping them; read them before the dir is reset
+  const harDetails = collectRequestDetails(logBuffer);
   logBuffer.clearNetworkDir();
   if (logBuffer.requestDetails.size > 0) {
     for (const [id, data] of logBuffer.requestDetails) {
@@ -47,9 +51,15 @@ export async function dumpBuffersToFiles(logBuffer, options = {}) {
     }
     log.success(`${C.brightCyan}${logBuffer.requestDetails.size}${C.reset}${C.green} request details → ${logBuffer.NETWORK_DIR}/${C.reset}`);
   }
+  fs.writeFileSync(logBuffer.NETWORK_HAR, JSON.stringify(buildHar(harDetails), null, 2));
+  if (harDetails.length > 0) {
+    log.success(`${C.green}HAR → ${logBuffer.NETWORK_HAR}${C.reset}`);
+  }
 
   if (dumpCookies) await dumpCookies();
   if (dumpDom) await dumpDom();
+  if (dumpA11y) await dumpA11y();
+  if (dumpStorage) await dumpStorage();
   if (dumpScreenshot) await dumpScreenshot();
 
   log.success(`Dump completed at ${timestamp}`);
@@ -119,8 +129,27 @@ export async function dumpCookiesFromPage(logBuffer, page) {
   }
 }
 
+/**
+ * Summarize extraction stats for the console ("12 scripts, 3 styles stripped").
+ * @param {Object} stats - From extractDom
+ * @returns {string}
+ */
+function describeDomStats(stats) {
+  const labels = {
+    scripts: 'scripts', styles: 'style blocks', svg: 'SVGs', dataUris: 'data URIs',
+    trackingAttrs: 'tracking attrs', comments: 'comments', collapsed: 'collapsed siblings', depthElided: 'elements past depth',
+    textShortened: 'shortened texts',
+  };
+  return Object.entries(labels)
+    .filter(([key]) => stats[key] > 0)
+    .map(([key, label]) => `${stats[key]} ${label}`)
+    .join(', ');
+}
+
 /**
  * Dump current document HTML (JS-modified DOM) to logBuffer.DOM_HTML.
+ * Pruned according to logBuffer.domOptions (settings.domOptions): subtree, depth, stripped noise, collapsed siblings.
+ * Output over domOptions.maxBytes (default DOM_DUMP_MAX_BYTES) is reduced structurally, never cut mid-tag.
  * @param {import('./LogBuffer.mjs').LogBuffer} logBuffer
  * @param {import('puppeteer').Page} page
  * @returns {Promise<void>}
@@ -132,22 +161,131 @@ export async function dumpDomFromPage(logBuffer, page) {
   }
 
   try {
-    const html = await page.evaluate(() => document.documentElement.outerHTML);
-    const maxBytes = DOM_DUMP_MAX_BYTES;
-    let content = html;
-    const byteLength = Buffer.byteLength(html, 'utf8');
-    if (byteLength > maxBytes) {
-      content = content.slice(0, Math.floor(maxBytes / 2)) + '\n\n<!-- ... TRUNCATED for size ... -->\n';
-      log.dim(`DOM truncated to ~${Math.round(maxBytes / 1024)}KB (was ${Math.round(byteLength / 1024)}KB)`);
+    let options;
+    try {
+      options = normalizeDomOptions(logBuffer.domOptions);
+    } catch (e) {
+      log.warn(`Invalid domOptions in settings.json (${e.message}); using defaults`);
+      options = normalizeDomOptions(DEFAULT_DOM_OPTIONS);
+    }
+    const extracted = await extractDom(page, options);
+    if (extracted.error) {
+      log.error(`Error dumping DOM: ${extracted.error}`);
+      return;
     }
-    fs.writeFileSync(logBuffer.DOM_HTML, content, 'utf8');
+    fs.writeFileSync(logBuffer.DOM_HTML, extracted.html, 'utf8');
     log.success(`${C.green}DOM (current HTML) → ${logBuffer.DOM_HTML}${C.reset}`);
+    const removed = describeDomStats(extracted.stats);
+    if (removed) log.dim(`DOM pruned: ${removed}`);
+    if (extracted.reduced) {
+      const { fromBytes, toBytes, steps } = extracted.reduced;
+      log.dim(`DOM reduced to ${Math.round(toBytes / 1024)}KB (was ${Math.round(fromBytes / 1024)}KB): ${steps.join('; ')}`);
+    }
     log.dim(`LLM: current page HTML / element structure is in: ${logBuffer.DOM_HTML}`);
   } catch (e) {
     log.error(`Error dumping DOM: ${e.message}`);
   }
 }
 
+/**
+ * Count nodes of an accessibility snapshot.
+ * @param {Object|null} node
+ * @returns {number}
+ */
+function countA11yNodes(node) {
+  if (!node) return 0;
+  return 1 + (node.children || []).reduce((sum, child) => sum + countA11yNodes(child), 0);
+}
+
+/**
+ * Accessibility tree (roles, names, states) of the page or of the first element matching a selector.
+ * @param {import('puppeteer').Page} page
+ * @param {Object} [options]
+ * @param {string|null} [options.selector] - Root element; whole page when omitted
+ * @param {boolean} [options.interestingOnly=true] - false = include generic/ignored nodes
+ * @returns {Promise<{ url: string, selector: string|null, nodeCount: number, tree: Object|null } | { error: string }>}
+ */
+export async function getAccessibilitySnapshot(page, options = {}) {
+  const { selector = null, interestingOnly = true } = options;
+  if (!page) {
+    return { error: 'No page' };
+  }
+
+  let root = null;
+  try {
+    if (selector) {
+      root = await page.$(selector);
+      if (!root) {
+        return { error: `No element matching selector: ${selector}` };
+      }
+    }
+    const tree = await page.accessibility.snapshot({ interestingOnly, ...(root ? { root } : {}) });
+    return { url: page.url(), selector, nodeCount: countA11yNodes(tree), tree };
+  } catch (e) {
+    return { error: e.message };
+  } finally {
+    await root?.dispose().catch(() => {});
+  }
+}
+
+/**
+ * Dump the accessibility tree of the current page to logBuffer.A11Y_JSON.
+ * @param {import('./LogBuffer.mjs').LogBuffer} logBuffer
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<void>}
+ */
+export async function dumpAccessibilityFromPage(logBuffer, page) {
+  if (!page) {
+    log.dim('No page to dump accessibility tree from');
+    return;
+  }
+
+  const snapshot = await getAccessibilitySnapshot(page);
+  if (snapshot.error) {
+    log.error(`Error dumping accessibility tree: ${snapshot.error}`);
+    return;
+  }
+  fs.writeFileSync(logBuffer.A11Y_JSON, JSON.stringify({ timestamp: getFullTimestamp(), ...snapshot }, null, 2));
+  log.success(`${C.brightCyan}${snapshot.nodeCount}${C.reset}${C.green} accessibility nodes → ${logBuffer.A11Y_JSON}${C.reset}`);
+}
+
+/**
+ * Dump localStorage, sessionStorage and an IndexedDB summary (stores, counts, sample records) of the page's origin
+ * to logBuffer.LOCAL_STORAGE_JSON, SESSION_STORAGE_JSON and INDEXEDDB_JSON.
+ * @param {import('./LogBuffer.mjs').LogBuffer} logBuffer
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<void>}
+ */
+export async function dumpStorageFromPage(logBuffer, page) {
+  if (!page) {
+    log.dim('No page to dump storage from');
+    return;
+  }
+
+  const timestamp = getFullTimestamp();
+  for (const [type, file, label] of [
+    ['local', logBuffer.LOCAL_STORAGE_JSON, 'localStorage'],
+    ['session', logBuffer.SESSION_STORAGE_JSON, 'sessionStorage'],
+  ]) {
+    try {
+      const storage = await readWebStorage(page, type);
+      fs.writeFileSync(file, JSON.stringify({ timestamp, url: page.url(), ...storage }, null, 2));
+      log.success(`${C.brightCyan}${storage.count}${C.reset}${C.green} ${label} items → ${file}${C.reset}`);
+    } catch (e) {
+      log.error(`Error dumping ${label}: ${e.message}`);
+    }
+  }
+
+  try {
+    const idb = await summarizeIndexedDb(page);
+    fs.writeFileSync(logBuffer.INDEXEDDB_JSON, JSON.stringify({ timestamp, url: page.url(), ...idb }, null, 2));
+    const stores = idb.databases.reduce((sum, db) => sum + db.stores.length, 0);
+    log.success(`${C.brightCyan}${idb.databases.length}${C.reset}${C.green} IndexedDB databases (${stores} stores) → ${logBuffer.INDEXEDDB_JSON}${C.reset}`);
+  } catch (e) {
+    log.error(`Error dumping IndexedDB: ${e.message}`);
+  }
+}
+
 /**
  * Capture screenshot of the current page viewport.
  * @param {import('./LogBuffer.mjs').LogBuffer} logBuffer
@@ -174,31 +312,44 @@ export async function dumpScreenshotFromPage(logBuffer, page) {
  *
  * @param {import('puppeteer').Page} page
  * @param {string} selector - CSS selector (e.g. 'body', '.my-class', '#id')
- * @returns {Promise<{ selector: string, tagName: string, computed: Record<string, string> } | { error: string }>}
+ * @param {Object} [options]
+ * @param {string[]|null} [options.properties] - Only these properties (default: all)
+ * @param {string[]} [options.pseudo] - Pseudo-elements to include, e.g. ['before', 'after']
+ * @returns {Promise<{ selector: string, tagName: string, computed: Record<string, string>, pseudo?: Object } | { error: string }>}
  */
-export async function getComputedStylesFromPage(page, selector) {
+export async function getComputedStylesFromPage(page, selector, options = {}) {
   if (!page) {
     return { error: 'No page' };
   }
+  const { properties = null, pseudo = [] } = options;
 
   try {
-    const result = await page.evaluate((sel) => {
+    const result = await page.evaluate((sel, props, pseudoNames) => {
       const el = document.querySelector(sel);
       if (!el) {
         return { error: `No element matching selector: ${sel}` };
       }
-      const cs = window.getComputedStyle(el);
-      const computed = {};
-      for (let i = 0; i < cs.length; i++) {
-        const prop = cs[i];
-        computed[prop] = cs.getPropertyValue(prop);
-      }
-      return {
+      const read = (cs) => {
+        const computed = {};
+        const names = props || Array.from({ length: cs.length }, (_, i) => cs[i]);
+        for (const prop of names) {
+          computed[prop] = cs.getPropertyValue(prop);
+        }
+        return computed;
+      };
+      const out = {
         selector: sel,
         tagName: el.tagName.toLowerCase(),
-        computed,
+        computed: read(window.getComputedStyle(el)),
       };
-    }, selector);
+      if (pseudoNames.length > 0) {
+        out.pseudo = {};
+        for (const name of pseudoNames) {
+          out.pseudo[name] = { computed: read(window.getComputedStyle(el, `::${name}`)) };
+        }
+      }
+      return out;
+    }, selector, properties, pseudo);
 
     return result;
   } catch (e) {
@@ -0,0 +1,175 @@
+/**
+ * HAR 1.2 export of captured requests (network.har, GET /har).
+ * Built from the same records as network-log/*.json, so DevTools, Charles etc. can open a capture.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getPackageVersion } from '../utils/package-info.mjs';
+
+/** Matches the placeholder page-monitoring stores instead of non-text bodies. */
+const BINARY_BODY_RE = /^\[Binary content: (.*)\]$/;
+const TRUNCATED_SUFFIX = '\n... [TRUNCATED]';
+
+/**
+ * All request records of a session: the in-memory map in lazy mode,
+ * the per-request JSON files in realtime mode.
+ * @param {import('./LogBuffer.mjs').LogBuffer} logBuffer
+ * @returns {Object[]}
+ */
+export function collectRequestDetails(logBuffer) {
+  if (logBuffer.lazyMode) return [...logBuffer.requestDetails.values()];
+  if (!fs.existsSync(logBuffer.NETWORK_DIR)) return [];
+  return fs.readdirSync(logBuffer.NETWORK_DIR)
+    .filter((f) => f.endsWith('.json'))
+    .sort()
+    .map((f) => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(logBuffer.NETWORK_DIR, f), 'utf8'));
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/** Puppeteer header object → HAR name/value list (multi-value headers are joined with \n). */
+function toHarHeaders(headers) {
+  const list = [];
+  for (const [name, value] of Object.entries(headers || {})) {
+    for (const v of String(value).split('\n')) list.push({ name, value: v });
+  }
+  return list;
+}
+
+function headerValue(headers, name) {
+  const key = Object.keys(headers || {}).find((k) => k.toLowerCase() === name);
+  return key ? String(headers[key]) : '';
+}
+
+function toQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * CDP ResourceTiming (ms offsets from requestTime) → HAR timings.
+ * Without timing data the whole duration is reported as "wait".
+ * @param {Object|null} timing - response.timing from page-monitoring
+ * @param {number} duration - Total ms measured by page-monitoring
+ */
+function toHarTimings(timing, duration) {
+  if (!timing || typeof timing.sendStart !== 'number') {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.max(0, duration), receive: 0 };
+  }
+  const span = (start, end) => (start >= 0 && end >= 0 ? Math.max(0, end - start) : -1);
+  const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find((v) => v >= 0) ?? 0;
+  return {
+    blocked: Math.max(0, firstStart),
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    // HAR: connect includes ssl
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: Math.max(0, timing.sendEnd - timing.sendStart),
+    wait: Math.max(0, timing.receiveHeadersEnd - timing.sendEnd),
+    receive: Math.max(0, duration - timing.receiveHeadersEnd),
+  };
+}
+
+/** Sum of timings as HAR requires (-1 = not applicable, ssl already counted in connect). */
+function totalTime(timings) {
+  return ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .reduce((sum, k) => sum + (timings[k] > 0 ? timings[k] : 0), 0);
+}
+
+/**
+ * One stored request record → HAR entry.
+ * @param {Object} detail - { id, timestamp, method, resourceType, url, request, response?, failed? }
+ */
+function toHarEntry(detail) {
+  const reqHeaders = detail.request?.headers || {};
+  const postData = detail.request?.postData;
+  const response = detail.response || null;
+  const duration = response?.duration ?? detail.failed?.duration ?? 0;
+  const timings = toHarTimings(response?.timing ?? null, duration);
+
+  const entry = {
+    startedDateTime: detail.timestamp,
+    time: totalTime(timings),
+    request: {
+      method: detail.method,
+      url: detail.url,
+      httpVersion: 'unknown',
+      cookies: [],
+      headers: toHarHeaders(reqHeaders),
+      queryString: toQueryString(detail.url),
+      headersSize: -1,
+      bodySize: postData ? Buffer.byteLength(postData, 'utf8') : 0,
+    },
+    response: {
+      status: response?.status ?? 0,
+      statusText: response?.statusText ?? '',
+      httpVersion: 'unknown',
+      cookies: [],
+      headers: toHarHeaders(response?.headers),
+      content: { size: 0, mimeType: headerValue(response?.headers, 'content-type') || 'x-unknown' },
+      redirectURL: headerValue(response?.headers, 'location'),
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings,
+    _id: detail.id,
+    _resourceType: detail.resourceType,
+    ...(detail.mock ? { _mock: detail.mock.id } : {}),
+  };
+
+  if (postData) {
+    entry.request.postData = {
+      mimeType: headerValue(reqHeaders, 'content-type') || 'application/octet-stream',
+      text: postData,
+    };
+  }
+
+  const body = response?.body;
+  if (typeof body === 'string') {
+    const binary = BINARY_BODY_RE.exec(body);
+    if (binary) {
+      entry.response.content.comment = 'Binary body not captured';
+    } else if (body.endsWith(TRUNCATED_SUFFIX)) {
+      const text = body.slice(0, -TRUNCATED_SUFFIX.length);
+      entry.response.content.text = text;
+      entry.response.content.size = Buffer.byteLength(text, 'utf8');
+      entry.response.content.comment = 'Body truncated by browsermonitor';
+    } else {
+      entry.response.content.text = body;
+      entry.response.content.size = Buffer.byteLength(body, 'utf8');
+    }
+  }
+
+  if (detail.failed) {
+    entry._error = detail.failed.errorText ?? 'Failed';
+  } else if (!response) {
+    entry.comment = 'No response received before the capture was taken';
+  }
+
+  return entry;
+}
+
+/**
+ * Build a HAR 1.2 document from request records.
+ * @param {Object[]} details - Records as stored in logBuffer.requestDetails
+ * @returns {Object} HAR document ({ log: { version, creator, entries } })
+ */
+export function buildHar(details) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'browsermonitor', version: getPackageVersion() },
+      entries: details.map(toHarEntry),
+    },
+  };
+}
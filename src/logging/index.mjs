@@ -3,11 +3,26 @@
  *
  * - constants.mjs  – DEFAULT_IGNORE_PATTERNS, HMR_PATTERNS
  * - timestamps.mjs  – getTimestamp, getFullTimestamp
- * - dump.mjs        – dumpBuffersToFiles, dumpCookiesFromPage, dumpDomFromPage
+ * - dump.mjs        – dumpBuffersToFiles, dumpCookiesFromPage, dumpDomFromPage, dumpAccessibilityFromPage, dumpStorageFromPage
+ * - dom.mjs         – scoped/pruned DOM extraction (dom.html, GET /dom)
+ * - query.mjs       – read-only buffer queries (GET /console, GET /network)
+ * - har.mjs         – HAR 1.2 export (network.har, GET /har)
+ * - digest.mjs      – error/request digest returned by GET /dump
  * - LogBuffer.mjs   – LogBuffer class
  */
 
 export { DEFAULT_IGNORE_PATTERNS, HMR_PATTERNS } from './constants.mjs';
 export { getTimestamp, getFullTimestamp } from './timestamps.mjs';
 export { LogBuffer } from './LogBuffer.mjs';
-export { DOM_DUMP_MAX_BYTES } from './dump.mjs';
+export { DOM_DUMP_MAX_BYTES, getAccessibilitySnapshot } from './dump.mjs';
+export {
+  parseSince,
+  compileRegex,
+  parseLimit,
+  parseStatusRange,
+  queryConsoleRecords,
+  queryNetworkRequests,
+} from './query.mjs';
+export { buildHar, collectRequestDetails } from './har.mjs';
+export { buildDumpDigest } from './digest.mjs';
+export { extractDom, normalizeDomOptions, DEFAULT_DOM_OPTIONS, DOM_STRIP_CATEGORIES } from './dom.mjs';
@@ -0,0 +1,154 @@
+/**
+ * Read-only queries over LogBuffer contents (GET /console, GET /network).
+ * Never clears buffers or touches dump files, so several clients can read the same session.
+ */
+
+/** Smallest bare number accepted as epoch ms (2001-09-09); shorter ones are durations missing a unit. */
+const MIN_EPOCH_MS = 1e12;
+
+/**
+ * Parse a `since` value into epoch ms.
+ * Accepts an ISO timestamp, epoch milliseconds, or a relative duration ("30s", "5m", "1h", "500ms").
+ * A bare number must be a full epoch-ms timestamp (>= MIN_EPOCH_MS): "30" is rejected rather than read as 1970.
+ * @param {string|null} value
+ * @returns {number|null} Epoch ms, or null when value is empty
+ * @throws {Error} When value cannot be parsed
+ */
+export function parseSince(value) {
+  if (value == null || value === '') return null;
+  const relative = /^(\d+(?:\.\d+)?)(ms|s|m|h)$/.exec(value.trim());
+  if (relative) {
+    const factor = { ms: 1, s: 1000, m: 60_000, h: 3_600_000 }[relative[2]];
+    return Date.now() - Number(relative[1]) * factor;
+  }
+  const usage = 'use an ISO timestamp, epoch ms (13 digits), or a duration with a unit: 500ms / 30s / 5m / 1h';
+  if (/^\d+(?:\.\d+)?$/.test(value.trim())) {
+    if (Number(value) < MIN_EPOCH_MS) throw new Error(`Invalid "since": ${value} (${usage})`);
+    return Number(value);
+  }
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid "since": ${value} (${usage})`);
+  }
+  return parsed;
+}
+
+/**
+ * Compile a user-supplied regex (case-insensitive).
+ * @param {string|null} pattern
+ * @returns {RegExp|null}
+ * @throws {Error} When the pattern is not a valid regular expression
+ */
+export function compileRegex(pattern) {
+  if (!pattern) return null;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (e) {
+    throw new Error(`Invalid regex: ${e.message}`);
+  }
+}
+
+/**
+ * Parse a positive integer limit.
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+export function parseLimit(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid "limit": ${value} (positive integer)`);
+  return n;
+}
+
+/**
+ * Filter buffered console records.
+ * @param {import('./LogBuffer.mjs').LogBuffer} logBuffer
+ * @param {Object} [filters]
+ * @param {Set<string>|null} [filters.levels] - log, info, warn, error, debug, pageerror, requestfailed (matches level or type)
+ * @param {RegExp|null} [filters.regex] - Tested against the message text
+ * @param {number|null} [filters.since] - Epoch ms; only newer records
+ * @param {number|null} [filters.limit] - Keep the most recent N matches
+ * @returns {{ total: number, entries: Object[] }}
+ */
+export function queryConsoleRecords(logBuffer, filters = {}) {
+  const { levels = null, regex = null, since = null, limit = null } = filters;
+  let entries = logBuffer.consoleRecords.filter((r) => {
+    if (levels && !levels.has(r.level) && !levels.has(r.type)) return false;
+    if (since !== null && Date.parse(r.timestamp) < since) return false;
+    if (regex && !regex.test(r.text)) return false;
+    return true;
+  });
+  const total = entries.length;
+  if (limit !== null && entries.length > limit) entries = entries.slice(-limit);
+  return { total, entries };
+}
+
+/**
+ * Parse a status filter: "404", "400-599" or "5xx".
+ * @param {string|null} value
+ * @returns {{ min: number, max: number }|null}
+ */
+export function parseStatusRange(value) {
+  if (value == null || value === '') return null;
+  const v = value.trim().toLowerCase();
+  let m;
+  if ((m = /^(\d{3})$/.exec(v))) return { min: Number(m[1]), max: Number(m[1]) };
+  if ((m = /^(\d{3})-(\d{3})$/.exec(v))) return { min: Number(m[1]), max: Number(m[2]) };
+  if ((m = /^([1-5])xx$/.exec(v))) return { min: Number(m[1]) * 100, max: Number(m[1]) * 100 + 99 };
+  throw new Error(`Invalid "status": ${value} (use 404, 400-599 or 5xx)`);
+}
+
+/**
+ * Compact view of a stored request (no headers or bodies) for list responses.
+ * @param {Object} detail - Value from logBuffer.requestDetails
+ */
+export function summarizeRequest(detail) {
+  return {
+    id: detail.id,
+    timestamp: detail.timestamp,
+    method: detail.method,
+    resourceType: detail.resourceType,
+    url: detail.url,
+    status: detail.response?.status ?? null,
+    duration: detail.response?.duration ?? detail.failed?.duration ?? null,
+    failed: detail.failed ? detail.failed.errorText ?? true : false,
+    ...(detail.mock ? { mock: detail.mock.id } : {}),
+  };
+}
+
+/**
+ * Filter buffered request details.
+ * @param {import('./LogBuffer.mjs').LogBuffer} logBuffer
+ * @param {Object} [filters]
+ * @param {Set<string>|null} [filters.methods] - Lowercase HTTP methods
+ * @param {string|null} [filters.url] - Case-insensitive URL substring
+ * @param {RegExp|null} [filters.urlRegex]
+ * @param {Set<string>|null} [filters.types] - Lowercase resource types (xhr, fetch, document, script...)
+ * @param {{ min: number, max: number }|null} [filters.status]
+ * @param {boolean} [filters.failedOnly]
+ * @param {number|null} [filters.minDuration] - ms
+ * @param {number|null} [filters.limit] - Keep the most recent N matches
+ * @returns {{ total: number, requests: Object[] }} Summaries in capture order
+ */
+export function queryNetworkRequests(logBuffer, filters = {}) {
+  const {
+    methods = null, url = null, urlRegex = null, types = null,
+    status = null, failedOnly = false, minDuration = null, limit = null,
+  } = filters;
+  const needle = url ? url.toLowerCase() : null;
+  let requests = [];
+  for (const detail of logBuffer.requestDetails.values()) {
+    const summary = summarizeRequest(detail);
+    if (methods && !methods.has(String(summary.method).toLowerCase())) continue;
+    if (needle && !String(summary.url).toLowerCase().includes(needle)) continue;
+    if (urlRegex && !urlRegex.test(summary.url)) continue;
+    if (types && !types.has(String(summary.resourceType).toLowerCase())) continue;
+    if (status && (summary.status === null || summary.status < status.min || summary.status > status.max)) continue;
+    if (failedOnly && !summary.failed) continue;
+    if (minDuration !== null && (summary.duration === null || summary.duration < minDuration)) continue;
+    requests.push(summary);
+  }
+  const total = requests.length;
+  if (limit !== null && requests.length > limit) requests = requests.slice(-limit);
+  return { total, requests };
+}
@@ -0,0 +1,854 @@
+/**
+ * MCP server mode – `browsermonitor mcp`.
+ *
+ * Runs the monitor (open mode, or join mode with --join=PORT) without keyboard or prompts and
+ * speaks the Model Context Protocol (JSON-RPC 2.0, one message per line) over stdio:
+ * - tools: dump, status, tabs, tab switching, pruned DOM, accessibility tree, element refs, computed styles, step scripts and one typed tool per whitelisted page.* method
+ * - resources: the dump files in .browsermonitor/.puppeteer/
+ *
+ * Tools are thin wrappers over the HTTP API of this same process, so results are identical to the REST endpoints.
+ * stdout carries protocol messages only; all monitor output is redirected to stderr.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import readline from 'readline';
+import { pathToFileURL, fileURLToPath } from 'url';
+import { createHttpServer, whenListening, PAGE_WHITELIST } from './http-server.mjs';
+import { updateServerInfo } from './utils/server-info.mjs';
+import { runOpenMode } from './monitor/open-mode.mjs';
+import { runJoinMode } from './monitor/join-mode.mjs';
+import { MockStore } from './browser/index.mjs';
+import { loadSettings, getPaths, ensureDirectories, isInitialized, watchSettings } from './settings.mjs';
+import { runInit } from './init.mjs';
+import { log } from './utils/colors.mjs';
+import { getPackageVersion } from './utils/package-info.mjs';
+
+/** Protocol revisions we can speak; the newest is offered when the client asks for an unknown one. */
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+/** JSON-RPC error codes. */
+const RPC_PARSE_ERROR = -32700;
+const RPC_METHOD_NOT_FOUND = -32601;
+const RPC_INVALID_PARAMS = -32602;
+
+const SELECTOR = { type: 'string', description: 'CSS selector' };
+const CALL_TIMEOUT = { type: 'integer', description: 'Call timeout in ms (default 30000)' };
+const ASYNC = { type: 'boolean', description: 'Return a job id right away; poll it with the job tool' };
+
+/** Tools backed by API endpoints (GET unless request() says otherwise). */
+const API_TOOLS = [
+  {
+    name: 'dump',
+    description: 'Write console, network, cookies, DOM, accessibility tree and screenshot to .browsermonitor/.puppeteer/ and clear the buffers. Returns a digest (errors, failed and 4xx/5xx requests, slowest requests, URL, title) and the file paths (also readable as resources).',
+    inputSchema: { type: 'object', properties: {} },
+    request: () => ({ path: '/dump' }),
+  },
+  {
+    name: 'status',
+    description: 'Monitor status: mode, monitored URLs, collecting flag, buffer stats.',
+    inputSchema: { type: 'object', properties: {} },
+    request: () => ({ path: '/status' }),
+  },
+  {
+    name: 'settings',
+    description: 'Read the effective settings, or change ignorePatterns, realtime, navigationTimeout or domOptions in the running monitor (saved to settings.json).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        changes: { type: 'object', description: 'e.g. { "ignorePatterns": ["noisy text"] }; omit to read' },
+      },
+    },
+    request: (a) => (a.changes ? { method: 'PATCH', path: '/settings', body: a.changes } : { path: '/settings' }),
+  },
+  {
+    name: 'list_tabs',
+    description: 'List user tabs of the monitored browser (1-based index, url).',
+    inputSchema: { type: 'object', properties: {} },
+    request: () => ({ path: '/tabs' }),
+  },
+  {
+    name: 'switch_tab',
+    description: 'Switch the monitored tab (index from list_tabs).',
+    inputSchema: {
+      type: 'object',
+      properties: { index: { type: 'integer', minimum: 1, description: '1-based tab index' } },
+      required: ['index'],
+    },
+    request: (a) => ({ path: `/tab?index=${encodeURIComponent(a.index)}` }),
+  },
+  {
+    name: 'dom',
+    description: 'HTML of the monitored tab or a subtree; pass strip (e.g. "scripts,styles,svg,datauri") to drop noise, depth/collapse/maxBytes to shorten it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        selector: { ...SELECTOR, description: 'Root element (default: whole document)' },
+        depth: { type: 'integer', minimum: 1, description: 'Element levels kept below the root' },
+        strip: { type: 'string', description: 'Comma-separated: scripts, styles, svg, datauri, tracking, comments (or none / all)' },
+        collapse: { type: 'integer', minimum: 0, description: 'Keep N of each run of same tag+class siblings' },
+        maxBytes: { type: 'integer', minimum: 0, description: 'Reduce larger output structurally (default 2 MB, 0 = no limit)' },
+      },
+    },
+    request: (a) => {
+      const params = new URLSearchParams({ format: 'html' });
+      for (const key of ['selector', 'depth', 'strip', 'collapse', 'maxBytes']) {
+        if (a[key] !== undefined && a[key] !== null) params.set(key, String(a[key]));
+      }
+      return { path: `/dom?${params}` };
+    },
+  },
+  {
+    name: 'accessibility',
+    description: 'Accessibility tree (roles, names, states) of the monitored tab or of a subtree. Much smaller than the DOM.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        selector: { ...SELECTOR, description: 'Root element (default: whole page)' },
+        interestingOnly: { type: 'boolean', description: 'false = include generic nodes (default true)' },
+      },
+    },
+    request: (a) => {
+      const params = new URLSearchParams();
+      if (a.selector) params.set('selector', a.selector);
+      if (a.interestingOnly === false) params.set('interestingOnly', '0');
+      const query = params.toString();
+      return { path: '/accessibility' + (query ? `?${query}` : '') };
+    },
+  },
+  {
+    name: 'list_elements',
+    description: 'Visible interactive elements (buttons, links, inputs, selects) with ref, role, name, bounding box and selector. Use the ref with element_action.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        viewportOnly: { type: 'boolean', description: 'Only elements in the viewport' },
+        limit: { type: 'integer', minimum: 1 },
+      },
+    },
+    request: (a) => {
+      const params = new URLSearchParams();
+      if (a.viewportOnly) params.set('viewportOnly', '1');
+      if (a.limit) params.set('limit', String(a.limit));
+      const query = params.toString();
+      return { path: '/elements' + (query ? `?${query}` : '') };
+    },
+  },
+  {
+    name: 'element_action',
+    description: 'Click, type into, hover, focus or select an element by ref from list_elements.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ref: { type: 'integer', minimum: 1 },
+        action: { type: 'string', enum: ['click', 'type', 'hover', 'focus', 'select'] },
+        text: { type: 'string', description: 'type: text to type' },
+        clear: { type: 'boolean', description: 'type: clear the current value first' },
+        values: { type: 'array', items: { type: 'string' }, description: 'select: option values' },
+      },
+      required: ['ref', 'action'],
+    },
+    request: (a) => ({ method: 'POST', path: '/elements/action', body: a }),
+  },
+  {
+    name: 'computed_styles',
+    description: 'Computed CSS of the first element matching a selector (or several). With rules=true also the matched rules (stylesheet URL and line, specificity, overridden declarations), inherited values and which rule sets each property.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        selector: { ...SELECTOR, description: 'CSS selector (default: body)' },
+        selectors: { type: 'array', items: { type: 'string' }, description: 'Several elements at once (instead of selector)' },
+        properties: { type: 'string', description: 'Comma-separated property names (default: all)' },
+        pseudo: { type: 'string', description: 'Comma-separated pseudo-elements, e.g. before,after' },
+        rules: { type: 'boolean', description: 'Include matched rules and provenance' },
+      },
+    },
+    request: (a) => {
+      const params = new URLSearchParams();
+      for (const selector of a.selectors?.length ? a.selectors : [a.selector || 'body']) params.append('selector', selector);
+      if (a.properties) params.set('properties', a.properties);
+      if (a.pseudo) params.set('pseudo', a.pseudo);
+      if (a.rules) params.set('rules', '1');
+      return { path: `/computed-styles?${params}` };
+    },
+  },
+  {
+    name: 'screenshot',
+    description: 'Screenshot of the viewport, the full page, one element or a clip rectangle, written to .browsermonitor/.puppeteer/screenshots/. Returns the file path (readable as a resource).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        selector: { ...SELECTOR, description: 'Capture only this element' },
+        fullPage: { type: 'boolean' },
+        clip: { type: 'string', description: 'x,y,width,height in CSS pixels' },
+        format: { type: 'string', enum: ['png', 'jpeg', 'webp'] },
+        quality: { type: 'integer', minimum: 0, maximum: 100, description: 'jpeg/webp only' },
+        name: { type: 'string', description: 'Label added to the file name' },
+        async: ASYNC,
+      },
+    },
+    request: (a) => {
+      const params = new URLSearchParams();
+      for (const key of ['selector', 'fullPage', 'clip', 'format', 'quality', 'name', 'async']) {
+        if (a[key] !== undefined && a[key] !== null) params.set(key, String(a[key]));
+      }
+      return { path: `/screenshot?${params}` };
+    },
+  },
+  {
+    name: 'run_steps',
+    description: 'Run page.* calls in order in one request (e.g. fill and submit a form). Stops at the first failed step unless continueOnError; the failure includes a screenshot path.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        steps: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              method: { type: 'string', description: 'e.g. page.click' },
+              args: { type: 'array' },
+              timeout: CALL_TIMEOUT,
+              waitFor: { type: 'boolean', description: 'Wait for the selector first' },
+            },
+            required: ['method'],
+          },
+        },
+        continueOnError: { type: 'boolean' },
+        async: ASYNC,
+      },
+      required: ['steps'],
+    },
+    request: (a) => ({
+      method: 'POST',
+      path: a.async ? '/puppeteer?async=1' : '/puppeteer',
+      body: { steps: a.steps, continueOnError: a.continueOnError === true },
+    }),
+  },
+  {
+    name: 'job',
+    description: 'Status of a job started with async: true (screenshot, run_steps, navigate, wait); the result once it is done. cancel: true aborts it. Without id, lists recent jobs.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        cancel: { type: 'boolean' },
+      },
+    },
+    request: (a) => (a.id
+      ? { method: a.cancel ? 'DELETE' : 'GET', path: `/jobs/${encodeURIComponent(a.id)}` }
+      : { path: '/jobs' }),
+  },
+  {
+    name: 'cookies',
+    description: 'List, set or delete browser cookies (e.g. flip a feature flag, expire a session to test re-login).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['list', 'set', 'delete'], description: 'Default list' },
+        domain: { type: 'string', description: 'list/delete: this domain and its subdomains' },
+        name: { type: 'string', description: 'list/delete: cookie name' },
+        all: { type: 'boolean', description: 'delete: every cookie in the browser' },
+        cookies: {
+          type: 'array',
+          description: 'set: [{ name, value, domain?, path?, expires? (Unix seconds or ISO), httpOnly?, secure?, sameSite? }]; without domain the page URL is used',
+          items: { type: 'object' },
+        },
+      },
+    },
+    request: (a) => {
+      if (a.action === 'set') return { method: 'POST', path: '/cookies', body: { cookies: a.cookies ?? [] } };
+      const params = new URLSearchParams();
+      if (a.domain) params.set('domain', a.domain);
+      if (a.name) params.set('name', a.name);
+      if (a.action === 'delete' && a.all) params.set('all', '1');
+      const query = params.toString();
+      return { method: a.action === 'delete' ? 'DELETE' : 'GET', path: '/cookies' + (query ? `?${query}` : '') };
+    },
+  },
+  {
+    name: 'storage',
+    description: 'Read or edit localStorage, sessionStorage and IndexedDB of the page origin.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['get', 'set', 'delete'], description: 'Default get' },
+        type: { type: 'string', enum: ['local', 'session', 'indexeddb'], description: 'get: omit for all; required for set/delete' },
+        sample: { type: 'integer', minimum: 0, maximum: 100, description: 'get: IndexedDB records per store (default 5)' },
+        items: { type: 'object', description: 'set local/session: key → value (non-strings stored as JSON)' },
+        database: { type: 'string', description: 'indexeddb set/delete' },
+        store: { type: 'string', description: 'indexeddb set; delete: clear only this store' },
+        records: { type: 'array', items: { type: 'object' }, description: 'indexeddb set: [{ key?, value }]' },
+        keys: { type: 'array', items: { type: 'string' }, description: 'delete local/session: these keys (omit to clear all)' },
+      },
+    },
+    request: (a) => {
+      if (a.action === 'set') {
+        const { action, sample, keys, ...body } = a;
+        return { method: 'PUT', path: '/storage', body };
+      }
+      const params = new URLSearchParams();
+      if (a.type) params.set('type', a.type);
+      if (a.action === 'delete') {
+        if (a.database) params.set('database', a.database);
+        if (a.store) params.set('store', a.store);
+        if (a.keys?.length) a.keys.forEach((key) => params.append('key', key));
+        else if (a.type !== 'indexeddb') params.set('all', '1');
+        return { method: 'DELETE', path: `/storage?${params}` };
+      }
+      if (a.sample !== undefined) params.set('sample', String(a.sample));
+      const query = params.toString();
+      return { path: '/storage' + (query ? `?${query}` : '') };
+    },
+  },
+  {
+    name: 'emulate',
+    description: 'Emulate a device, network speed, CPU, geolocation, timezone, locale or color scheme in the monitored tab. Without arguments: current emulation, presets and device names.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        preset: { type: 'array', items: { type: 'string' }, description: 'e.g. ["iphone"], ["slow-mobile"], ["offline"]' },
+        device: { type: 'string', description: 'Puppeteer device name, e.g. "Pixel 5"' },
+        viewport: { type: 'object', description: '{ width, height, deviceScaleFactor?, isMobile?, hasTouch? }' },
+        userAgent: { type: 'string' },
+        network: { description: 'offline, slow-3g, fast-3g, slow-4g, fast-4g, none, or { download, upload, latency } (kbit/s, ms)' },
+        cpu: { type: 'number', minimum: 1, description: 'CPU slowdown factor (1 = off)' },
+        geolocation: { type: 'object', description: '{ latitude, longitude, accuracy? }' },
+        timezone: { type: 'string', description: 'IANA name, e.g. Europe/Prague' },
+        locale: { type: 'string', description: 'e.g. de-DE' },
+        colorScheme: { type: 'string', enum: ['light', 'dark'] },
+        reducedMotion: { type: 'string', enum: ['reduce', 'no-preference'] },
+        reset: { type: 'boolean', description: 'Turn all emulation off first' },
+      },
+    },
+    request: (a) => (Object.keys(a).length > 0 ? { method: 'POST', path: '/emulate', body: a } : { path: '/emulate' }),
+  },
+  {
+    name: 'mocks',
+    description: 'Request mock rules (.browsermonitor/mocks.json) for the monitored tab: stub a status/headers/body, add delay or abort matching requests, e.g. to reproduce backend errors. Mocked requests are marked [MOCK id] in the network log.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['list', 'add', 'update', 'delete'], description: 'Default list' },
+        id: { type: 'string', description: 'update/delete: rule id (delete without id removes all rules)' },
+        rules: {
+          type: 'array',
+          items: { type: 'object' },
+          description: 'add: [{ url (glob, e.g. "**/api/orders*") | urlRegex, method?, status?, headers?, body? (string or JSON) | bodyFile?, contentType?, delay? (ms), abort? (failed, timedout, connectionrefused, ...), times?, enabled?, id? }]',
+        },
+        changes: { type: 'object', description: 'update: fields to change, e.g. { "enabled": false }; null removes a field' },
+      },
+    },
+    request: (a) => {
+      const rulePath = a.id ? `/mocks/${encodeURIComponent(a.id)}` : '/mocks';
+      if (a.action === 'add') return { method: 'POST', path: '/mocks', body: { rules: a.rules } };
+      if (a.action === 'update') return { method: 'PATCH', path: rulePath, body: a.changes ?? {} };
+      if (a.action === 'delete') return { method: 'DELETE', path: rulePath };
+      return { path: rulePath };
+    },
+  },
+  {
+    name: 'navigate',
+    description: 'Go to a URL, back, forward or reload the monitored tab. Returns the final URL, redirect chain, status and navigation timing.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['goto', 'back', 'forward', 'reload'], description: 'Default goto' },
+        url: { type: 'string', description: 'For goto' },
+        waitUntil: { type: 'string', enum: ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'] },
+        timeout: { type: 'integer', description: 'ms' },
+        async: ASYNC,
+      },
+    },
+    request: (a) => {
+      const { async, ...body } = a;
+      return { method: 'POST', path: async ? '/navigate?async=1' : '/navigate', body };
+    },
+  },
+  {
+    name: 'wait',
+    description: 'Wait for conditions instead of sleeping: network idle, a console message, a selector visible/hidden, the URL, or a response with a status. Returns what matched and the events seen while waiting.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        networkIdle: { type: 'integer', description: 'ms without network requests' },
+        console: { type: 'string', description: 'Regex on new console messages' },
+        level: { type: 'string', description: 'Console levels for console, e.g. error,warn' },
+        selector: SELECTOR,
+        state: { type: 'string', enum: ['visible', 'hidden', 'attached'] },
+        url: { type: 'string', description: 'Regex on the page URL' },
+        response: { type: 'string', description: 'Regex on the URL of a new response' },
+        status: { type: 'string', description: 'Status for response: 200, 2xx or 400-599' },
+        match: { type: 'string', enum: ['all', 'any'] },
+        timeout: { type: 'integer', description: 'ms (default 30000)' },
+        async: ASYNC,
+      },
+    },
+    request: (a) => {
+      const { async, ...body } = a;
+      return { method: 'POST', path: async ? '/wait?async=1' : '/wait', body };
+    },
+  },
+  {
+    name: 'evaluate',
+    description: 'Evaluate a JavaScript expression in the monitored tab and return its value as JSON. Only works when the user enabled allowEvaluate in settings.json; every call is audited.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        expression: { type: 'string', description: 'JavaScript expression (use an IIFE for statements); promises are awaited' },
+        timeout: { type: 'integer', description: 'ms (default 5000, max 60000)' },
+        maxResultBytes: { type: 'integer', description: 'Result size limit (default 262144)' },
+      },
+      required: ['expression'],
+    },
+    request: (a) => ({ method: 'POST', path: '/evaluate', body: a }),
+  },
+];
+
+/**
+ * Typed wrappers for POST /puppeteer. toArgs maps named tool arguments to the positional page.* arguments.
+ * Only methods present in PAGE_WHITELIST are exposed.
+ */
+const PAGE_TOOLS = [
+  {
+    method: 'goto',
+    description: 'Navigate the monitored tab to a URL.',
+    properties: {
+      url: { type: 'string' },
+      waitUntil: { type: 'string', enum: ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'] },
+    },
+    required: ['url'],
+    toArgs: (a) => [a.url, ...(a.waitUntil ? [{ waitUntil: a.waitUntil }] : [])],
+  },
+  {
+    method: 'click',
+    description: 'Click the first element matching a selector.',
+    properties: { selector: SELECTOR, waitFor: { type: 'boolean', description: 'Wait for the selector first' } },
+    required: ['selector'],
+    toArgs: (a) => [a.selector],
+  },
+  {
+    method: 'type',
+    description: 'Type text into the element matching a selector.',
+    properties: {
+      selector: SELECTOR,
+      text: { type: 'string' },
+      delay: { type: 'integer', description: 'Delay between keystrokes in ms' },
+      waitFor: { type: 'boolean', description: 'Wait for the selector first' },
+    },
+    required: ['selector', 'text'],
+    toArgs: (a) => [a.selector, a.text, ...(a.delay ? [{ delay: a.delay }] : [])],
+  },
+  {
+    method: 'focus',
+    description: 'Focus the element matching a selector.',
+    properties: { selector: SELECTOR, waitFor: { type: 'boolean', description: 'Wait for the selector first' } },
+    required: ['selector'],
+    toArgs: (a) => [a.selector],
+  },
+  {
+    method: 'hover',
+    description: 'Hover the element matching a selector.',
+    properties: { selector: SELECTOR, waitFor: { type: 'boolean', description: 'Wait for the selector first' } },
+    required: ['selector'],
+    toArgs: (a) => [a.selector],
+  },
+  {
+    method: 'select',
+    description: 'Select option values in a <select> element.',
+    properties: { selector: SELECTOR, values: { type: 'array', items: { type: 'string' } } },
+    required: ['selector', 'values'],
+    toArgs: (a) => [a.selector, ...a.values],
+  },
+  {
+    method: 'content',
+    description: 'Full HTML of the monitored tab.',
+    properties: {},
+    toArgs: () => [],
+  },
+  {
+    method: 'title',
+    description: 'Document title of the monitored tab.',
+    properties: {},
+    toArgs: () => [],
+  },
+  {
+    method: 'url',
+    description: 'Current URL of the monitored tab.',
+    properties: {},
+    toArgs: () => [],
+  },
+  {
+    method: 'screenshot',
+    description: 'Screenshot of the monitored tab (returned as an image).',
+    properties: {
+      fullPage: { type: 'boolean' },
+      type: { type: 'string', enum: ['png', 'jpeg', 'webp'] },
+      quality: { type: 'integer', minimum: 0, maximum: 100, description: 'jpeg/webp only' },
+    },
+    toArgs: (a) => [{ fullPage: !!a.fullPage, type: a.type || 'png', ...(a.quality != null ? { quality: a.quality } : {}) }],
+    image: (a) => `image/${a.type || 'png'}`,
+  },
+  {
+    method: 'pdf',
+    description: 'Print the monitored tab to PDF (base64; headless Chrome only).',
+    properties: { format: { type: 'string', description: 'e.g. A4, Letter' }, printBackground: { type: 'boolean' } },
+    toArgs: (a) => [{ format: a.format || 'A4', printBackground: !!a.printBackground }],
+  },
+  {
+    method: 'setViewport',
+    description: 'Set the viewport size of the monitored tab.',
+    properties: {
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      deviceScaleFactor: { type: 'number' },
+      isMobile: { type: 'boolean' },
+    },
+    required: ['width', 'height'],
+    toArgs: (a) => [{
+      width: a.width,
+      height: a.height,
+      ...(a.deviceScaleFactor != null ? { deviceScaleFactor: a.deviceScaleFactor } : {}),
+      ...(a.isMobile != null ? { isMobile: a.isMobile } : {}),
+    }],
+  },
+  {
+    method: 'setDefaultTimeout',
+    description: 'Default timeout (ms) for page actions.',
+    properties: { ms: { type: 'integer', minimum: 0 } },
+    required: ['ms'],
+    toArgs: (a) => [a.ms],
+  },
+  {
+    method: 'setDefaultNavigationTimeout',
+    description: 'Default navigation timeout (ms).',
+    properties: { ms: { type: 'integer', minimum: 0 } },
+    required: ['ms'],
+    toArgs: (a) => [a.ms],
+  },
+  {
+    method: 'waitForSelector',
+    description: 'Wait until an element matching the selector exists (optionally visible or hidden).',
+    properties: { selector: SELECTOR, visible: { type: 'boolean' }, hidden: { type: 'boolean' } },
+    required: ['selector'],
+    toArgs: (a) => [a.selector, { ...(a.visible ? { visible: true } : {}), ...(a.hidden ? { hidden: true } : {}) }],
+  },
+  {
+    method: 'waitForTimeout',
+    description: 'Sleep for a number of ms.',
+    properties: { ms: { type: 'integer', minimum: 0 } },
+    required: ['ms'],
+    toArgs: (a) => [a.ms],
+  },
+];
+
+/** camelCase page method → tool name (setViewport → page_set_viewport). */
+function pageToolName(method) {
+  return 'page_' + method.replace(/[A-Z]/g, (c) => '_' + c.toLowerCase());
+}
+
+/** Tool registry: name → { description, inputSchema, run(args, api) }; api(method, path, body) calls the HTTP API. */
+export function buildTools() {
+  const tools = new Map();
+  for (const t of API_TOOLS) {
+    tools.set(t.name, {
+      description: t.description,
+      inputSchema: t.inputSchema,
+      run: (args, api) => {
+        const { method = 'GET', path: apiPath, body } = t.request(args);
+        return api(method, apiPath, body);
+      },
+    });
+  }
+  for (const t of PAGE_TOOLS) {
+    if (!PAGE_WHITELIST.has(t.method)) continue;
+    tools.set(pageToolName(t.method), {
+      description: `page.${t.method}: ${t.description}`,
+      inputSchema: {
+        type: 'object',
+        properties: { ...t.properties, timeout: CALL_TIMEOUT },
+        ...(t.required ? { required: t.required } : {}),
+      },
+      image: t.image || null,
+      run: (args, api) => api('POST', '/puppeteer', {
+        method: `page.${t.method}`,
+        args: t.toArgs(args),
+        ...(typeof args.timeout === 'number' ? { timeout: args.timeout } : {}),
+        ...(args.waitFor === true ? { waitFor: true } : {}),
+      }),
+    });
+  }
+  return tools;
+}
+
+/** Dump files exposed as resources (only those that exist). */
+function listDumpResources(paths) {
+  const files = [
+    { file: paths.consoleLog, name: 'console.log', description: 'Browser console output (last dump)' },
+    { file: paths.networkLog, name: 'network.log', description: 'Network requests overview (last dump)' },
+    { file: paths.networkHar, name: 'network.har', description: 'All requests as HAR 1.2 (last dump)' },
+    { file: paths.domHtml, name: 'dom.html', description: 'Current page HTML (last dump)' },
+    { file: paths.a11yJson, name: 'a11y.json', description: 'Accessibility tree: roles, names, states (last dump)' },
+    { file: paths.localStorageJson, name: 'localStorage.json', description: 'localStorage of the page origin (last dump)' },
+    { file: paths.sessionStorageJson, name: 'sessionStorage.json', description: 'sessionStorage of the page origin (last dump)' },
+    { file: paths.indexedDbJson, name: 'indexeddb.json', description: 'IndexedDB databases, stores, counts and sample records (last dump)' },
+    { file: paths.screenshot, name: 'screenshot.png', description: 'Screenshot of the monitored tab (last dump or PNG capture)' },
+    { file: paths.screenshot.replace(/\.png$/, '.jpeg'), name: 'screenshot.jpeg', description: 'Latest JPEG capture (screenshot format=jpeg)' },
+    { file: paths.screenshot.replace(/\.png$/, '.webp'), name: 'screenshot.webp', description: 'Latest WebP capture (screenshot format=webp)' },
+  ];
+  for (const dir of [paths.networkDir, paths.cookiesDir, paths.screenshotsDir]) {
+    if (!fs.existsSync(dir)) continue;
+    for (const f of fs.readdirSync(dir).sort()) {
+      files.push({ file: path.join(dir, f), name: `${path.basename(dir)}/${f}` });
+    }
+  }
+  return files
+    .filter((f) => fs.existsSync(f.file) && fs.statSync(f.file).isFile())
+    .map((f) => ({
+      uri: pathToFileURL(f.file).href,
+      name: f.name,
+      ...(f.description ? { description: f.description } : {}),
+      mimeType: mimeTypeFor(f.file),
+    }));
+}
+
+function mimeTypeFor(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.png') return 'image/png';
+  if (ext === '.jpeg') return 'image/jpeg';
+  if (ext === '.webp') return 'image/webp';
+  if (ext === '.html') return 'text/html';
+  if (ext === '.json' || ext === '.har') return 'application/json';
+  return 'text/plain';
+}
+
+/**
+ * Read a dump file resource. Only files inside .puppeteer/ are served.
+ * @returns {{ uri: string, mimeType: string, text?: string, blob?: string }}
+ */
+function readDumpResource(uri, paths) {
+  let file;
+  try {
+    file = fileURLToPath(uri);
+  } catch {
+    throw Object.assign(new Error(`Unsupported resource URI: ${uri}`), { code: RPC_INVALID_PARAMS });
+  }
+  const root = path.resolve(paths.puppeteerDir) + path.sep;
+  if (!path.resolve(file).startsWith(root) || !fs.existsSync(file)) {
+    throw Object.assign(new Error(`Resource not found: ${uri}`), { code: RPC_INVALID_PARAMS });
+  }
+  const mimeType = mimeTypeFor(file);
+  if (mimeType.startsWith('image/')) {
+    return { uri, mimeType, blob: fs.readFileSync(file).toString('base64') };
+  }
+  return { uri, mimeType, text: fs.readFileSync(file, 'utf8') };
+}
+
+/**
+ * Run `browsermonitor mcp`. Never resolves; the process exits when the client closes stdin.
+ * @param {Object} options
+ * @param {string} [options.projectRoot=process.cwd()]
+ * @param {number|null} [options.joinPort] - Join mode on this port; otherwise open mode
+ * @param {string|null} [options.url] - URL for open mode (default: settings.defaultUrl)
+ * @param {boolean} [options.headless=false]
+ * @param {boolean} [options.realtime=false]
+ * @param {number|null} [options.navigationTimeout]
+ * @param {string[]|null} [options.emulation] - Preset names for open mode; overrides settings.emulation
+ * @param {number|null} [options.httpPort] - Overrides settings.httpPort
+ * @param {number} [options.hardTimeout=0]
+ */
+export async function runMcpMode(options = {}) {
+  const {
+    projectRoot = process.cwd(),
+    joinPort = null,
+    url = null,
+    headless = false,
+    realtime = false,
+    navigationTimeout = null,
+    emulation = null,
+    httpPort = null,
+    hardTimeout = 0,
+  } = options;
+
+  // stdout is the protocol channel: keep a private writer and route everything else to stderr
+  const writeProtocol = process.stdout.write.bind(process.stdout);
+  process.stdout.write = process.stderr.write.bind(process.stderr);
+  const send = (message) => writeProtocol(JSON.stringify(message) + '\n');
+
+  ensureDirectories(projectRoot);
+  let config = loadSettings(projectRoot);
+  if (!isInitialized(projectRoot) || config.authToken === undefined) {
+    await runInit(projectRoot);
+    config = loadSettings(projectRoot);
+  }
+  const paths = getPaths(projectRoot);
+
+  const sharedHttpState = {
+    mode: 'interactive',
+    logBuffer: null,
+    getPages: () => [],
+    getCollectingPaused: () => false,
+    setCollectingPaused: () => {},
+    switchToTab: async () => ({ success: false, error: 'No browser connected' }),
+    getAllTabs: async () => [],
+    onModeChange: (mode) => updateServerInfo(paths.serverInfoFile, { mode }),
+  };
+  // Request mocks (.browsermonitor/mocks.json), shared by the API and the monitored page
+  const mocks = new MockStore(paths.mocksFile);
+  const sharedHttpServer = createHttpServer({
+    port: httpPort ?? config.httpPort,
+    defaultPort: config.httpPort,
+    getState: () => sharedHttpState,
+    settings: config,
+    paths,
+    mocks,
+  });
+  // settings.json edits (and PATCH /settings) reach the running monitor without a restart
+  watchSettings(paths.settingsFile, config, (changes) => sharedHttpState.applySettings?.(changes));
+  mocks.watch();
+  // Resolves after any port fallback; null when the API did not start (tools then report it)
+  const apiAddress = whenListening(sharedHttpServer).catch((err) => {
+    log.error(err.message);
+    return null;
+  });
+
+  /** Call the in-process HTTP API (over the Unix socket when there is one); returns { status, body } with body parsed as JSON. */
+  async function api(method, apiPath, body) {
+    const address = await apiAddress;
+    if (!address) throw new Error('HTTP API is not running (failed to start or disabled); MCP tools need it.');
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.authToken && !address.socketPath) headers.Authorization = `Bearer ${config.authToken}`;
+    const payload = body !== undefined ? JSON.stringify(body) : null;
+    const { status, text } = await new Promise((resolve, reject) => {
+      const req = http.request({
+        method,
+        path: apiPath,
+        headers,
+        ...(address.socketPath ? { socketPath: address.socketPath } : { host: address.host, port: address.port }),
+      }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, text: data }));
+        res.on('error', reject);
+      });
+      req.on('error', reject);
+      req.end(payload ?? undefined);
+    });
+    try {
+      return { status, body: JSON.parse(text) };
+    } catch {
+      return { status, body: text };
+    }
+  }
+
+  const tools = buildTools();
+
+  async function callTool(name, args) {
+    const tool = tools.get(name);
+    if (!tool) throw Object.assign(new Error(`Unknown tool: ${name}`), { code: RPC_INVALID_PARAMS });
+    try {
+      const { status, body } = await tool.run(args, api);
+      const isError = status >= 400 || body?.success === false;
+      if (tool.image && !isError && typeof body?.result === 'string') {
+        return { content: [{ type: 'image', data: body.result, mimeType: tool.image(args) }] };
+      }
+      return {
+        content: [{ type: 'text', text: typeof body === 'string' ? body : JSON.stringify(body, null, 2) }],
+        ...(isError ? { isError: true } : {}),
+      };
+    } catch (e) {
+      return { content: [{ type: 'text', text: e.message }], isError: true };
+    }
+  }
+
+  async function handleMessage(msg) {
+    const { id, method, params = {} } = msg;
+    const isRequest = id !== undefined && id !== null;
+    try {
+      let result;
+      switch (method) {
+        case 'initialize': {
+          const requested = params.protocolVersion;
+          result = {
+            protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+            capabilities: { tools: {}, resources: {} },
+            serverInfo: { name: 'browsermonitor', version: getPackageVersion() },
+            instructions: 'Live browser monitor. Use dump to write console/network/DOM/screenshot files, then read them as resources; page_* tools drive the monitored tab.',
+          };
+          break;
+        }
+        case 'ping':
+          result = {};
+          break;
+        case 'tools/list':
+          result = {
+            tools: [...tools].map(([name, t]) => ({ name, description: t.description, inputSchema: t.inputSchema })),
+          };
+          break;
+        case 'tools/call':
+          result = await callTool(params.name, params.arguments || {});
+          break;
+        case 'resources/list':
+          result = { resources: listDumpResources(paths) };
+          break;
+        case 'resources/read':
+          result = { contents: [readDumpResource(params.uri, paths)] };
+          break;
+        default:
+          // Notifications (notifications/initialized, notifications/cancelled, ...) need no answer
+          if (!isRequest) return;
+          throw Object.assign(new Error(`Method not found: ${method}`), { code: RPC_METHOD_NOT_FOUND });
+      }
+      if (isRequest) send({ jsonrpc: '2.0', id, result });
+    } catch (e) {
+      if (isRequest) send({ jsonrpc: '2.0', id, error: { code: e.code ?? -32603, message: e.message } });
+    }
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+  rl.on('line', (line) => {
+    if (!line.trim()) return;
+    let msg;
+    try {
+      msg = JSON.parse(line);
+    } catch {
+      send({ jsonrpc: '2.0', id: null, error: { code: RPC_PARSE_ERROR, message: 'Parse error' } });
+      return;
+    }
+    handleMessage(msg);
+  });
+  // Client went away: run the regular SIGTERM cleanup (Chrome keeps running, like q)
+  rl.on('close', () => process.kill(process.pid, 'SIGTERM'));
+
+  log.info(`MCP server ready on stdio (${joinPort ? `join mode, port ${joinPort}` : 'open mode'})`);
+
+  const modeOptions = {
+    outputDir: projectRoot,
+    paths,
+    realtime: realtime || config.realtime,
+    ignorePatterns: config.ignorePatterns,
+    domOptions: config.domOptions,
+    hardTimeout,
+    httpPort: (await apiAddress)?.port ?? httpPort ?? config.httpPort,
+    authToken: config.authToken,
+    joinPort,
+    sharedHttpState,
+    sharedHttpServer,
+    mocks,
+    interactive: false,
+  };
+  const run = joinPort
+    ? runJoinMode(config.defaultUrl, modeOptions)
+    : runOpenMode(url || config.defaultUrl, {
+      ...modeOptions,
+      headless: headless || config.headless || false,
+      navigationTimeout: navigationTimeout ?? config.navigationTimeout ?? 60_000,
+      emulation: emulation ?? config.emulation,
+      emulationPresets: config.emulationPresets,
+    });
+  run.catch((e) => log.error(`Monitor failed: ${e.message}`));
+
+  await new Promise(() => {});
+}
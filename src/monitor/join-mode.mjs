@@ -44,6 +44,8 @@ import {
  * Run in Join Mode - attach to an existing Chrome browser.
  * If options.joinPort is given, connects to that port directly.
  * If not, scans for running Chrome instances (WSL: process scan, other: probe 9222-9229).
+ * With options.interactive === false nothing reads stdin: no prompts, first tab, no keyboard shortcuts.
+ * options.mocks (MockStore) applies the mocks.json rules to the monitored tab.
  */
 export async function runJoinMode(defaultUrl, options = {}) {
   const {
@@ -52,12 +54,16 @@ export async function runJoinMode(defaultUrl, options = {}) {
     outputDir,
     paths,
     ignorePatterns = [],
+    domOptions = {},
     hardTimeout = 0,
     httpPort,
+    authToken = null,
     host = null,
     sharedHttpState,
     sharedHttpServer,
+    mocks = null,
     skipModeHeading = false,
+    interactive = true,
   } = options;
 
   if (!skipModeHeading) printModeHeading('Join mode');
@@ -73,6 +79,7 @@ export async function runJoinMode(defaultUrl, options = {}) {
     paths,
     lazyMode,
     ignorePatterns,
+    domOptions,
   });
 
   let browser = null;
@@ -86,6 +93,7 @@ export async function runJoinMode(defaultUrl, options = {}) {
   const { setupPageMonitoring, cleanupActivePageListeners } = createSetupPageMonitoring({
     logBuffer,
     getCollectingPaused: () => collectingPaused,
+    mocks,
   });
 
   const { cleanup } = createCleanup({
@@ -106,6 +114,7 @@ export async function runJoinMode(defaultUrl, options = {}) {
 
   const { maybeShowHelp, printHelp } = createHelpHandlers({
     httpPort,
+    authToken,
     keysVariant: KEYS_JOIN,
     logBuffer,
     outputDir,
@@ -210,7 +219,7 @@ export async function runJoinMode(defaultUrl, options = {}) {
       actualPort = findFreeDebugPort(instances, joinPort);
       clearStatusLine();
       console.log(`  ${C.yellow}No Chrome for this project.${C.reset} Port ${actualPort}, profile ${C.dim}${profileLoc.path}${C.reset}`);
-      shouldLaunchChrome = await askYesNo(`  Launch Chrome Canary for this project?`);
+      shouldLaunchChrome = interactive ? await askYesNo(`  Launch Chrome Canary for this project?`) : true;
     } else {
       // Chrome Canary not installed
       actualPort = findFreeDebugPort(instances, joinPort);
@@ -257,7 +266,9 @@ export async function runJoinMode(defaultUrl, options = {}) {
     }
 
     // Wait for user if needed
-    if (shouldWaitForUser) {
+    if (shouldWaitForUser && !interactive) {
+      log.warn(waitMessageContent);
+    } else if (shouldWaitForUser) {
       clearStatusLine();
       const content = buildWaitForChromeContent(waitMessageContent);
       const table = createTable({ colWidths: [72], tableOpts: { wordWrap: true } });
@@ -329,7 +340,7 @@ export async function runJoinMode(defaultUrl, options = {}) {
     }
 
     let selectedPage;
-    if (pages.length === 1) {
+    if (pages.length === 1 || !interactive) {
       selectedPage = pages[0];
       clearStatusLine();
     } else {
@@ -362,22 +373,24 @@ export async function runJoinMode(defaultUrl, options = {}) {
     logBuffer.printNetworkSeparator('CONNECTED - Listening for network requests');
 
     clearStatusLine(true);
-    printReadyHelp(httpPort, KEYS_JOIN);
-    setupKeyboardInput({
-      getActivePage: () => monitoredPages[0] || null,
-      logBuffer,
-      cleanup,
-      switchTabs,
-      printHelp,
-      maybeShowHelp,
-      isSelectingTab: () => isSelectingTab,
-      getCollectingPaused: () => collectingPaused,
-      setCollectingPaused: (v) => { collectingPaused = !!v; },
-      getStatusInfo: async () => ({
-        currentUrl: monitoredPages.map(p => p.url()).join(', '),
-        tabCount: monitoredPages.length,
-      }),
-    });
+    if (interactive) {
+      printReadyHelp(httpPort, KEYS_JOIN);
+      setupKeyboardInput({
+        getActivePage: () => monitoredPages[0] || null,
+        logBuffer,
+        cleanup,
+        switchTabs,
+        printHelp,
+        maybeShowHelp,
+        isSelectingTab: () => isSelectingTab,
+        getCollectingPaused: () => collectingPaused,
+        setCollectingPaused: (v) => { collectingPaused = !!v; },
+        getStatusInfo: async () => ({
+          currentUrl: monitoredPages.map(p => p.url()).join(', '),
+          tabCount: monitoredPages.length,
+        }),
+      });
+    }
 
     await new Promise(() => {});
   } catch (e) {
@@ -399,7 +412,7 @@ export async function runJoinMode(defaultUrl, options = {}) {
           console.log(`${C.bold}${C.green}═══════════════════════════════════════════════════════════════════════════════${C.reset}`);
           console.log('');
 
-          const shouldFix = await askYesNo('Do you want me to fix this automatically? (remove port proxy, restart Chrome)');
+          const shouldFix = interactive && await askYesNo('Do you want me to fix this automatically? (remove port proxy, restart Chrome)');
 
           if (shouldFix) {
             const fixPort = diagResult.actualPort || actualPort;
@@ -19,6 +19,7 @@ import {
   runWslDiagnostics,
 } from '../os/wsl/index.mjs';
 import { LogBuffer } from '../logging/index.mjs';
+import { applyEmulation } from '../browser/index.mjs';
 import { askYesNo } from '../utils/ask.mjs';
 import { printReadyHelp, KEYS_OPEN } from '../templates/ready-help.mjs';
 import { printModeHeading, printBulletBox } from '../templates/section-heading.mjs';
@@ -46,6 +47,10 @@ let windowsDebugPort = 0;
  * Run in Open Mode - launch new Chrome and monitor
  * @param {string} url - URL to monitor
  * @param {Object} options - Monitor options
+ * @param {Object|string|string[]|null} [options.emulation] - Preset name(s) or emulation options applied before the first load (see browser/emulation.mjs)
+ * @param {Object} [options.emulationPresets] - settings.emulationPresets
+ * @param {import('../browser/mocks.mjs').MockStore|null} [options.mocks] - mocks.json rules applied to the monitored page
+ * @param {boolean} [options.interactive=true] - false = no keyboard shortcuts or prompts (stdin belongs to someone else, e.g. MCP)
  */
 export async function runOpenMode(url, options = {}) {
   const {
@@ -54,14 +59,20 @@ export async function runOpenMode(url, options = {}) {
     outputDir,
     paths,
     ignorePatterns = [],
+    domOptions = {},
     hardTimeout = 0,
     defaultTimeout = 30_000,
     navigationTimeout = 60_000,
+    emulation = null,
+    emulationPresets = {},
     httpPort,
+    authToken = null,
     sharedHttpState,
     sharedHttpServer,
+    mocks = null,
     skipProfileBlock = false,
     skipModeHeading = false,
+    interactive = true,
   } = options;
 
   const lazyMode = !realtime;
@@ -72,6 +83,7 @@ export async function runOpenMode(url, options = {}) {
     paths,
     lazyMode,
     ignorePatterns,
+    domOptions,
   });
 
   // Chrome profile dir (Linux-accessible path for prefs config).
@@ -93,6 +105,7 @@ export async function runOpenMode(url, options = {}) {
   const { setupPageMonitoring, cleanupActivePageListeners } = createSetupPageMonitoring({
     logBuffer,
     getCollectingPaused: () => collectingPaused,
+    mocks,
   });
 
   const { cleanup } = createCleanup({
@@ -130,6 +143,7 @@ export async function runOpenMode(url, options = {}) {
 
   const { maybeShowHelp, printHelp } = createHelpHandlers({
     httpPort,
+    authToken,
     keysVariant: KEYS_OPEN,
     logBuffer,
     outputDir,
@@ -262,7 +276,7 @@ export async function runOpenMode(url, options = {}) {
                 console.log(`  ${C.cyan}netsh interface portproxy add v4tov4 listenport=${existingDebugPort} listenaddress=0.0.0.0 connectport=${existingDebugPort} connectaddress=127.0.0.1${C.reset}`);
                 console.log('');
 
-                const shouldSetup = await askYesNo(`  ${C.bold}Try to set up port proxy now? (requires admin)${C.reset}`);
+                const shouldSetup = interactive && await askYesNo(`  ${C.bold}Try to set up port proxy now? (requires admin)${C.reset}`);
                 if (shouldSetup) {
                     try {
                       // Try to run netsh (might need elevation)
@@ -464,7 +478,7 @@ export async function runOpenMode(url, options = {}) {
           console.log(`${C.bold}${C.green}═══════════════════════════════════════════════════════════════════════════════${C.reset}`);
           console.log('');
 
-          const shouldFix = await askYesNo('Do you want me to fix this automatically? (remove port proxy, restart Chrome)');
+          const shouldFix = interactive && await askYesNo('Do you want me to fix this automatically? (remove port proxy, restart Chrome)');
 
           if (shouldFix) {
             const fixPort = diagResult.actualPort || windowsDebugPort;
@@ -563,6 +577,20 @@ export async function runOpenMode(url, options = {}) {
     page.setDefaultTimeout(defaultTimeout);
     page.setDefaultNavigationTimeout(navigationTimeout);
 
+    // ===== EMULATION (settings.emulation / --emulate) before the first load =====
+    if (emulation) {
+      try {
+        const result = await applyEmulation(page, emulation, emulationPresets);
+        if (result.success) {
+          log.info(`Emulating: ${Object.entries(result.emulation).map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`).join(', ')}`);
+        } else {
+          log.warn(`Emulation partly applied (${result.applied.join(', ') || 'nothing'}): ${result.error}`);
+        }
+      } catch (e) {
+        log.warn(`Emulation not applied: ${e.message}`);
+      }
+    }
+
     // ===== SETUP PAGE MONITORING (console, network events) =====
     setupPageMonitoring(page);
 
@@ -606,7 +634,7 @@ export async function runOpenMode(url, options = {}) {
       logBuffer.logConsole(`[Monitor] Press Ctrl+C to stop.`);
       logBuffer.logConsole(`[Monitor] Type console.clear() in browser to reset console log.`);
       logBuffer.logConsole('');
-    } else {
+    } else if (interactive) {
       // Lazy mode: Ready block from template (same as periodic reminder)
       printReadyHelp(httpPort, KEYS_OPEN);
       setupKeyboardInput({
@@ -4,6 +4,7 @@
  */
 
 import { getTimestamp, getFullTimestamp } from '../logging/index.mjs';
+import { attachMockInterceptor, getMockForRequest, describeMockAction } from '../browser/mocks.mjs';
 
 /** Non-fatal: navigation destroyed the context; we skip logging instead of crashing. */
 function isContextDestroyedError(e) {
@@ -11,17 +12,37 @@ function isContextDestroyedError(e) {
   return /Execution context was destroyed|Target closed|Protocol error/.test(msg);
 }
 
+/** Console message type → event level ('warning' is the older Puppeteer name for 'warn'). */
+function consoleLevel(type) {
+  return type === 'warning' ? 'warn' : type;
+}
+
+/** Response status → event level. */
+function responseLevel(status) {
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'warn';
+  return 'info';
+}
+
+/** Network log suffix of a mocked request, e.g. " [MOCK orders-500: 500]". */
+function mockTag(mock) {
+  return mock ? ` [MOCK ${mock.id}: ${describeMockAction(mock)}]` : '';
+}
+
 /**
  * Attach console and network monitoring to a page.
+ * Every captured entry is also published via logBuffer.emitEvent (GET /events).
+ * With a mock store, its rules are applied to the page's requests and mocked requests are marked in the log.
  * @param {import('puppeteer').Page} targetPage
  * @param {Object} context
  * @param {import('../logging.mjs').LogBuffer} context.logBuffer
  * @param {() => boolean} context.getCollectingPaused
  * @param {(fn: () => void) => void} context.setActivePageCleanup - setter for cleanup callback
  * @param {string} [context.pageLabel] - optional label for multi-tab (e.g. "[tab 2] ")
+ * @param {import('../browser/mocks.mjs').MockStore|null} [context.mocks] - mocks.json rules
  */
 export function setupPageMonitoring(targetPage, context) {
-  const { logBuffer, getCollectingPaused, setActivePageCleanup, pageLabel = '' } = context;
+  const { logBuffer, getCollectingPaused, setActivePageCleanup, pageLabel = '', mocks = null } = context;
 
   const requestData = new Map();
 
@@ -61,7 +82,9 @@ export function setupPageMonitoring(targetPage, context) {
         logBuffer.printConsoleSeparator('HMR UPDATE - Code change detected');
       }
       const typeStr = type.toUpperCase().padEnd(7);
-      logBuffer.logConsole(`[${timestamp}] ${pageLabel}${typeStr} ${text}`);
+      const record = { type: 'console', level: consoleLevel(type), text };
+      logBuffer.logConsole(`[${timestamp}] ${pageLabel}${typeStr} ${text}`, record);
+      logBuffer.emitEvent({ channel: 'console', ...record });
     } catch (e) {
       if (isContextDestroyedError(e)) return;
       throw e;
@@ -71,7 +94,9 @@ export function setupPageMonitoring(targetPage, context) {
   const onPageError = (error) => {
     try {
       if (getCollectingPaused()) return;
-      logBuffer.logConsole(`[${getTimestamp()}] ${pageLabel}[PAGE ERROR] ${error.message}`);
+      const record = { type: 'pageerror', level: 'error', text: error.message };
+      logBuffer.logConsole(`[${getTimestamp()}] ${pageLabel}[PAGE ERROR] ${error.message}`, record);
+      logBuffer.emitEvent({ channel: 'console', ...record });
     } catch (e) {
       if (isContextDestroyedError(e)) return;
       throw e;
@@ -90,12 +115,18 @@ export function setupPageMonitoring(targetPage, context) {
       try {
         postData = request.postData();
       } catch (e) {}
-      requestData.set(request, { id, startTime: Date.now(), method, resourceType });
+      const mock = getMockForRequest(request);
+      requestData.set(request, { id, startTime: Date.now(), method, resourceType, mock });
       logBuffer.saveRequestDetail(id, {
         id, timestamp, method, resourceType, url: reqUrl,
         request: { headers: request.headers(), postData },
+        ...(mock ? { mock: { id: mock.id, action: describeMockAction(mock) } } : {}),
+      });
+      logBuffer.logNetwork(`[${timestamp}] --> ${id} ${method} ${resourceType.toUpperCase().padEnd(10)} ${reqUrl}${mockTag(mock)}`);
+      logBuffer.emitEvent({
+        channel: 'network', type: 'request', level: 'info', id, method, resourceType, url: reqUrl,
+        ...(mock ? { mock: mock.id } : {}),
       });
-      logBuffer.logNetwork(`[${timestamp}] --> ${id} ${method} ${resourceType.toUpperCase().padEnd(10)} ${reqUrl}`);
     } catch (e) {
       if (isContextDestroyedError(e)) return;
       throw e;
@@ -112,8 +143,9 @@ export function setupPageMonitoring(targetPage, context) {
       const data = req ? requestData.get(req) : null;
       let duration = '';
       let id = '?????';
+      let ms = null;
       if (data) {
-        const ms = Date.now() - data.startTime;
+        ms = Date.now() - data.startTime;
         duration = ` (${ms}ms)`;
         id = data.id;
         requestData.delete(req);
@@ -142,10 +174,18 @@ export function setupPageMonitoring(targetPage, context) {
             headers: responseHeaders,
             body: responseBody,
             duration: ms,
+            // CDP ResourceTiming (dns/connect/ssl/send/wait offsets) for the HAR export
+            timing: response.timing() ?? null,
           },
         });
       }
-      logBuffer.logNetwork(`[${timestamp}] <-- ${id} ${status.toString().padStart(3)} ${respUrl}${duration}`);
+      const mock = data?.mock ?? null;
+      logBuffer.logNetwork(`[${timestamp}] <-- ${id} ${status.toString().padStart(3)} ${respUrl}${duration}${mockTag(mock)}`);
+      logBuffer.emitEvent({
+        channel: 'network', type: 'response', level: responseLevel(status),
+        id, method: data?.method ?? null, url: respUrl, status, duration: ms,
+        ...(mock ? { mock: mock.id } : {}),
+      });
     } catch (e) {
       if (isContextDestroyedError(e)) return;
       throw e;
@@ -161,16 +201,25 @@ export function setupPageMonitoring(targetPage, context) {
       const data = requestData.get(request);
       let duration = '';
       let id = '?????';
+      let ms = null;
       if (data) {
-        const ms = Date.now() - data.startTime;
+        ms = Date.now() - data.startTime;
         duration = ` (${ms}ms)`;
         id = data.id;
         requestData.delete(request);
         logBuffer.updateRequestDetail(id, { failed: { errorText: failure?.errorText, duration: ms } });
       }
-      logBuffer.logNetwork(`[${timestamp}] [FAILED] ${id} ${reqUrl}: ${failure?.errorText}${duration}`);
+      const mock = data?.mock ?? null;
+      logBuffer.logNetwork(`[${timestamp}] [FAILED] ${id} ${reqUrl}: ${failure?.errorText}${duration}${mockTag(mock)}`);
+      logBuffer.emitEvent({
+        channel: 'network', type: 'requestfailed', level: 'error',
+        id, method: data?.method ?? null, url: reqUrl, errorText: failure?.errorText ?? null, duration: ms,
+        ...(mock ? { mock: mock.id } : {}),
+      });
       if (!reqUrl.includes('oauth2/sign_in')) {
-        logBuffer.logConsole(`[${getTimestamp()}] [FAILED] ${reqUrl}: ${failure?.errorText}`);
+        logBuffer.logConsole(`[${getTimestamp()}] [FAILED] ${reqUrl}: ${failure?.errorText}`, {
+          type: 'requestfailed', level: 'error', text: `${reqUrl}: ${failure?.errorText}`,
+        });
       }
     } catch (e) {
       if (isContextDestroyedError(e)) return;
@@ -178,6 +227,8 @@ export function setupPageMonitoring(targetPage, context) {
     }
   };
 
+  // Before the request listener below, so it sees which rule answered the request
+  const detachMocks = mocks ? attachMockInterceptor(targetPage, mocks) : null;
   targetPage.on('console', onConsole);
   targetPage.on('pageerror', onPageError);
   targetPage.on('request', onRequest);
@@ -194,6 +245,7 @@ export function setupPageMonitoring(targetPage, context) {
   };
   setActivePageCleanup(() => {
     removeListeners(targetPage);
+    detachMocks?.();
     requestData.clear();
   });
 }
@@ -27,7 +27,11 @@ export function createCleanup({ getBrowser, getHttpServer, closeBrowserFn, after
     try {
       const httpServer = getHttpServer();
       if (httpServer) {
-        await new Promise((resolve) => httpServer.close(resolve));
+        await new Promise((resolve) => {
+          httpServer.close(resolve);
+          // Open /events streams would otherwise keep close() pending forever
+          httpServer.closeAllConnections?.();
+        });
         log.dim('HTTP server closed');
       }
     } catch (e) {
@@ -10,6 +10,7 @@ import { printApiHelpTable } from '../../templates/api-help.mjs';
  * Create help display functions bound to session state.
  * @param {Object} deps
  * @param {number} deps.httpPort
+ * @param {string|null} [deps.authToken] - API bearer token; full help shows only whether auth is on
  * @param {string} deps.keysVariant - KEYS_OPEN or KEYS_JOIN constant
  * @param {Object} deps.logBuffer
  * @param {string} deps.outputDir
@@ -20,7 +21,7 @@ import { printApiHelpTable } from '../../templates/api-help.mjs';
  * @returns {{ maybeShowHelp: () => void, printHelp: () => void }}
  */
 export function createHelpHandlers({
-  httpPort, keysVariant, logBuffer, outputDir,
+  httpPort, authToken = null, keysVariant, logBuffer, outputDir,
   modeLabel, getCurrentUrl, getProfilePath, getBrowserUrl,
 }) {
   let outputCounter = 0;
@@ -42,6 +43,7 @@ export function createHelpHandlers({
     console.log(`${C.cyan}${modeLabel}${C.reset}  ${connInfo}`);
     printApiHelpTable({
       port: httpPort,
+      authToken,
       showApi: true,
       showInteractive: true,
       showOutputFiles: true,
@@ -49,9 +51,15 @@ export function createHelpHandlers({
         consoleLog: logBuffer.CONSOLE_LOG,
         networkLog: logBuffer.NETWORK_LOG,
         networkDir: logBuffer.NETWORK_DIR,
+        networkHar: logBuffer.NETWORK_HAR,
         cookiesDir: logBuffer.COOKIES_DIR,
         domHtml: logBuffer.DOM_HTML,
+        a11yJson: logBuffer.A11Y_JSON,
+        localStorageJson: logBuffer.LOCAL_STORAGE_JSON,
+        sessionStorageJson: logBuffer.SESSION_STORAGE_JSON,
+        indexedDbJson: logBuffer.INDEXEDDB_JSON,
         screenshot: logBuffer.SCREENSHOT,
+        screenshotsDir: logBuffer.SCREENSHOTS_DIR,
       },
       sessionContext: {
         currentUrl: currentUrl || undefined,
@@ -3,9 +3,10 @@
  */
 
 import { filterUserPages } from './user-page-filter.mjs';
+import { applyRuntimeSettings } from './runtime-settings.mjs';
 
 /**
- * @param {Object} sharedHttpState - mutable state object from CLI
+ * @param {Object} sharedHttpState - mutable state object from CLI (optional onModeChange(mode) is called here)
  * @param {Object} deps
  * @param {string} deps.mode - 'launch' | 'join'
  * @param {Object} deps.logBuffer
@@ -21,10 +22,12 @@ export function wireHttpState(sharedHttpState, {
   getBrowser, setupPageMonitoring, onTabSwitched,
 }) {
   sharedHttpState.mode = mode;
+  sharedHttpState.onModeChange?.(mode);
   sharedHttpState.logBuffer = logBuffer;
   sharedHttpState.getPages = getMonitoredPages;
   sharedHttpState.getCollectingPaused = getCollectingPaused;
   sharedHttpState.setCollectingPaused = setCollectingPaused;
+  sharedHttpState.applySettings = (changes) => applyRuntimeSettings(changes, { logBuffer, getMonitoredPages });
 
   sharedHttpState.getAllTabs = async () => {
     const browser = getBrowser();
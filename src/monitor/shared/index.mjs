@@ -6,6 +6,7 @@ export { filterUserPages } from './user-page-filter.mjs';
 export { createSetupPageMonitoring } from './monitoring-wrapper.mjs';
 export { createHelpHandlers } from './help.mjs';
 export { wireHttpState } from './http-state-setup.mjs';
+export { applyRuntimeSettings } from './runtime-settings.mjs';
 export { createSwitchTabs } from './tab-switching.mjs';
 export { createCleanup } from './cleanup.mjs';
 export { setupKeyboardInput } from './keyboard-handler.mjs';
@@ -48,6 +48,8 @@ export function setupKeyboardInput({
       await logBuffer.dumpBuffersToFiles({
         dumpCookies: page ? () => logBuffer.dumpCookiesFromPage(page) : null,
         dumpDom: page ? () => logBuffer.dumpDomFromPage(page) : null,
+        dumpA11y: page ? () => logBuffer.dumpAccessibilityFromPage(page) : null,
+        dumpStorage: page ? () => logBuffer.dumpStorageFromPage(page) : null,
         dumpScreenshot: page ? () => logBuffer.dumpScreenshotFromPage(page) : null,
       });
       maybeShowHelp();
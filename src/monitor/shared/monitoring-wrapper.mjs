@@ -11,9 +11,10 @@ import { setupPageMonitoring as setupPageMonitoringShared } from '../page-monito
  * @param {Object} deps
  * @param {Object} deps.logBuffer
  * @param {() => boolean} deps.getCollectingPaused
+ * @param {import('../../browser/mocks.mjs').MockStore|null} [deps.mocks] - mocks.json rules applied to the monitored page
  * @returns {{ setupPageMonitoring: (page: import('puppeteer').Page, pageLabel?: string) => void, cleanupActivePageListeners: () => void }}
  */
-export function createSetupPageMonitoring({ logBuffer, getCollectingPaused }) {
+export function createSetupPageMonitoring({ logBuffer, getCollectingPaused, mocks = null }) {
   let activePageCleanup = null;
 
   function cleanupActivePageListeners() {
@@ -32,6 +33,7 @@ export function createSetupPageMonitoring({ logBuffer, getCollectingPaused }) {
       getCollectingPaused,
       setActivePageCleanup: (fn) => { activePageCleanup = fn; },
       pageLabel,
+      mocks,
     });
   }
 
@@ -0,0 +1,32 @@
+/**
+ * Apply changed live settings (settings.json reload, PATCH /settings) to a running session.
+ */
+
+import { log } from '../../utils/colors.mjs';
+
+/**
+ * @param {Object} changes - Validated subset of LIVE_SETTINGS (see settings.mjs)
+ * @param {Object} deps
+ * @param {Object} deps.logBuffer
+ * @param {() => import('puppeteer').Page[]} deps.getMonitoredPages
+ */
+export function applyRuntimeSettings(changes, { logBuffer, getMonitoredPages }) {
+  if (changes.ignorePatterns !== undefined) {
+    logBuffer.setIgnorePatterns(changes.ignorePatterns);
+  }
+  if (changes.realtime !== undefined && changes.realtime === logBuffer.lazyMode) {
+    logBuffer.setLazyMode(!changes.realtime);
+    log.info(changes.realtime
+      ? 'Switched to REALTIME mode: buffered entries written to files, new ones are appended'
+      : 'Switched to LAZY mode: entries are buffered until the next dump');
+  }
+  if (changes.domOptions !== undefined) {
+    logBuffer.domOptions = changes.domOptions;
+  }
+  if (changes.navigationTimeout !== undefined) {
+    for (const page of getMonitoredPages()) {
+      page.setDefaultNavigationTimeout(changes.navigationTimeout);
+    }
+  }
+  // corsOrigins, allowEvaluate and emulationPresets are read from the settings object on every request
+}
@@ -6,6 +6,9 @@
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { DEFAULT_DOM_OPTIONS, normalizeDomOptions } from './logging/dom.mjs';
+import { log } from './utils/colors.mjs';
 
 // Directory and file names
 export const BROWSERMONITOR_DIR = '.browsermonitor';
@@ -13,6 +16,9 @@ export const PUPPETEER_DIR = '.puppeteer';
 export const CHROME_PROFILE_DIR = '.chrome-profile';
 export const SETTINGS_FILE = 'settings.json';
 export const PID_FILE = 'browsermonitor.pid';
+export const SERVER_INFO_FILE = 'server.json';
+export const SOCKET_FILE = 'browsermonitor.sock';
+export const MOCKS_FILE = 'mocks.json';
 
 /** Default settings for new projects */
 export const DEFAULT_SETTINGS = {
@@ -21,9 +27,140 @@ export const DEFAULT_SETTINGS = {
   navigationTimeout: 60000,
   ignorePatterns: [],
   httpPort: 60001,
+  httpPortFallback: true,
+  httpSocket: false,
   realtime: false,
+  corsOrigins: [],
+  allowEvaluate: false,
+  domOptions: DEFAULT_DOM_OPTIONS,
+  emulation: null,
+  emulationPresets: {},
 };
 
+/** Settings a running monitor picks up from settings.json without restarting (the rest apply on the next start). */
+export const LIVE_SETTINGS = ['ignorePatterns', 'realtime', 'navigationTimeout', 'domOptions', 'corsOrigins', 'allowEvaluate', 'emulationPresets'];
+
+/** Settings PATCH /settings may change. API access (authToken, corsOrigins, allowEvaluate) stays file-only. */
+export const PATCHABLE_SETTINGS = ['ignorePatterns', 'realtime', 'navigationTimeout', 'domOptions'];
+
+/** Interval (ms) at which settings.json is checked for changes. */
+const SETTINGS_WATCH_INTERVAL_MS = 1000;
+
+/**
+ * Validate live setting values.
+ * @param {Object} changes - Subset of LIVE_SETTINGS keys
+ * @returns {Object} The same changes
+ * @throws {Error} On an invalid value
+ */
+export function validateSettings(changes) {
+  const isStringList = (v) => Array.isArray(v) && v.every((item) => typeof item === 'string');
+  for (const [key, value] of Object.entries(changes)) {
+    switch (key) {
+      case 'ignorePatterns':
+      case 'corsOrigins':
+        if (!isStringList(value)) throw new Error(`Invalid "${key}": expected an array of strings`);
+        break;
+      case 'realtime':
+      case 'allowEvaluate':
+        if (typeof value !== 'boolean') throw new Error(`Invalid "${key}": expected true or false`);
+        break;
+      case 'navigationTimeout':
+        if (!Number.isInteger(value) || value < 0) throw new Error(`Invalid "${key}": expected an integer >= 0 (ms, 0 = no timeout)`);
+        break;
+      case 'domOptions':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error(`Invalid "${key}": expected an object`);
+        normalizeDomOptions(value);
+        break;
+      case 'emulationPresets':
+        if (!value || typeof value !== 'object' || Array.isArray(value)
+          || !Object.values(value).every((preset) => preset && typeof preset === 'object' && !Array.isArray(preset))) {
+          throw new Error(`Invalid "${key}": expected { "name": { device, network, ... } }`);
+        }
+        break;
+      default:
+        throw new Error(`"${key}" cannot be changed at runtime`);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Watch settings.json and merge live settings edited in the file into the settings object the server reads.
+ * Only keys whose value in the file changed are applied, so runtime-only changes (PATCH /settings?persist=0)
+ * survive unrelated edits. A file that does not parse or has invalid values is reported and ignored; a change
+ * onChange throws on is rolled back and reported.
+ * @param {string} settingsFile
+ * @param {Object} settings - Mutable settings in use (updated in place)
+ * @param {(changes: Object) => void} onChange - Called with the changed live settings
+ * @returns {() => void} Stop watching
+ */
+export function watchSettings(settingsFile, settings, onChange) {
+  const read = () => JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  // A removed key falls back to its default
+  const valueOf = (saved, key) => (saved[key] !== undefined ? saved[key] : DEFAULT_SETTINGS[key]);
+  let previous;
+  try {
+    previous = read();
+  } catch {
+    previous = {};
+  }
+
+  const check = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    let saved;
+    try {
+      saved = read();
+    } catch (e) {
+      log.warn(`settings.json not applied: ${e.message}`);
+      return;
+    }
+    const edited = [...new Set([...Object.keys(saved), ...Object.keys(previous)])]
+      .filter((key) => !same(valueOf(saved, key), valueOf(previous, key)));
+    const changes = {};
+    for (const key of edited.filter((k) => LIVE_SETTINGS.includes(k))) {
+      if (!same(valueOf(saved, key), settings[key])) changes[key] = valueOf(saved, key);
+    }
+    try {
+      validateSettings(changes);
+    } catch (e) {
+      log.warn(`settings.json not applied: ${e.message}`);
+      return;
+    }
+    const restartOnly = edited.filter((key) => !LIVE_SETTINGS.includes(key));
+    if (Object.keys(changes).length > 0) {
+      const previousValues = Object.fromEntries(Object.keys(changes).map((key) => [key, valueOf(settings, key)]));
+      Object.assign(settings, changes);
+      try {
+        onChange(changes);
+      } catch (e) {
+        // Undo the part applied before the failure; the next edit of the file tries again
+        Object.assign(settings, previousValues);
+        try {
+          onChange(previousValues);
+        } catch {
+          // keep the first error
+        }
+        log.warn(`settings.json not applied: ${e.message}`);
+        return;
+      }
+      log.info(`settings.json reloaded: ${Object.keys(changes).join(', ')}`);
+    }
+    previous = saved;
+    if (restartOnly.length > 0) log.dim(`settings.json: ${restartOnly.join(', ')} apply after restart`);
+  };
+  fs.watchFile(settingsFile, { interval: SETTINGS_WATCH_INTERVAL_MS, persistent: false }, check);
+  return () => fs.unwatchFile(settingsFile, check);
+}
+
+/**
+ * Generate a random bearer token for the HTTP API (stored as settings.authToken).
+ * @returns {string}
+ */
+export function generateAuthToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
 /**
  * Get all resolved paths for a given project root.
  * @param {string} projectRoot - Absolute path to the project directory
@@ -36,19 +173,42 @@ export function getPaths(projectRoot) {
   return {
     bmDir,
     settingsFile: path.join(bmDir, SETTINGS_FILE),
+    mocksFile: path.join(bmDir, MOCKS_FILE),
     puppeteerDir,
     chromeProfileDir: path.join(bmDir, CHROME_PROFILE_DIR),
     pidFile: path.join(bmDir, PID_FILE),
+    serverInfoFile: path.join(bmDir, SERVER_INFO_FILE),
+    socketFile: path.join(bmDir, SOCKET_FILE),
+    evaluateAuditLog: path.join(bmDir, 'evaluate-audit.log'),
     // Dump outputs inside .puppeteer/
     consoleLog: path.join(puppeteerDir, 'console.log'),
     networkLog: path.join(puppeteerDir, 'network.log'),
     networkDir: path.join(puppeteerDir, 'network-log'),
+    networkHar: path.join(puppeteerDir, 'network.har'),
     cookiesDir: path.join(puppeteerDir, 'cookies'),
     domHtml: path.join(puppeteerDir, 'dom.html'),
+    a11yJson: path.join(puppeteerDir, 'a11y.json'),
+    localStorageJson: path.join(puppeteerDir, 'localStorage.json'),
+    sessionStorageJson: path.join(puppeteerDir, 'sessionStorage.json'),
+    indexedDbJson: path.join(puppeteerDir, 'indexeddb.json'),
     screenshot: path.join(puppeteerDir, 'screenshot.png'),
+    screenshotsDir: path.join(puppeteerDir, 'screenshots'),
+    stepFailureScreenshot: path.join(puppeteerDir, 'step-failure.png'),
   };
 }
 
+/**
+ * Unix domain socket path for the HTTP API from settings.httpSocket.
+ * @param {boolean|string} httpSocket - true = .browsermonitor/browsermonitor.sock, string = path relative to the project
+ * @param {Object} paths - getPaths() of the project
+ * @returns {string|null} Absolute socket path, or null when the socket is disabled
+ */
+export function resolveSocketPath(httpSocket, paths) {
+  if (!httpSocket) return null;
+  if (httpSocket === true) return paths.socketFile;
+  return path.resolve(path.dirname(paths.bmDir), String(httpSocket));
+}
+
 /**
  * Check if settings.json exists (first-run detection).
  * @param {string} projectRoot
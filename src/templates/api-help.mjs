@@ -11,24 +11,61 @@ import { printInteractiveSection } from './interactive-keys.mjs';
 // ─── Data (edit only here) ─────────────────────────────────────────────────
 
 export const API_ENDPOINTS = [
-  { method: 'GET', path: '/dump', description: 'Dump logs, DOM, cookies, screenshot to files; response has output paths' },
+  { method: 'GET', path: '/dump', description: 'Dump logs, DOM, accessibility tree, cookies, web storage, IndexedDB summary, screenshot to files; response has output paths and a digest (URL, title, error counts, recent errors, failed / 4xx-5xx / slowest requests)' },
   { method: 'GET', path: '/status', description: 'Current status, monitored URLs, stats, output file paths' },
+  { method: 'GET', path: '/events?channel=...&level=...', description: 'Live Server-Sent Events stream of console lines, page errors, requests, responses and failures. Filters (comma-separated): channel=console,network level=error,warn,info,log type=console,pageerror,request,response,requestfailed' },
+  { method: 'GET', path: '/console?level=...&regex=...&since=...&limit=N', description: 'Buffered console entries as JSON without dumping (buffers and files untouched). level=log,info,warn,error,debug,pageerror,requestfailed; since=ISO, 13-digit epoch ms or 500ms/30s/5m/1h (unit required); limit keeps the most recent N' },
+  { method: 'GET', path: '/network?method=...&url=...&status=...', description: 'Buffered requests as JSON summaries (id, method, url, status, duration). Filters: method, url (substring), urlRegex, type (xhr,fetch,document...), status (404, 400-599, 5xx), failed=1, minDuration (ms), limit' },
+  { method: 'GET', path: '/network/:id', description: 'Full stored record for one request: request headers, postData, response status, headers, body, duration' },
+  { method: 'GET', path: '/har', description: 'Captured requests as HAR 1.2 (headers, postData, response bodies, status, timings); buffers untouched' },
+  { method: 'GET', path: '/dom', description: 'Pruned HTML of the page, no dump. ?selector= subtree, ?depth=N levels, ?strip=scripts,styles,svg,datauri,tracking,comments (or none/all; default none), ?collapse=N repeated siblings, ?maxBytes=N size limit (reduced structurally, default 2MB), ?format=html for raw HTML' },
+  { method: 'GET', path: '/accessibility', description: 'Accessibility tree (roles, names, states) of the page. ?selector= for a subtree, ?interestingOnly=0 for all nodes; no dump' },
+  { method: 'GET', path: '/elements', description: 'Visible interactive elements (buttons, links, inputs, selects) with ref, role, name, box, selector. ?viewportOnly=1 &limit=N' },
+  { method: 'POST', path: '/elements/action', description: 'Act on an element by ref from GET /elements. Body: { "ref": 3, "action": "click" | "type" | "hover" | "focus" | "select", "text": "...", "clear": true, "values": [...] }' },
+  { method: 'GET', path: '/screenshot', description: 'Screenshot to a timestamped file in screenshots/ (latest copy: screenshot.png, or screenshot.jpeg / screenshot.webp for those formats). ?selector= element, ?fullPage=1, ?clip=x,y,width,height, ?format=png|jpeg|webp, ?quality=0-100, ?name= label; ?async=1 runs it as a job' },
+  { method: 'GET', path: '/jobs', description: 'Jobs started with ?async=1 (GET /screenshot, POST /puppeteer, POST /navigate, POST /wait), newest first: id, kind, status running|done|failed|cancelled' },
+  { method: 'GET', path: '/jobs/:id', description: 'Job status; once finished, result (the response the endpoint would have returned) or error' },
+  { method: 'DELETE', path: '/jobs/:id', description: 'Cancel a running job. Navigations stop loading; waits, waitForSelector, type and step scripts stop at once; a screenshot is not written. Single actions already sent to Chrome (click, hover, focus, select, content, pdf, an in-progress capture) cannot be interrupted and may still complete in the page. 409 when already finished. Jobs still running after 10 minutes (step scripts: the sum of their step timeouts) fail with a timeout' },
   { method: 'GET', path: '/stop', description: 'Pause collecting (console/network)' },
   { method: 'GET', path: '/start', description: 'Resume collecting' },
   { method: 'GET', path: '/clear', description: 'Clear in-memory buffers' },
   { method: 'GET', path: '/tabs', description: 'List all user tabs (index, url)' },
   { method: 'GET', path: '/tab?index=N', description: 'Switch monitored tab (1-based index)' },
-  { method: 'GET', path: '/computed-styles?selector=...', description: 'Get computed CSS for first element matching selector (default: body)' },
-  { method: 'POST', path: '/puppeteer', description: 'Call Puppeteer page method. Body: { "method": "page.goto", "args": ["https://..."] }. Whitelist: content, click, focus, goto, hover, pdf, screenshot, select, setDefaultNavigationTimeout, setDefaultTimeout, setViewport, title, type, url' },
+  { method: 'GET', path: '/settings', description: 'Effective settings (authToken redacted) and which keys apply live' },
+  { method: 'PATCH', path: '/settings', description: 'Change ignorePatterns, realtime, navigationTimeout, domOptions in the running monitor and save them to settings.json (?persist=0 memory only). Body: { "ignorePatterns": ["[HMR]", "Download the React DevTools"] }' },
+  { method: 'GET', path: '/computed-styles?selector=...', description: 'Computed CSS for first element matching selector (default: body); repeat selector= for several. ?properties=a,b filter, ?pseudo=before,after, ?rules=1 matched rules with source line, specificity, overridden declarations, inheritance and appliedBy' },
+  { method: 'POST', path: '/puppeteer', description: 'Call Puppeteer page method. Body: { "method": "page.goto", "args": ["https://..."] }, or a script { "steps": [{ "method", "args", "timeout", "waitFor" }, ...], "continueOnError": false } with per-step results and a screenshot of the first failed step. A timeout returns at once and stops navigations, waitForSelector and type; click, hover, focus, select, content, screenshot and pdf cannot be interrupted in Chrome and may still complete; ?async=1 returns a job id (202) instead of waiting. Whitelist: content, click, focus, goBack, goForward, goto, hover, pdf, reload, screenshot, select, setDefaultNavigationTimeout, setDefaultTimeout, setViewport, title, type, url' },
+  { method: 'GET', path: '/cookies', description: 'Browser cookies (all domains). ?domain= (with subdomains), ?name=' },
+  { method: 'POST', path: '/cookies', description: 'Set cookies. Body: { "name", "value", "domain"?, "path"?, "expires"? (Unix seconds or ISO date), "httpOnly"?, "secure"?, "sameSite"? } or { "cookies": [...] }; without domain/url the page URL is used' },
+  { method: 'DELETE', path: '/cookies', description: 'Delete cookies by ?name= and/or ?domain=, or all with ?all=1' },
+  { method: 'GET', path: '/storage', description: 'localStorage, sessionStorage and IndexedDB (databases, stores, counts, sample records) of the page origin. ?type=local,session,indexeddb, ?sample=N records per store (default 5)' },
+  { method: 'PUT', path: '/storage', description: 'Set items: { "type": "local" | "session", "items": { "key": "value" } } (non-strings stored as JSON), or IndexedDB records: { "type": "indexeddb", "database", "store", "records": [{ "key"?, "value" }] }' },
+  { method: 'DELETE', path: '/storage', description: 'Remove items: ?type=local|session&key=... (repeatable) or &all=1; IndexedDB: ?type=indexeddb&database=... deletes the database, &store=... only clears that store' },
+  { method: 'GET', path: '/emulate', description: 'Current emulation of the monitored tab, presets (built-in + settings.emulationPresets), network profiles, device names' },
+  { method: 'POST', path: '/emulate', description: 'Emulate: { "preset": "iphone" | ["android", "slow-3g"] } and/or device, viewport, userAgent, network (offline|slow-3g|fast-3g|slow-4g|fast-4g|{ download, upload, latency }), cpu (slowdown), geolocation { latitude, longitude }, timezone, locale, colorScheme (light|dark), reducedMotion (reduce). Merged into the current emulation; null turns an option off, "reset": true all' },
+  { method: 'GET', path: '/mocks', description: 'Request mock rules from .browsermonitor/mocks.json with hit counts; GET /mocks/:id one rule' },
+  { method: 'POST', path: '/mocks', description: 'Add mock rules: { "url": "**/api/orders*" (glob) | "urlRegex", "method"?, "status"?, "headers"?, "body"? (string or JSON) | "bodyFile"? (path inside .browsermonitor/), "contentType"?, "delay"? (ms), "abort"? (failed|timedout|connectionrefused|...), "times"?, "enabled"?, "id"? } or { "rules": [...] }; first matching rule wins; saved to mocks.json; mocked requests are marked [MOCK id] in network.log' },
+  { method: 'PATCH', path: '/mocks/:id', description: 'Change fields of a mock rule, e.g. { "enabled": false } or { "status": 503 }; null removes a field' },
+  { method: 'DELETE', path: '/mocks', description: 'Delete all mock rules; DELETE /mocks/:id one rule' },
+  { method: 'POST', path: '/navigate', description: 'Navigate and report. Body: { "action": "goto" | "back" | "forward" | "reload", "url": "..." (goto), "waitUntil": "load" | "domcontentloaded" | "networkidle0" | "networkidle2", "timeout": ms }. Returns final URL, redirect chain, main document status, timing (domContentLoaded, load, firstPaint); logs a NAVIGATION separator; ?async=1 runs it as a job' },
+  { method: 'POST', path: '/wait', description: 'Wait instead of sleeping. Body: { "networkIdle": 500 } (ms without requests), { "console": "regex", "level": "error" }, { "selector": ".toast", "state": "visible|hidden|attached" }, { "url": "regex" }, { "response": "/api/orders", "status": "2xx" }; combine with "match": "all|any", "timeout": ms (default 30000). Returns what matched and the console/network events seen meanwhile; ?async=1 runs it as a job' },
+  { method: 'POST', path: '/evaluate', description: 'Run a JS expression in the page (only with "allowEvaluate": true). Body: { "expression": "window.__APP_STATE__", "timeout": 5000, "maxResultBytes": 262144 }. DOM nodes, Map/Set, errors are serialized; every call is logged to .browsermonitor/evaluate-audit.log' },
 ];
 
 export const OUTPUT_FILES = [
   { path: '.browsermonitor/.puppeteer/console.log', description: 'Browser console output' },
   { path: '.browsermonitor/.puppeteer/network.log', description: 'Network requests overview (IDs)' },
   { path: '.browsermonitor/.puppeteer/network-log/', description: 'Per-request JSON (headers, payload, response)' },
+  { path: '.browsermonitor/.puppeteer/network.har', description: 'All requests as HAR 1.2 (DevTools, Charles, HAR viewers)' },
   { path: '.browsermonitor/.puppeteer/cookies/', description: 'Cookies per domain (JSON)' },
   { path: '.browsermonitor/.puppeteer/dom.html', description: 'Current page DOM (for LLM / structure)' },
-  { path: '.browsermonitor/.puppeteer/screenshot.png', description: 'Screenshot of current tab viewport' },
+  { path: '.browsermonitor/.puppeteer/a11y.json', description: 'Accessibility tree: roles, names, states (compact structure for LLM)' },
+  { path: '.browsermonitor/.puppeteer/localStorage.json', description: 'localStorage of the page origin' },
+  { path: '.browsermonitor/.puppeteer/sessionStorage.json', description: 'sessionStorage of the page origin' },
+  { path: '.browsermonitor/.puppeteer/indexeddb.json', description: 'IndexedDB: databases, stores, record counts, sample records' },
+  { path: '.browsermonitor/.puppeteer/screenshot.png', description: 'Screenshot of current tab viewport (also the latest PNG GET /screenshot capture; JPEG/WebP ones go to screenshot.jpeg / screenshot.webp)' },
+  { path: '.browsermonitor/.puppeteer/screenshots/', description: 'GET /screenshot captures, timestamped' },
+  { path: '.browsermonitor/.puppeteer/step-failure.png', description: 'Screenshot taken when a POST /puppeteer step fails' },
 ];
 
 /** Full description for API section. */
@@ -36,7 +73,7 @@ const API_DESCRIPTION =
   'For LLM Coding agents: Browser Monitor captures live browser state (console, network, DOM) and writes it to files. You or an LLM read those files instead of copy-pasting from DevTools. For debugging or feeding context to AI you need the real console, DOM, and traffic—this tool gives a one-command snapshot. Frontend devs and teams using LLM agents need it; without it, a reliable live-browser snapshot is much harder. Essential for E2E and for feeding DOM and network data to LLM agents.';
 
 const API_USAGE =
-  'Use curl to communicate with the HTTP API over REST. GET for status/dump/tabs etc.; POST for /puppeteer with JSON body. Example: curl http://127.0.0.1:60001/status  curl -X POST http://127.0.0.1:60001/puppeteer -H "Content-Type: application/json" -d \'{"method":"page.goto","args":["https://example.com"]}\'';
+  'Use curl to communicate with the HTTP API over REST. GET for status/dump/tabs etc.; POST for /puppeteer with JSON body. Send the auth header (below) with every request. Example: curl -H "Authorization: Bearer $TOKEN" http://127.0.0.1:60001/status  curl -X POST http://127.0.0.1:60001/puppeteer -H "Authorization: Bearer $TOKEN" -H "Content-Type: application/json" -d \'{"method":"page.goto","args":["https://example.com"]}\'';
 
 /**
  * Print HTTP API and output files as readable tables.
@@ -44,6 +81,7 @@ const API_USAGE =
  * @param {number} [options.port=60001]
  * @param {string} [options.host='127.0.0.1']
  * @param {string} [options.url] - Browser URL being monitored (shown in header)
+ * @param {string} [options.authToken] - API bearer token (settings.authToken); only whether it is set is shown, never the value
  * @param {boolean} [options.showApi=true]
  * @param {boolean} [options.showInteractive=false] - Interactive help (keyboard shortcuts, human interaction)
  * @param {boolean} [options.showOutputFiles=true]
@@ -56,6 +94,7 @@ export function printApiHelpTable(options = {}) {
     port = 60001,
     host = '127.0.0.1',
     url = null,
+    authToken = null,
     showApi = true,
     showInteractive = false,
     showOutputFiles = true,
@@ -96,6 +135,9 @@ export function printApiHelpTable(options = {}) {
       [`${C.dim}Description${C.reset}`, API_DESCRIPTION],
       [`${C.dim}Usage${C.reset}`, API_USAGE],
       [urlLabel, `${C.brightCyan}${baseUrl}${C.reset}`],
+      [`${C.dim}Auth${C.reset}`, authToken
+        ? `${C.brightCyan}Authorization: Bearer <authToken>${C.reset} ${C.dim}(token in .browsermonitor/settings.json)${C.reset}`
+        : `${C.yellow}disabled${C.reset} ${C.dim}(authToken empty in settings.json)${C.reset}`],
       [`${C.dim}Methods${C.reset}`, methodsContent]
     );
     rows.forEach((r) => apiTable.push(r));
@@ -108,9 +150,14 @@ export function printApiHelpTable(options = {}) {
           { path: context.consoleLog, description: 'Console log' },
           { path: context.networkLog, description: 'Network log' },
           { path: context.networkDir, description: 'Per-request JSON (headers, payload, response)' },
+          { path: context.networkHar, description: 'All requests as HAR 1.2' },
           { path: context.cookiesDir, description: 'Cookies per domain (JSON)' },
           { path: context.domHtml, description: 'Current page DOM (LLM)' },
+          { path: context.a11yJson, description: 'Accessibility tree (roles, names, states)' },
+          { path: context.localStorageJson, description: 'localStorage / sessionStorage of the page origin' },
+          { path: context.indexedDbJson, description: 'IndexedDB summary (stores, counts, samples)' },
           { path: context.screenshot, description: 'Screenshot of current tab' },
+          { path: context.screenshotsDir, description: 'GET /screenshot captures (timestamped)' },
         ]
       : OUTPUT_FILES;
 
@@ -136,7 +183,7 @@ export function printApiHelpTable(options = {}) {
 
   // Same info without tables, structured for LLM (no box-drawing / table chars; no keyboard shortcuts)
   if (showApi || showOutputFiles) {
-    printApiHelpForLlm({ port, host, url, showApi, showOutputFiles, context, sessionContext });
+    printApiHelpForLlm({ port, host, url, authToken, showApi, showOutputFiles, context, sessionContext });
   }
 
   console.log('');
@@ -151,6 +198,7 @@ function printApiHelpForLlm(options = {}) {
     port = 60001,
     host = '127.0.0.1',
     url = null,
+    authToken = null,
     showApi = true,
     showOutputFiles = true,
     context = null,
@@ -163,9 +211,12 @@ function printApiHelpForLlm(options = {}) {
         { path: context.consoleLog, description: 'Console log' },
         { path: context.networkLog, description: 'Network log' },
         { path: context.networkDir, description: 'Per-request JSON (headers, payload, response)' },
+        { path: context.networkHar, description: 'All requests as HAR 1.2' },
         { path: context.cookiesDir, description: 'Cookies per domain (JSON)' },
         { path: context.domHtml, description: 'Current page DOM (LLM)' },
+        { path: context.a11yJson, description: 'Accessibility tree (roles, names, states)' },
         { path: context.screenshot, description: 'Screenshot of current tab' },
+        { path: context.screenshotsDir, description: 'GET /screenshot captures (timestamped)' },
       ]
     : OUTPUT_FILES;
 
@@ -176,6 +227,9 @@ function printApiHelpForLlm(options = {}) {
     console.log('Browser URL: ' + url);
   }
   console.log('Base URL: ' + baseUrl);
+  console.log('Auth header: ' + (authToken
+    ? 'Authorization: Bearer <authToken> (token in .browsermonitor/settings.json)'
+    : '(none, auth disabled)'));
   if (sessionContext?.currentUrl) {
     console.log('Monitored URL: ' + sessionContext.currentUrl);
   }
@@ -19,6 +19,7 @@ export const CLI_EXAMPLES = [
   { command: 'browsermonitor --open https://localhost:5173/', description: 'Open with URL' },
   { command: 'browsermonitor --join=9222', description: 'Attach to Chrome with remote debugging on port 9222' },
   { command: 'browsermonitor init', description: 'Create .browsermonitor/, settings.json with defaults, update agent files' },
+  { command: 'browsermonitor mcp', description: 'MCP server on stdio for AI clients (add --join=9222 to attach instead of launching)' },
   { command: 'browsermonitor --help', description: 'Show full help (options, API table, examples)' },
 ];
 
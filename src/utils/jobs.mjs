@@ -0,0 +1,137 @@
+/**
+ * In-memory jobs for long-running API operations (`?async=1`, GET/DELETE /jobs/:id).
+ *
+ * A job runs `run(signal)` in the background. Cancelling aborts the signal; the operation is expected
+ * to stop on it (Puppeteer calls get it as their `signal` option). A job that outlives its timeout is
+ * aborted the same way and fails, so a hung call cannot stay "running" forever. Finished jobs are kept
+ * for a while so the result can still be fetched.
+ */
+
+import crypto from 'crypto';
+
+/** Finished jobs kept for GET /jobs/:id (oldest dropped first). */
+const MAX_FINISHED_JOBS = 100;
+/** Finished jobs older than this are dropped (ms). */
+const FINISHED_JOB_TTL_MS = 30 * 60_000;
+/** A job still running after this long is aborted and marked failed (ms). */
+export const JOB_TIMEOUT_MS = 10 * 60_000;
+
+/**
+ * Jobs of one HTTP server. Status: running → done | failed | cancelled.
+ */
+export class JobStore {
+  constructor() {
+    /** @type {Map<string, Object>} id → job (insertion order = creation order) */
+    this.jobs = new Map();
+    /** @type {Map<string, AbortController>} id → controller of running jobs */
+    this.controllers = new Map();
+  }
+
+  /**
+   * Start a job. The result is the payload the synchronous endpoint would return;
+   * a payload with success: false makes the job "failed".
+   * @param {string} kind - Endpoint, e.g. 'puppeteer', 'screenshot'
+   * @param {(signal: AbortSignal) => Promise<Object>} run
+   * @param {{ timeout?: number }} [options] - ms before the job is aborted (default JOB_TIMEOUT_MS)
+   * @returns {Object} The job (see describe())
+   */
+  start(kind, run, { timeout = JOB_TIMEOUT_MS } = {}) {
+    this.prune();
+    const id = crypto.randomUUID();
+    const controller = new AbortController();
+    const job = {
+      id,
+      kind,
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      timeoutMs: timeout,
+      result: null,
+      error: null,
+    };
+    this.jobs.set(id, job);
+    this.controllers.set(id, controller);
+
+    const started = Date.now();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort(new Error(`Job timed out after ${timeout}ms`));
+    }, timeout);
+    timer.unref?.();
+    const aborted = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+    Promise.race([Promise.resolve().then(() => run(controller.signal)), aborted])
+      .then((result) => {
+        job.status = result?.success === false ? 'failed' : 'done';
+        job.result = result ?? null;
+      })
+      .catch((err) => {
+        job.status = controller.signal.aborted && !timedOut ? 'cancelled' : 'failed';
+        job.error = err?.message || String(err);
+      })
+      .finally(() => {
+        clearTimeout(timer);
+        job.finishedAt = new Date().toISOString();
+        job.durationMs = Date.now() - started;
+        this.controllers.delete(id);
+      });
+    return this.describe(job);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    this.prune();
+    const job = this.jobs.get(id);
+    return job ? this.describe(job) : null;
+  }
+
+  /**
+   * All jobs without their results, newest first.
+   * @returns {Object[]}
+   */
+  list() {
+    this.prune();
+    return [...this.jobs.values()].reverse().map(({ result, ...job }) => ({ ...job, hasResult: result !== null }));
+  }
+
+  /**
+   * Abort a running job.
+   * @param {string} id
+   * @returns {Promise<{ job: Object|null, cancelled: boolean }>} cancelled is false when the job had already finished
+   */
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    const controller = this.controllers.get(id);
+    if (!job) return { job: null, cancelled: false };
+    if (!controller) return { job: this.describe(job), cancelled: false };
+    controller.abort(new Error('Cancelled'));
+    // Let the race settle so the returned job already says "cancelled"
+    await new Promise((resolve) => setImmediate(resolve));
+    return { job: this.describe(job), cancelled: true };
+  }
+
+  /** Abort all running jobs (server shutdown). */
+  cancelAll() {
+    for (const controller of this.controllers.values()) controller.abort(new Error('Server closed'));
+  }
+
+  /** Drop finished jobs past the TTL or over the limit. */
+  prune() {
+    const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+    const finished = [...this.jobs.values()].filter((j) => j.finishedAt);
+    finished.forEach((job, i) => {
+      if (Date.parse(job.finishedAt) < cutoff || i < finished.length - MAX_FINISHED_JOBS) this.jobs.delete(job.id);
+    });
+  }
+
+  /** Copy of a job for responses. */
+  describe(job) {
+    return { ...job };
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Package metadata (name/version from package.json) for protocol handshakes and exports.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PACKAGE_JSON = path.resolve(__dirname, '../../package.json');
+
+let cachedVersion = null;
+
+/**
+ * @returns {string} Version from package.json, or 'unknown' if unreadable
+ */
+export function getPackageVersion() {
+  if (cachedVersion === null) {
+    try {
+      cachedVersion = JSON.parse(fs.readFileSync(PACKAGE_JSON, 'utf8')).version || 'unknown';
+    } catch {
+      cachedVersion = 'unknown';
+    }
+  }
+  return cachedVersion;
+}
@@ -0,0 +1,84 @@
+/**
+ * Discovery file .browsermonitor/server.json: where this project's HTTP API actually listens.
+ * Written when the server starts listening (the port may differ from settings.httpPort after a
+ * fallback), removed when it closes. Agents and the CLI read it instead of assuming a port.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Whether a process with this PID is running.
+ * @param {number} pid
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: exists but belongs to another user
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Write server.json for this process.
+ * @param {string} file
+ * @param {{ host: string|null, port: number|null, socketPath?: string|null, mode: string }} info - host/port null when only the socket listens
+ */
+export function writeServerInfo(file, { host, port, socketPath = null, mode }) {
+  const info = {
+    host,
+    port,
+    url: port ? `http://${host}:${port}` : null,
+    socketPath,
+    pid: process.pid,
+    mode,
+    startedAt: new Date().toISOString(),
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(info, null, 2) + '\n');
+  return info;
+}
+
+/**
+ * Read server.json. Returns null when missing, unreadable or left behind by a process that is gone.
+ * @param {string} file
+ * @returns {{ host: string|null, port: number|null, url: string|null, socketPath: string|null, pid: number, mode: string, startedAt: string } | null}
+ */
+export function readServerInfo(file) {
+  try {
+    const info = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Number.isInteger(info.pid) && isProcessAlive(info.pid) ? info : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Merge fields into server.json if it belongs to this process (e.g. mode after open/join starts).
+ * @param {string} file
+ * @param {Object} updates
+ */
+export function updateServerInfo(file, updates) {
+  try {
+    const info = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (info.pid !== process.pid) return;
+    fs.writeFileSync(file, JSON.stringify({ ...info, ...updates }, null, 2) + '\n');
+  } catch {
+    // Not written (server disabled or not listening yet)
+  }
+}
+
+/**
+ * Remove server.json if it belongs to this process (another instance may have replaced it).
+ * @param {string} file
+ */
+export function removeServerInfo(file) {
+  try {
+    const info = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (info.pid === process.pid) fs.unlinkSync(file);
+  } catch {
+    // Already gone
+  }
+}
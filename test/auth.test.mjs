@@ -0,0 +1,48 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './helpers.mjs';
+
+const TOKEN = 'test-token-123';
+let api;
+
+before(async () => {
+  api = await startServer({ settings: { authToken: TOKEN, corsOrigins: ['http://localhost:5173'] } });
+});
+
+after(() => api.close());
+
+const get = (headers) => api.request('GET', '/status', { headers });
+
+test('requests without a valid bearer token get 401', async () => {
+  const missing = await get({});
+  assert.equal(missing.status, 401);
+  assert.match(missing.headers['www-authenticate'], /^Bearer/);
+  assert.equal((await get({ Authorization: 'Bearer wrong' })).status, 401);
+  assert.equal((await get({ Authorization: TOKEN })).status, 401);
+});
+
+test('requests with the token pass', async () => {
+  const res = await get({ Authorization: `bearer ${TOKEN}` });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.status, 'interactive');
+});
+
+test('web pages from origins outside corsOrigins get 403, even with the token', async () => {
+  const res = await get({ Authorization: `Bearer ${TOKEN}`, Origin: 'http://evil.example' });
+  assert.equal(res.status, 403);
+  assert.equal(res.headers['access-control-allow-origin'], undefined);
+  // A cross-site request without Origin (Sec-Fetch-Site only) is still a browser request
+  assert.equal((await get({ Authorization: `Bearer ${TOKEN}`, 'Sec-Fetch-Site': 'cross-site' })).status, 403);
+});
+
+test('allowed origins get CORS headers and preflights succeed without the token', async () => {
+  const preflight = await api.request('OPTIONS', '/status', { headers: { Origin: 'http://localhost:5173' } });
+  assert.equal(preflight.status, 204);
+  assert.equal(preflight.headers['access-control-allow-origin'], 'http://localhost:5173');
+  assert.match(preflight.headers['access-control-allow-headers'], /Authorization/);
+
+  const res = await get({ Authorization: `Bearer ${TOKEN}`, Origin: 'http://localhost:5173' });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers['access-control-allow-origin'], 'http://localhost:5173');
+  assert.equal((await api.request('OPTIONS', '/status', { headers: { Origin: 'http://evil.example' } })).status, 403);
+});
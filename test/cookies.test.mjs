@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeCookie } from '../src/browser/cookies.mjs';
+
+test('normalizeCookie: page URL by default, expires and sameSite converted', () => {
+  assert.deepEqual(normalizeCookie({ name: 'sid', value: 1 }, 'http://localhost:3000/app'), {
+    name: 'sid', value: '1', url: 'http://localhost:3000/app', path: '/',
+  });
+  assert.deepEqual(normalizeCookie({
+    name: 'sid', value: 'x', domain: '.example.com', path: '/api',
+    expires: '2030-01-01T00:00:00Z', httpOnly: true, secure: true, sameSite: 'lax',
+  }, 'about:blank'), {
+    name: 'sid', value: 'x', domain: '.example.com', path: '/api',
+    expires: Date.parse('2030-01-01T00:00:00Z') / 1000, httpOnly: true, secure: true, sameSite: 'Lax',
+  });
+  assert.equal(normalizeCookie({ name: 'a', value: '', url: 'http://x/', expires: 'session' }, '').expires, undefined);
+});
+
+test('normalizeCookie: rejects invalid cookies', () => {
+  assert.throws(() => normalizeCookie([], 'http://x/'), /must be an object/);
+  assert.throws(() => normalizeCookie({ name: 'a', value: 'b', maxAge: 5 }, 'http://x/'), /Unknown cookie field: maxAge/);
+  assert.throws(() => normalizeCookie({ value: 'b' }, 'http://x/'), /"name" is required/);
+  assert.throws(() => normalizeCookie({ name: 'a' }, 'http://x/'), /"value" is required/);
+  assert.throws(() => normalizeCookie({ name: 'a', value: 'b' }, 'about:blank'), /"url" or "domain" is required/);
+  assert.throws(() => normalizeCookie({ name: 'a', value: 'b', expires: 'soon' }, 'http://x/'), /Invalid cookie "expires"/);
+  assert.throws(() => normalizeCookie({ name: 'a', value: 'b', sameSite: 'loose' }, 'http://x/'), /Invalid cookie "sameSite"/);
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeSpecificity } from '../src/browser/css-rules.mjs';
+
+test('computeSpecificity: ids, classes and types', () => {
+  assert.deepEqual(computeSpecificity('div'), [0, 0, 1]);
+  assert.deepEqual(computeSpecificity('#app .btn.primary > a'), [1, 2, 1]);
+  assert.deepEqual(computeSpecificity('input[type="text"]:focus'), [0, 2, 1]);
+  assert.deepEqual(computeSpecificity('p::before'), [0, 0, 2]);
+});
+
+test('computeSpecificity: :is/:not take their most specific argument, :where counts nothing', () => {
+  assert.deepEqual(computeSpecificity(':is(#a, .b) span'), [1, 0, 1]);
+  assert.deepEqual(computeSpecificity('a:not(.x)'), [0, 1, 1]);
+  assert.deepEqual(computeSpecificity(':where(#a .b) span'), [0, 0, 1]);
+});
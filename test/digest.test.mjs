@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDumpDigest } from '../src/logging/digest.mjs';
+
+const request = (id, status, duration, extra = {}) => ({
+  id, timestamp: '2024-01-01T00:00:00.000Z', method: 'GET', resourceType: 'fetch', url: `http://localhost/${id}`,
+  ...(status === null ? {} : { response: { status, duration } }),
+  ...extra,
+});
+
+test('buildDumpDigest: console counts, distinct errors and network problems', () => {
+  const logBuffer = {
+    lazyMode: true,
+    consoleRecords: [
+      { timestamp: 't1', type: 'error', level: 'error', text: 'boom' },
+      { timestamp: 't2', type: 'warn', level: 'warn', text: 'careful' },
+      { timestamp: 't3', type: 'error', level: 'error', text: 'boom' },
+      { timestamp: 't4', type: 'pageerror', level: 'error', text: 'x'.repeat(400) },
+      { timestamp: 't5', type: 'requestfailed', level: 'error', text: 'net::ERR_FAILED' },
+    ],
+    requestDetails: new Map([
+      ['a', request('a', 200, 30)],
+      ['b', request('b', 500, 900)],
+      ['c', request('c', null, null, { failed: { errorText: 'net::ERR_FAILED', duration: 3 } })],
+    ]),
+  };
+
+  const digest = buildDumpDigest(logBuffer, { url: 'http://localhost/', title: 'Home' });
+  assert.deepEqual(digest.page, { url: 'http://localhost/', title: 'Home' });
+  assert.equal(digest.console.total, 4, 'requestfailed is counted under network only');
+  assert.equal(digest.console.errors, 3);
+  assert.equal(digest.console.warnings, 1);
+  assert.equal(digest.console.recentErrors.length, 2);
+  assert.equal(digest.console.recentErrors[0].text.length, 301);
+  assert.deepEqual(digest.console.recentErrors[1], { timestamp: 't3', type: 'error', text: 'boom', count: 2 });
+
+  assert.equal(digest.network.total, 3);
+  assert.deepEqual(digest.network.failed.map((r) => r.id), ['c']);
+  assert.deepEqual(digest.network.httpErrors.map((r) => r.id), ['b']);
+  assert.deepEqual(digest.network.slowest.map((r) => r.id), ['b', 'a']);
+});
+
+test('buildDumpDigest: realtime mode has no buffered counts', () => {
+  const digest = buildDumpDigest({ lazyMode: false });
+  assert.deepEqual(digest.page, { url: null, title: null });
+  assert.match(digest.note, /Realtime mode/);
+  assert.equal(digest.console, undefined);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDomOptions, DOM_DUMP_MAX_BYTES } from '../src/logging/dom.mjs';
+
+test('normalizeDomOptions: the default is the full page (pruning is opt-in)', () => {
+  assert.deepEqual(normalizeDomOptions(), { selector: null, depth: null, strip: [], collapse: 0, maxBytes: DOM_DUMP_MAX_BYTES });
+});
+
+test('normalizeDomOptions: strip accepts a list, all and none', () => {
+  assert.deepEqual(normalizeDomOptions({ strip: 'none' }).strip, []);
+  assert.ok(normalizeDomOptions({ strip: 'all' }).strip.length > 1);
+  assert.deepEqual(normalizeDomOptions({ strip: ' Scripts ,styles' }).strip, ['scripts', 'styles']);
+  assert.throws(() => normalizeDomOptions({ strip: 'scripts,bogus' }), /Unknown strip category: bogus/);
+});
+
+test('normalizeDomOptions: numeric options', () => {
+  const opts = normalizeDomOptions({ selector: 'main', depth: '3', collapse: '2', maxBytes: 0 });
+  assert.equal(opts.selector, 'main');
+  assert.equal(opts.depth, 3);
+  assert.equal(opts.collapse, 2);
+  assert.equal(opts.maxBytes, null);
+  assert.throws(() => normalizeDomOptions({ depth: 0 }), /Invalid "depth"/);
+  assert.throws(() => normalizeDomOptions({ collapse: 1.5 }), /Invalid "collapse"/);
+});
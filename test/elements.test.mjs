@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { listInteractiveElements, performElementAction } from '../src/browser/elements.mjs';
+
+/** Fake element handle: records actions; connected=false simulates a re-rendered element. */
+function fakeElement(name) {
+  return {
+    name,
+    connected: true,
+    disposed: false,
+    actions: [],
+    evaluate: async function (fn) {
+      return fn({ isConnected: this.connected });
+    },
+    click: async function () {
+      this.actions.push('click');
+    },
+    dispose: async function () {
+      this.disposed = true;
+    },
+  };
+}
+
+/**
+ * Fake page whose listing finds the given elements (an array, or a function returning one per listing);
+ * page.$ answers selector lookups from `bySelector`.
+ */
+function fakePage(listNodes, bySelector = {}) {
+  return {
+    url: () => 'http://localhost/',
+    evaluateHandle: async () => {
+      const nodes = typeof listNodes === 'function' ? listNodes() : listNodes;
+      const elements = nodes.map((node, i) => ({ ref: i + 1, role: 'button', name: node.name, selector: `#${node.name}` }));
+      return {
+        evaluate: async (fn) => fn({ total: nodes.length, elements }),
+        getProperty: async () => ({
+          getProperties: async () => new Map(nodes.map((node, i) => [String(i), node])),
+          dispose: async () => {},
+        }),
+        dispose: async () => {},
+      };
+    },
+    $: async (selector) => bySelector[selector] ?? null,
+  };
+}
+
+test('actions use the listed element while it is attached', async () => {
+  const save = fakeElement('save');
+  const page = fakePage([fakeElement('cancel'), save]);
+  const listing = await listInteractiveElements(page);
+  assert.deepEqual(listing.elements.map((e) => [e.ref, e.name]), [[1, 'cancel'], [2, 'save']]);
+
+  const outcome = await performElementAction(page, { ref: 2, action: 'click' });
+  assert.equal(outcome.success, true);
+  assert.equal(outcome.resolvedBy, 'ref');
+  assert.deepEqual(save.actions, ['click']);
+  assert.equal(save.disposed, false, 'kept for the next action on the same ref');
+});
+
+test('a re-rendered element is found again by its selector', async () => {
+  const stale = fakeElement('save');
+  const fresh = fakeElement('save-new');
+  const page = fakePage([stale], { '#save': fresh });
+  await listInteractiveElements(page);
+  stale.connected = false;
+
+  const outcome = await performElementAction(page, { ref: 1, action: 'click' });
+  assert.equal(outcome.resolvedBy, 'selector');
+  assert.deepEqual([stale.actions, fresh.actions], [[], ['click']]);
+  assert.equal(fresh.disposed, true);
+
+  const missing = await performElementAction(page, { ref: 5, action: 'click' });
+  assert.equal(missing.success, false);
+  assert.match(missing.error, /Call GET \/elements again/);
+});
+
+test('listing again releases the previous handles', async () => {
+  const listed = [];
+  const page = fakePage(() => {
+    listed.push(fakeElement('a'));
+    return [listed.at(-1)];
+  });
+  await listInteractiveElements(page);
+  await listInteractiveElements(page);
+  assert.deepEqual(listed.map((e) => e.disposed), [true, false]);
+});
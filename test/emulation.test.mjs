@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeEmulationOptions, getEmulationPresets, BUILTIN_EMULATION_PRESETS } from '../src/browser/emulation.mjs';
+
+test('getEmulationPresets: settings presets extend and override the built-in ones', () => {
+  const presets = getEmulationPresets({ iphone: { device: 'iPhone 13' }, berlin: { timezone: 'Europe/Berlin' } });
+  assert.deepEqual(presets.iphone, { device: 'iPhone 13' });
+  assert.deepEqual(presets.berlin, { timezone: 'Europe/Berlin' });
+  assert.deepEqual(presets.dark, BUILTIN_EMULATION_PRESETS.dark);
+  assert.deepEqual(getEmulationPresets(null), BUILTIN_EMULATION_PRESETS);
+});
+
+test('normalizeEmulationOptions: presets merged with options, values normalized', () => {
+  const { reset, presets, changes } = normalizeEmulationOptions({ preset: ['slow-mobile', 'dark'], cpu: 1, network: 'Fast-4G' });
+  assert.equal(reset, false);
+  assert.deepEqual(presets, ['slow-mobile', 'dark']);
+  assert.deepEqual(changes, { device: 'Pixel 5', network: 'fast-4g', cpu: null, colorScheme: 'dark' });
+
+  assert.deepEqual(normalizeEmulationOptions('offline').changes, { network: 'offline' });
+  assert.deepEqual(normalizeEmulationOptions({ device: 'pixel 5', timezone: null }).changes, { device: 'Pixel 5', timezone: null });
+  assert.deepEqual(normalizeEmulationOptions({ viewport: { width: 800, height: 600 } }).changes.viewport, {
+    width: 800, height: 600, deviceScaleFactor: 1, isMobile: false, hasTouch: false, isLandscape: false,
+  });
+  assert.deepEqual(normalizeEmulationOptions({ reset: true }), { reset: true, presets: [], changes: {} });
+});
+
+test('normalizeEmulationOptions: rejects invalid input and names the broken preset', () => {
+  assert.throws(() => normalizeEmulationOptions({}), /Nothing to emulate/);
+  assert.throws(() => normalizeEmulationOptions({ preset: 'watch' }), /Unknown preset: watch/);
+  assert.throws(() => normalizeEmulationOptions({ device: 'Nokia 3310' }), /Unknown "device"/);
+  assert.throws(() => normalizeEmulationOptions({ timezone: 'Mars/Base' }), /Unknown "timezone"/);
+  assert.throws(() => normalizeEmulationOptions({ cpu: 0.5 }), /"cpu" must be/);
+  assert.throws(() => normalizeEmulationOptions({ zoom: 2 }), /Unknown emulation option: zoom/);
+  assert.throws(() => normalizeEmulationOptions({ preset: 'broken' }, { broken: { colorScheme: 'sepia' } }), /^Error: Preset broken: Invalid "colorScheme"/);
+});
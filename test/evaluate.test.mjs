@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { LogBuffer } from '../src/logging/LogBuffer.mjs';
+import { startServer } from './helpers.mjs';
+
+let api;
+/** What the fake page's evaluate returns (the in-page serializer's JSON text), or a function for special cases. */
+let evaluateResult = '{}';
+const page = {
+  url: () => 'http://localhost/app',
+  evaluate: async () => (typeof evaluateResult === 'function' ? evaluateResult() : evaluateResult),
+  createCDPSession: async () => ({ send: async () => {}, detach: async () => {} }),
+};
+
+before(async () => {
+  let logBuffer = null;
+  api = await startServer({ settings: { allowEvaluate: false }, getState: () => ({ mode: 'open', logBuffer, getPages: () => [page] }) });
+  logBuffer = new LogBuffer({ paths: api.paths });
+});
+
+after(() => api.close());
+
+const evaluate = (body) => api.request('POST', '/evaluate', { body });
+
+test('POST /evaluate is disabled unless allowEvaluate is true', async () => {
+  api.settings.allowEvaluate = false;
+  const res = await evaluate({ expression: 'document.title' });
+  assert.equal(res.status, 403);
+  assert.match(res.json.error, /allowEvaluate/);
+});
+
+test('the value is returned and every call is audited', async () => {
+  api.settings.allowEvaluate = true;
+  evaluateResult = JSON.stringify({ user: 'ann', items: [1, 2] });
+  const res = await evaluate({ expression: 'window.__APP_STATE__' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json.result, { user: 'ann', items: [1, 2] });
+
+  evaluateResult = JSON.stringify({ __bmThrown: { $type: 'Error', name: 'TypeError', message: 'x is undefined' } });
+  const thrown = await evaluate({ expression: 'x.y' });
+  assert.equal(thrown.json.success, false);
+  assert.equal(thrown.json.error, 'TypeError: x is undefined');
+
+  const audit = fs.readFileSync(api.paths.evaluateAuditLog, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(audit.map((e) => [e.expression, e.success, e.url]), [
+    ['window.__APP_STATE__', true, 'http://localhost/app'],
+    ['x.y', false, 'http://localhost/app'],
+  ]);
+});
+
+test('results over maxResultBytes are refused with a preview', async () => {
+  api.settings.allowEvaluate = true;
+  evaluateResult = JSON.stringify('x'.repeat(5000));
+  const res = await evaluate({ expression: 'big', maxResultBytes: 1000 });
+  assert.equal(res.json.success, false);
+  assert.match(res.json.error, /over the 1000 byte limit/);
+  assert.ok(res.json.preview.length > 0);
+});
+
+test('a script that does not finish is terminated after the timeout', async () => {
+  api.settings.allowEvaluate = true;
+  evaluateResult = () => new Promise(() => {});
+  const res = await evaluate({ expression: 'while (true) {}', timeout: 50 });
+  assert.equal(res.json.success, false);
+  assert.match(res.json.error, /Timeout after 50ms/);
+});
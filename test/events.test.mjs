@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { LogBuffer } from '../src/logging/LogBuffer.mjs';
+import { startServer } from './helpers.mjs';
+
+/** Open an SSE stream, run publish() once subscribed and collect events until `count` arrived. */
+function readEvents(port, query, count, publish) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path: `/events${query}` }, (res) => {
+      assert.equal(res.statusCode, 200);
+      assert.match(res.headers['content-type'], /^text\/event-stream/);
+      const events = [];
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const data = /^data: (.*)$/m.exec(block);
+          if (data) events.push({ type: /^event: (.*)$/m.exec(block)[1], data: JSON.parse(data[1]) });
+        }
+        if (events.length === count) {
+          req.destroy();
+          resolve(events);
+        }
+      });
+      // The listener is registered by the time the headers arrive
+      publish();
+    });
+    req.on('error', reject);
+  });
+}
+
+test('GET /events streams live events matching the filters', async (t) => {
+  const logBuffer = new LogBuffer();
+  const api = await startServer({ getState: () => ({ mode: 'open', logBuffer }) });
+  t.after(api.close);
+
+  const events = await readEvents(api.port, '?channel=console&level=error', 2, () => {
+    logBuffer.emitEvent({ channel: 'console', type: 'console', level: 'error', text: 'first' });
+    logBuffer.emitEvent({ channel: 'console', type: 'console', level: 'log', text: 'filtered out' });
+    logBuffer.emitEvent({ channel: 'network', type: 'requestfailed', level: 'error', url: 'http://x/' });
+    logBuffer.emitEvent({ channel: 'console', type: 'pageerror', level: 'error', text: 'second' });
+  });
+
+  assert.deepEqual(events.map((e) => [e.type, e.data.text]), [['console', 'first'], ['pageerror', 'second']]);
+  assert.ok(events[0].data.timestamp);
+});
+
+test('GET /events without a browser answers with a message instead of a stream', async (t) => {
+  const api = await startServer();
+  t.after(api.close);
+
+  const res = await api.request('GET', '/events');
+  assert.equal(res.json.success, false);
+  assert.match(res.json.message, /No browser connected/);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildHar } from '../src/logging/har.mjs';
+
+test('buildHar: request, response and timings of a record', () => {
+  const har = buildHar([{
+    id: 'r1',
+    timestamp: '2024-01-01T00:00:00.000Z',
+    method: 'POST',
+    resourceType: 'fetch',
+    url: 'http://localhost/api/save?draft=1',
+    request: { headers: { 'content-type': 'application/json' }, postData: '{"a":1}' },
+    response: {
+      status: 201,
+      statusText: 'Created',
+      headers: { 'content-type': 'application/json', 'set-cookie': 'a=1\nb=2' },
+      body: '{"ok":true}',
+      duration: 120,
+      timing: null,
+    },
+  }]);
+
+  assert.equal(har.log.version, '1.2');
+  assert.equal(har.log.creator.name, 'browsermonitor');
+  const [entry] = har.log.entries;
+  assert.equal(entry.request.method, 'POST');
+  assert.deepEqual(entry.request.queryString, [{ name: 'draft', value: '1' }]);
+  assert.deepEqual(entry.request.postData, { mimeType: 'application/json', text: '{"a":1}' });
+  assert.equal(entry.response.status, 201);
+  assert.equal(entry.response.headers.filter((h) => h.name === 'set-cookie').length, 2);
+  assert.deepEqual(entry.response.content, { size: 11, mimeType: 'application/json', text: '{"ok":true}' });
+  assert.equal(entry.timings.wait, 120);
+  assert.equal(entry.time, 120);
+});
+
+test('buildHar: failed and binary requests', () => {
+  const [failed, image] = buildHar([
+    { id: 'r2', timestamp: '2024-01-01T00:00:00.000Z', method: 'GET', url: 'http://localhost/down', request: {}, failed: { errorText: 'net::ERR_CONNECTION_REFUSED', duration: 5 } },
+    { id: 'r3', timestamp: '2024-01-01T00:00:00.000Z', method: 'GET', url: 'http://localhost/a.png', request: {}, response: { status: 200, headers: {}, body: '[Binary content: image/png, 100 bytes]', duration: 1 } },
+  ]).log.entries;
+
+  assert.equal(failed.response.status, 0);
+  assert.equal(failed._error, 'net::ERR_CONNECTION_REFUSED');
+  assert.equal(image.response.content.text, undefined);
+  assert.equal(image.response.content.comment, 'Binary body not captured');
+});
@@ -0,0 +1,100 @@
+/**
+ * Shared test helpers: a throwaway project directory and an HTTP API server on a free port.
+ */
+
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { createHttpServer, whenListening, closeHttpServer } from '../src/http-server.mjs';
+import { getPaths } from '../src/settings.mjs';
+
+/** Temporary project root; removed with removeTempDir. */
+export function makeTempDir(label = 'test') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `browsermonitor-${label}-`));
+}
+
+export function removeTempDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/** A TCP port nothing listens on right now. */
+export function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Plain HTTP request.
+ * @param {{ port?: number, socketPath?: string }} target
+ * @param {string} method
+ * @param {string} urlPath
+ * @param {{ headers?: Object, body?: unknown }} [options] - body is sent as JSON
+ * @returns {Promise<{ status: number, headers: Object, text: string, json: unknown }>}
+ */
+export function request(target, method, urlPath, { headers = {}, body } = {}) {
+  const payload = body === undefined ? null : JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      ...(target.socketPath ? { socketPath: target.socketPath } : { host: '127.0.0.1', port: target.port }),
+      method,
+      path: urlPath,
+      headers: payload ? { 'Content-Type': 'application/json', ...headers } : headers,
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => {
+        let json = null;
+        try {
+          json = JSON.parse(text);
+        } catch {
+          // not JSON
+        }
+        resolve({ status: res.statusCode, headers: res.headers, text, json });
+      });
+    });
+    req.on('error', reject);
+    req.end(payload ?? undefined);
+  });
+}
+
+/**
+ * Start the API on a free port for one test file.
+ * @param {Object} [options] - createHttpServer options; settings default to no auth and are used as given
+ *   (the server reads them on every request, so tests can change them in place)
+ * @returns {Promise<{ server: http.Server, port: number, dir: string, paths: Object, settings: Object,
+ *   request: (method: string, urlPath: string, options?: Object) => ReturnType<typeof request>, close: () => Promise<void> }>}
+ */
+export async function startServer(options = {}) {
+  const dir = makeTempDir('api');
+  const paths = getPaths(dir);
+  const port = await freePort();
+  const settings = options.settings ?? {};
+  settings.authToken ??= '';
+  const server = createHttpServer({
+    port,
+    getState: () => ({ logBuffer: null }),
+    paths,
+    ...options,
+    settings,
+  });
+  await whenListening(server);
+  return {
+    server,
+    port,
+    dir,
+    paths,
+    settings,
+    request: (method, urlPath, requestOptions) => request({ port }, method, urlPath, requestOptions),
+    close: async () => {
+      await closeHttpServer(server);
+      removeTempDir(dir);
+    },
+  };
+}
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { startServer } from './helpers.mjs';
+
+/** Send a raw HTTP/1.1 request (headers the http client would refuse) and return the status code. */
+function rawStatus(port, head) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.write(`${head}\r\nConnection: close\r\n\r\n`));
+    let text = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => { text += chunk; });
+    socket.on('end', () => resolve(Number(/^HTTP\/1\.1 (\d+)/.exec(text)?.[1])));
+    socket.on('error', reject);
+  });
+}
+
+test('a malformed Host header does not stop the server', async (t) => {
+  const api = await startServer();
+  t.after(api.close);
+
+  assert.equal(await rawStatus(api.port, 'GET /status HTTP/1.1\r\nHost: [bad'), 200);
+  assert.equal((await api.request('GET', '/status')).status, 200);
+});
+
+test('an unexpected error in a route answers 500 and the server keeps running', async (t) => {
+  const logBuffer = { get requestDetails() { throw new Error('broken buffer'); } };
+  const api = await startServer({ getState: () => ({ mode: 'open', logBuffer }) });
+  t.after(api.close);
+
+  const res = await api.request('GET', '/network/1');
+  assert.equal(res.status, 500);
+  assert.deepEqual([res.json.success, res.json.error], [false, 'broken buffer']);
+  assert.equal((await api.request('GET', '/jobs')).status, 200);
+});
@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobStore } from '../src/utils/jobs.mjs';
+import { startServer } from './helpers.mjs';
+
+/** Poll until the job has finished. */
+async function settled(store, id) {
+  for (;;) {
+    const job = store.get(id);
+    if (job.status !== 'running') return job;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+test('JobStore: a finished run is done with its result', async () => {
+  const store = new JobStore();
+  const started = store.start('screenshot', async () => ({ success: true, path: 'a.png' }));
+  assert.equal(started.status, 'running');
+  const job = await settled(store, started.id);
+  assert.equal(job.status, 'done');
+  assert.deepEqual(job.result, { success: true, path: 'a.png' });
+  assert.equal(typeof job.durationMs, 'number');
+  assert.deepEqual(store.list().map((j) => [j.id, j.hasResult]), [[started.id, true]]);
+});
+
+test('JobStore: success false fails the job', async () => {
+  const store = new JobStore();
+  const { id } = store.start('puppeteer', async () => ({ success: false, error: 'nope' }));
+  assert.equal((await settled(store, id)).status, 'failed');
+});
+
+test('JobStore: cancel aborts the signal, a second cancel reports the job finished', async () => {
+  const store = new JobStore();
+  let signal = null;
+  const { id } = store.start('puppeteer', (s) => {
+    signal = s;
+    return new Promise(() => {});
+  });
+  const { job, cancelled } = await store.cancel(id);
+  assert.equal(cancelled, true);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.error, 'Cancelled');
+  assert.equal(signal.aborted, true);
+
+  assert.equal((await store.cancel(id)).cancelled, false);
+  assert.deepEqual(await store.cancel('missing'), { job: null, cancelled: false });
+});
+
+test('JobStore: a job past its timeout is aborted and failed', async () => {
+  const store = new JobStore();
+  const { id, timeoutMs } = store.start('puppeteer', () => new Promise(() => {}), { timeout: 20 });
+  assert.equal(timeoutMs, 20);
+  const job = await settled(store, id);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.error, 'Job timed out after 20ms');
+});
+
+let api;
+before(async () => {
+  api = await startServer();
+});
+after(() => api.close());
+
+test('GET/DELETE /jobs/:id: unknown and malformed ids', async () => {
+  assert.equal((await api.request('GET', '/jobs/nope')).status, 404);
+  assert.equal((await api.request('DELETE', '/jobs/nope')).status, 404);
+  const res = await api.request('GET', '/jobs/%ZZ');
+  assert.equal(res.status, 400);
+  assert.equal(res.json.success, false);
+  assert.match(res.json.error, /Invalid path/);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import net from 'net';
+import { createHttpServer, whenListening, closeHttpServer } from '../src/http-server.mjs';
+import { getPaths } from '../src/settings.mjs';
+import { makeTempDir, removeTempDir, freePort, request } from './helpers.mjs';
+
+/** Occupy a port the way another process would. */
+async function occupyPort() {
+  const port = await freePort();
+  const blocker = net.createServer();
+  await new Promise((resolve) => blocker.listen(port, '127.0.0.1', resolve));
+  return { port, close: () => new Promise((resolve) => blocker.close(resolve)) };
+}
+
+function start(t, port, settings) {
+  const dir = makeTempDir('listen');
+  const paths = getPaths(dir);
+  const server = createHttpServer({ port, paths, settings: { authToken: '', ...settings }, getState: () => ({ logBuffer: null }) });
+  t.after(async () => {
+    await closeHttpServer(server);
+    removeTempDir(dir);
+  });
+  return { server, paths };
+}
+
+test('a busy port falls back to the next one and server.json records it', async (t) => {
+  const blocker = await occupyPort();
+  t.after(blocker.close);
+  const { server, paths } = start(t, blocker.port, {});
+
+  const address = await whenListening(server);
+  assert.ok(address.port > blocker.port);
+  assert.equal(server.address().port, address.port);
+  const info = JSON.parse(fs.readFileSync(paths.serverInfoFile, 'utf8'));
+  assert.equal(info.port, address.port);
+  assert.equal(info.host, '127.0.0.1');
+
+  const res = await request({ port: address.port }, 'GET', '/status');
+  assert.equal(res.status, 200);
+});
+
+test('with httpPortFallback off a busy port rejects', async (t) => {
+  const blocker = await occupyPort();
+  t.after(blocker.close);
+  const { server, paths } = start(t, blocker.port, { httpPortFallback: false });
+
+  await assert.rejects(whenListening(server), new RegExp(`port ${blocker.port} is already in use`));
+  assert.equal(fs.existsSync(paths.serverInfoFile), false);
+});
+
+test('socket only: no token needed over the socket, file is owner-only', async (t) => {
+  const { server, paths } = start(t, 0, { httpSocket: true, authToken: 'secret' });
+
+  const address = await whenListening(server);
+  assert.deepEqual(address, { host: null, port: null, socketPath: paths.socketFile });
+  assert.equal(fs.statSync(paths.socketFile).mode & 0o777, 0o600);
+
+  const res = await request({ socketPath: paths.socketFile }, 'GET', '/status');
+  assert.equal(res.status, 200);
+});
+
+test('socket only: a stale socket file is replaced, a live one rejects', async (t) => {
+  const { server: first, paths } = start(t, 0, { httpSocket: true });
+  await whenListening(first);
+
+  const second = createHttpServer({ port: 0, paths, settings: { authToken: '', httpSocket: true } });
+  t.after(() => closeHttpServer(second));
+  await assert.rejects(whenListening(second), /in use by another browsermonitor/);
+
+  // A crashed process leaves the file behind without a listener
+  await closeHttpServer(first);
+  fs.writeFileSync(paths.socketFile, '');
+  const third = createHttpServer({ port: 0, paths, settings: { authToken: '', httpSocket: true } });
+  t.after(() => closeHttpServer(third));
+  assert.equal((await whenListening(third)).socketPath, paths.socketFile);
+});
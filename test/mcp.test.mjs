@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTools } from '../src/mcp-server.mjs';
+import { PAGE_WHITELIST } from '../src/http-server.mjs';
+
+/** Run a tool against a fake API and return the request it made. */
+async function callOf(tools, name, args) {
+  let call = null;
+  await tools.get(name).run(args, async (method, path, body) => {
+    call = { method, path, body };
+    return { status: 200, body: { success: true } };
+  });
+  return call;
+}
+
+test('every tool has a description and an object input schema', () => {
+  const tools = buildTools();
+  assert.ok(tools.size > 10);
+  for (const [name, tool] of tools) {
+    assert.match(name, /^[a-z_]+$/);
+    assert.ok(tool.description, name);
+    assert.equal(tool.inputSchema.type, 'object', name);
+  }
+});
+
+test('page tools exist only for whitelisted methods and call POST /puppeteer', async () => {
+  const tools = buildTools();
+  for (const name of tools.keys()) {
+    if (!name.startsWith('page_')) continue;
+    const method = name.slice('page_'.length).replace(/_([a-z])/g, (m, c) => c.toUpperCase());
+    assert.ok(PAGE_WHITELIST.has(method), name);
+  }
+  assert.deepEqual(await callOf(tools, 'page_click', { selector: '#save', timeout: 5000 }), {
+    method: 'POST',
+    path: '/puppeteer',
+    body: { method: 'page.click', args: ['#save'], timeout: 5000 },
+  });
+});
+
+test('API tools map their arguments to the endpoint', async () => {
+  const tools = buildTools();
+  assert.deepEqual(await callOf(tools, 'dump', {}), { method: 'GET', path: '/dump', body: undefined });
+  const shot = await callOf(tools, 'screenshot', { selector: '.card', format: 'jpeg', async: true });
+  assert.equal(shot.path, '/screenshot?selector=.card&format=jpeg&async=true');
+  assert.deepEqual(await callOf(tools, 'job', { id: 'a/b', cancel: true }), { method: 'DELETE', path: '/jobs/a%2Fb', body: undefined });
+});
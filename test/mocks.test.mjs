@@ -0,0 +1,94 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { normalizeMockRule, MockStore } from '../src/browser/mocks.mjs';
+import { startServer, makeTempDir, removeTempDir } from './helpers.mjs';
+
+test('normalizeMockRule: defaults and validation', () => {
+  const rule = normalizeMockRule({ id: 'orders', url: '**/api/orders*', method: 'get', status: 500 });
+  assert.deepEqual(rule, { id: 'orders', enabled: true, url: '**/api/orders*', method: 'GET', status: 500 });
+  assert.throws(() => normalizeMockRule({ status: 200 }), /exactly one of "url"/);
+  assert.throws(() => normalizeMockRule({ url: '*', urlRegex: '.*', status: 200 }), /exactly one of "url"/);
+  assert.throws(() => normalizeMockRule({ url: '*' }), /does nothing/);
+  assert.throws(() => normalizeMockRule({ url: '*', status: 200, foo: 1 }), /Unknown mock rule field: foo/);
+  assert.throws(() => normalizeMockRule({ url: '*', abort: 'failed', status: 500 }), /cannot be combined/);
+  assert.throws(() => normalizeMockRule({ urlRegex: '(', status: 200 }), /Invalid mock "urlRegex"/);
+});
+
+test('normalizeMockRule: bodyFile must stay inside .browsermonitor/', () => {
+  assert.equal(normalizeMockRule({ url: '*', bodyFile: 'mocks/orders.json' }).bodyFile, 'mocks/orders.json');
+  assert.throws(() => normalizeMockRule({ url: '*', bodyFile: '../secret.json' }), /Invalid mock "bodyFile"/);
+  assert.throws(() => normalizeMockRule({ url: '*', bodyFile: '/etc/passwd' }), /Invalid mock "bodyFile"/);
+});
+
+test('MockStore.match: globs, regexes, methods and times', (t) => {
+  const dir = makeTempDir('mocks');
+  t.after(() => removeTempDir(dir));
+  const store = new MockStore(path.join(dir, 'mocks.json'));
+  store.add([
+    { id: 'one-segment', url: 'http://localhost/api/*', status: 404 },
+    { id: 'any-depth', url: '**/orders?', method: ['GET', 'POST'], status: 500, times: 1 },
+    { id: 'regex', urlRegex: '/users/\\d+$', status: 200 },
+  ]);
+
+  assert.equal(store.match({ url: 'http://localhost/api/items', method: 'GET' })?.id, 'one-segment');
+  assert.equal(store.match({ url: 'http://localhost/api/items/1', method: 'GET' }), null);
+  assert.equal(store.match({ url: 'http://localhost/shop/ORDERS1', method: 'DELETE' }), null);
+  assert.equal(store.match({ url: 'http://localhost/shop/ORDERS1', method: 'POST' })?.id, 'any-depth');
+  assert.equal(store.match({ url: 'http://localhost/shop/orders1', method: 'GET' }), null, 'times: 1 is used up');
+  assert.equal(store.match({ url: 'http://localhost/users/42', method: 'GET' })?.id, 'regex');
+});
+
+test('MockStore: a failed save keeps the current rules', (t) => {
+  const dir = makeTempDir('mocks');
+  t.after(() => removeTempDir(dir));
+  const store = new MockStore(path.join(dir, 'mocks.json'));
+  store.add([{ id: 'orders', url: '**/orders', status: 500 }]);
+  fs.rmSync(store.file);
+  fs.mkdirSync(store.file);
+
+  assert.throws(() => store.clear(), (e) => e.code === 'MOCKS_SAVE_FAILED');
+  assert.throws(() => store.remove('orders'), (e) => e.code === 'MOCKS_SAVE_FAILED');
+  assert.throws(() => store.add([{ id: 'users', url: '**/users', status: 404 }]), (e) => e.code === 'MOCKS_SAVE_FAILED');
+  assert.deepEqual(store.list().map((r) => r.id), ['orders']);
+});
+
+let api;
+let withStore;
+let store;
+before(async () => {
+  api = await startServer();
+  store = new MockStore(api.paths.mocksFile);
+  withStore = await startServer({ mocks: store });
+});
+after(async () => {
+  await withStore.close();
+  await api.close();
+});
+
+test('/mocks: 503 without a mock store', async () => {
+  const res = await api.request('GET', '/mocks');
+  assert.equal(res.status, 503);
+  assert.equal(res.json.error, 'Mocks are not available.');
+});
+
+test('/mocks: CRUD, malformed ids and save failures', async (t) => {
+
+  const added = await withStore.request('POST', '/mocks', { body: { id: 'orders', url: '**/orders', status: 500 } });
+  assert.equal(added.status, 200);
+  assert.equal((await withStore.request('POST', '/mocks', { body: { url: '*' } })).status, 400);
+  assert.equal((await withStore.request('GET', '/mocks/orders')).json.rule.status, 500);
+  assert.equal((await withStore.request('GET', '/mocks/%ZZ')).status, 400);
+  assert.equal((await withStore.request('DELETE', '/mocks/missing')).status, 404);
+
+  fs.rmSync(store.file);
+  fs.mkdirSync(store.file);
+  t.after(() => fs.rmSync(store.file, { recursive: true, force: true }));
+  for (const [method, urlPath] of [['DELETE', '/mocks'], ['DELETE', '/mocks/orders'], ['PATCH', '/mocks/orders']]) {
+    const res = await withStore.request(method, urlPath, method === 'PATCH' ? { body: { status: 404 } } : {});
+    assert.equal(res.status, 500, `${method} ${urlPath}`);
+    assert.match(res.json.error, /Could not save/);
+  }
+  assert.equal((await withStore.request('GET', '/mocks')).json.count, 1);
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeNavigateOptions } from '../src/browser/navigation.mjs';
+
+test('normalizeNavigateOptions: goto by default, other actions take no url', () => {
+  assert.deepEqual(normalizeNavigateOptions({ url: 'http://localhost/', timeout: '0' }), {
+    action: 'goto', url: 'http://localhost/', waitUntil: 'load', timeout: 0,
+  });
+  assert.deepEqual(normalizeNavigateOptions({ action: 'reload', waitUntil: 'networkidle0' }), {
+    action: 'reload', url: null, waitUntil: 'networkidle0', timeout: null,
+  });
+});
+
+test('normalizeNavigateOptions: rejects invalid options', () => {
+  assert.throws(() => normalizeNavigateOptions({}), /"url" is required/);
+  assert.throws(() => normalizeNavigateOptions({ action: 'back', url: 'http://localhost/' }), /applies only to goto/);
+  assert.throws(() => normalizeNavigateOptions({ action: 'refresh' }), /Invalid "action"/);
+  assert.throws(() => normalizeNavigateOptions({ url: 'http://localhost/', waitUntil: 'idle' }), /Invalid "waitUntil"/);
+  assert.throws(() => normalizeNavigateOptions({ url: 'http://localhost/', timeout: 1.5 }), /Invalid "timeout"/);
+});
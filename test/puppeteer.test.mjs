@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { LogBuffer } from '../src/logging/LogBuffer.mjs';
+import { startServer } from './helpers.mjs';
+
+let api;
+const calls = [];
+/** Fake tab: records calls; clicking "#missing" fails like Puppeteer does. */
+const page = {
+  url: () => 'http://localhost/form',
+  click: async (selector) => {
+    calls.push(['click', selector]);
+    if (selector === '#missing') throw new Error(`No element found for selector: ${selector}`);
+  },
+  focus: async (selector) => calls.push(['focus', selector]),
+  // page.type is run key by key through page.keyboard so a cancel stops it
+  type: async () => assert.fail('page.type should not be called directly'),
+  keyboard: { type: async (char) => calls.push(['key', char]) },
+  waitForSelector: async (selector) => calls.push(['waitForSelector', selector]),
+  title: async () => 'Form',
+  screenshot: async ({ path }) => fs.writeFileSync(path, 'png'),
+};
+
+before(async () => {
+  let logBuffer = null;
+  api = await startServer({ getState: () => ({ mode: 'open', logBuffer, getPages: () => [page] }) });
+  logBuffer = new LogBuffer({ paths: api.paths });
+});
+
+after(() => api.close());
+
+test('POST /puppeteer runs one call', async () => {
+  const res = await api.request('POST', '/puppeteer', { body: { method: 'page.title' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.json.success, res.json.result], [true, 'Form']);
+});
+
+test('POST /puppeteer rejects methods outside the whitelist', async () => {
+  const res = await api.request('POST', '/puppeteer', { body: { method: 'page.evaluate', args: ['1'] } });
+  assert.equal(res.status, 400);
+  assert.match(res.json.error, /not allowed/);
+});
+
+test('a step script runs in order and stops at the first failure with a screenshot', async () => {
+  calls.length = 0;
+  const res = await api.request('POST', '/puppeteer', {
+    body: {
+      steps: [
+        { method: 'page.type', args: ['#email', 'ab'], waitFor: true },
+        { method: 'page.click', args: ['#missing'] },
+        { method: 'page.click', args: ['#submit'] },
+      ],
+    },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.success, false);
+  assert.deepEqual(calls, [['waitForSelector', '#email'], ['focus', '#email'], ['key', 'a'], ['key', 'b'], ['click', '#missing']]);
+  assert.deepEqual(res.json.steps.map((s) => s.success ?? 'skipped'), [true, false, 'skipped']);
+  assert.equal(res.json.failure.index, 1);
+  assert.match(res.json.failure.error, /No element found/);
+  assert.ok(fs.existsSync(res.json.failure.screenshot));
+});
+
+test('continueOnError runs the remaining steps', async () => {
+  const res = await api.request('POST', '/puppeteer', {
+    body: { continueOnError: true, steps: [{ method: 'page.click', args: ['#missing'] }, { method: 'page.click', args: ['#submit'] }] },
+  });
+  assert.deepEqual(res.json.steps.map((s) => s.success), [false, true]);
+});
+
+test('invalid steps are rejected before anything runs', async () => {
+  calls.length = 0;
+  const res = await api.request('POST', '/puppeteer', { body: { steps: [{ method: 'page.click', args: ['#a'] }, { method: 'window.close' }] } });
+  assert.equal(res.status, 400);
+  assert.match(res.json.error, /^Step 1:/);
+  assert.deepEqual(calls, []);
+});
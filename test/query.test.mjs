@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSince, parseStatusRange, parseLimit } from '../src/logging/query.mjs';
+import { LogBuffer } from '../src/logging/LogBuffer.mjs';
+import { startServer } from './helpers.mjs';
+
+test('parseSince: empty values mean no filter', () => {
+  assert.equal(parseSince(null), null);
+  assert.equal(parseSince(''), null);
+});
+
+test('parseSince: durations are relative to now', () => {
+  const before = Date.now();
+  const since = parseSince('5m');
+  assert.ok(since >= before - 5 * 60_000 && since <= Date.now() - 5 * 60_000);
+  assert.ok(Math.abs(parseSince('500ms') - (Date.now() - 500)) < 100);
+});
+
+test('parseSince: epoch ms and ISO timestamps', () => {
+  assert.equal(parseSince('1700000000000'), 1700000000000);
+  assert.equal(parseSince('2024-01-01T00:00:00Z'), Date.UTC(2024, 0, 1));
+});
+
+test('parseSince: rejects bare small numbers and garbage', () => {
+  assert.throws(() => parseSince('30'), /Invalid "since": 30/);
+  assert.throws(() => parseSince('5 minutes'), /Invalid "since"/);
+});
+
+test('parseStatusRange: single code, range and class', () => {
+  assert.equal(parseStatusRange(''), null);
+  assert.deepEqual(parseStatusRange('404'), { min: 404, max: 404 });
+  assert.deepEqual(parseStatusRange('400-599'), { min: 400, max: 599 });
+  assert.deepEqual(parseStatusRange('5XX'), { min: 500, max: 599 });
+  assert.throws(() => parseStatusRange('6xx'), /Invalid "status"/);
+});
+
+test('parseLimit: positive integers only', () => {
+  assert.equal(parseLimit(null), null);
+  assert.equal(parseLimit(''), null);
+  assert.equal(parseLimit('25'), 25);
+  for (const value of ['5abc', '2.5', '0', '-3', 'ten']) {
+    assert.throws(() => parseLimit(value), /Invalid "limit"/, value);
+  }
+});
+
+test('GET /console, /network and /network/:id reject bad input with 400', async (t) => {
+  const logBuffer = new LogBuffer();
+  const api = await startServer({ getState: () => ({ mode: 'open', logBuffer }) });
+  t.after(api.close);
+
+  assert.equal((await api.request('GET', '/console?limit=5abc')).status, 400);
+  assert.equal((await api.request('GET', '/network?limit=1.5')).status, 400);
+  assert.equal((await api.request('GET', '/network/%E0%A4%A')).status, 400);
+  assert.equal((await api.request('GET', '/network/999')).status, 404);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { normalizeScreenshotOptions, captureScreenshot } from '../src/browser/screenshot.mjs';
+import { makeTempDir, removeTempDir } from './helpers.mjs';
+
+test('normalizeScreenshotOptions: query strings and validation', () => {
+  assert.deepEqual(normalizeScreenshotOptions({ clip: '0,10,200,100', format: 'JPG', quality: '70', name: 'Login form!' }), {
+    selector: null,
+    fullPage: false,
+    clip: { x: 0, y: 10, width: 200, height: 100 },
+    format: 'jpeg',
+    quality: 70,
+    name: 'Login-form',
+  });
+  assert.throws(() => normalizeScreenshotOptions({ format: 'gif' }), /Invalid "format"/);
+  assert.throws(() => normalizeScreenshotOptions({ quality: '50' }), /only to jpeg and webp/);
+  assert.throws(() => normalizeScreenshotOptions({ clip: '0,0,-1,10' }), /Invalid "clip"/);
+  assert.throws(() => normalizeScreenshotOptions({ selector: '.card', fullPage: '1' }), /cannot be combined/);
+});
+
+test('captureScreenshot writes a timestamped file and the per-format latest copy', async (t) => {
+  const dir = makeTempDir('screenshot');
+  t.after(() => removeTempDir(dir));
+  const shots = path.join(dir, 'screenshots');
+  const latestPath = path.join(dir, 'screenshot.png');
+  const page = { screenshot: async (opts) => Buffer.from(`${opts.type}:${opts.fullPage ? 'full' : 'viewport'}`) };
+
+  const png = await captureScreenshot(page, { fullPage: '1', name: 'home' }, { dir: shots, latestPath });
+  assert.equal(png.latest, latestPath);
+  assert.equal(png.target, 'full page');
+  assert.match(path.basename(png.path), /^screenshot-.*-home\.png$/);
+  assert.equal(fs.readFileSync(latestPath, 'utf8'), 'png:full');
+
+  const jpeg = await captureScreenshot(page, { format: 'jpeg' }, { dir: shots, latestPath });
+  assert.equal(jpeg.latest, path.join(dir, 'screenshot.jpeg'));
+  assert.equal(fs.readFileSync(latestPath, 'utf8'), 'png:full', 'screenshot.png keeps the last PNG');
+});
+
+test('captureScreenshot: a cancelled capture writes nothing', async (t) => {
+  const dir = makeTempDir('screenshot');
+  t.after(() => removeTempDir(dir));
+  const controller = new AbortController();
+  const page = {
+    screenshot: () => new Promise((resolve) => setTimeout(() => resolve(Buffer.from('late')), 200)),
+  };
+  setTimeout(() => controller.abort(new Error('Cancelled')), 20);
+  await assert.rejects(
+    captureScreenshot(page, {}, { dir: path.join(dir, 'screenshots'), latestPath: path.join(dir, 'screenshot.png'), signal: controller.signal }),
+    /Cancelled/,
+  );
+  assert.deepEqual(fs.readdirSync(dir), []);
+});
+
+test('captureScreenshot: a missing element is reported, not thrown', async (t) => {
+  const dir = makeTempDir('screenshot');
+  t.after(() => removeTempDir(dir));
+  const page = { $: async () => null };
+  const result = await captureScreenshot(page, { selector: '#nope' }, { dir, latestPath: path.join(dir, 'screenshot.png') });
+  assert.deepEqual(result, { error: 'No element matching selector: #nope' });
+});
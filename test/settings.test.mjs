@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { validateSettings, watchSettings, getPaths } from '../src/settings.mjs';
+import { startServer, makeTempDir, removeTempDir } from './helpers.mjs';
+
+test('validateSettings: accepts live settings, rejects bad values and other keys', () => {
+  const changes = { ignorePatterns: ['favicon'], realtime: true, navigationTimeout: 0, domOptions: { strip: ['scripts'] } };
+  assert.equal(validateSettings(changes), changes);
+  assert.throws(() => validateSettings({ ignorePatterns: 'favicon' }), /array of strings/);
+  assert.throws(() => validateSettings({ realtime: 'yes' }), /true or false/);
+  assert.throws(() => validateSettings({ navigationTimeout: -1 }), /integer >= 0/);
+  assert.throws(() => validateSettings({ emulationPresets: { phone: 'iPhone' } }), /Invalid "emulationPresets"/);
+  assert.throws(() => validateSettings({ httpPort: 1 }), /cannot be changed at runtime/);
+});
+
+let api;
+let applyFails = false;
+const applied = [];
+before(async () => {
+  api = await startServer({
+    getState: () => ({
+      logBuffer: null,
+      applySettings: (changes) => {
+        applied.push(changes);
+        if (applyFails && changes.realtime === true) throw new Error('Cannot switch mode now');
+      },
+    }),
+  });
+});
+after(() => api.close());
+
+test('PATCH /settings applies and saves', async () => {
+  const res = await api.request('PATCH', '/settings', { body: { navigationTimeout: 5000 } });
+  assert.equal(res.status, 200);
+  assert.equal(res.json.persisted, true);
+  assert.equal(api.settings.navigationTimeout, 5000);
+  assert.equal(JSON.parse(fs.readFileSync(api.paths.settingsFile, 'utf8')).navigationTimeout, 5000);
+});
+
+test('PATCH /settings: a failing apply is rolled back and not saved', async () => {
+  applyFails = true;
+  applied.length = 0;
+  try {
+    const res = await api.request('PATCH', '/settings', { body: { realtime: true } });
+    assert.equal(res.status, 500);
+    assert.equal(res.json.error, 'Cannot switch mode now');
+    assert.equal(api.settings.realtime, false);
+    assert.deepEqual(applied, [{ realtime: true }, { realtime: false }]);
+    assert.equal(JSON.parse(fs.readFileSync(api.paths.settingsFile, 'utf8')).realtime, undefined);
+  } finally {
+    applyFails = false;
+  }
+});
+
+test('PATCH /settings: a failing save answers 500', async () => {
+  fs.rmSync(api.paths.settingsFile);
+  fs.mkdirSync(api.paths.settingsFile);
+  try {
+    const res = await api.request('PATCH', '/settings', { body: { navigationTimeout: 100 } });
+    assert.equal(res.status, 500);
+    assert.match(res.json.error, /settings\.json was not saved/);
+    assert.equal(res.json.persisted, false);
+  } finally {
+    fs.rmdirSync(api.paths.settingsFile);
+  }
+});
+
+test('watchSettings: a failing apply is reported and rolled back', async (t) => {
+  const dir = makeTempDir('settings');
+  t.after(() => removeTempDir(dir));
+  const { settingsFile } = getPaths(dir);
+  fs.mkdirSync(path.dirname(settingsFile), { recursive: true });
+  fs.writeFileSync(settingsFile, '{}');
+  const settings = { realtime: false };
+  const calls = [];
+  const stop = watchSettings(settingsFile, settings, (changes) => {
+    calls.push(changes);
+    if (changes.realtime) throw new Error('Cannot switch mode now');
+  });
+  t.after(stop);
+
+  // mtime has to move for the poll to notice
+  fs.writeFileSync(settingsFile, JSON.stringify({ realtime: true }));
+  fs.utimesSync(settingsFile, new Date(), new Date(Date.now() + 5000));
+  for (let i = 0; i < 50 && calls.length < 2; i++) await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.deepEqual(calls, [{ realtime: true }, { realtime: false }]);
+  assert.equal(settings.realtime, false);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeStorageType, setWebStorage } from '../src/browser/storage.mjs';
+
+test('normalizeStorageType: aliases and unknown types', () => {
+  assert.equal(normalizeStorageType('localStorage'), 'local');
+  assert.equal(normalizeStorageType('SESSION'), 'session');
+  assert.equal(normalizeStorageType('idb'), 'indexeddb');
+  assert.throws(() => normalizeStorageType('cookies'), /Invalid storage "type": cookies/);
+  assert.throws(() => normalizeStorageType(undefined), /Invalid storage "type"/);
+});
+
+test('setWebStorage: non-string values are stored as JSON', async () => {
+  let passed = null;
+  const page = {
+    evaluate: async (fn, area, pairs) => {
+      passed = { area, pairs };
+      return { origin: 'http://localhost', set: pairs.map(([key]) => key) };
+    },
+  };
+  const result = await setWebStorage(page, 'session', { token: 'abc', user: { id: 1 }, count: 2 });
+  assert.deepEqual(passed, { area: 'sessionStorage', pairs: [['token', 'abc'], ['user', '{"id":1}'], ['count', '2']] });
+  assert.deepEqual(result.set, ['token', 'user', 'count']);
+});
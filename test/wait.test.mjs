@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeWaitOptions, WAIT_DEFAULT_TIMEOUT_MS } from '../src/browser/wait.mjs';
+
+test('normalizeWaitOptions: conditions, match and default timeout', () => {
+  const { conditions, match, timeout } = normalizeWaitOptions({
+    networkIdle: '500',
+    console: 'ready',
+    level: 'Log,info',
+    selector: '#app',
+    response: '/api/',
+    status: '2xx',
+  });
+  assert.deepEqual(conditions.map((c) => c.kind), ['networkIdle', 'console', 'selector', 'response']);
+  assert.equal(conditions[0].idleMs, 500);
+  assert.deepEqual([...conditions[1].levels], ['log', 'info']);
+  assert.equal(conditions[2].state, 'visible');
+  assert.deepEqual(conditions[3].status, { min: 200, max: 299 });
+  assert.equal(match, 'all');
+  assert.equal(timeout, WAIT_DEFAULT_TIMEOUT_MS);
+});
+
+test('normalizeWaitOptions: rejects missing and invalid conditions', () => {
+  assert.throws(() => normalizeWaitOptions({}), /No condition/);
+  assert.throws(() => normalizeWaitOptions({ selector: '#a', visible: true }), /Unknown field: visible/);
+  assert.throws(() => normalizeWaitOptions({ networkIdle: -5 }), /Invalid "networkIdle"/);
+  assert.throws(() => normalizeWaitOptions({ selector: '#a', state: 'gone' }), /Invalid "state"/);
+  assert.throws(() => normalizeWaitOptions({ url: 'a', match: 'some' }), /Invalid "match"/);
+  assert.throws(() => normalizeWaitOptions({ url: 'a', timeout: 0 }), /Invalid "timeout"/);
+  assert.throws(() => normalizeWaitOptions({ url: 'a', timeout: 300_001 }), /Invalid "timeout"/);
+});